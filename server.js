@@ -4,105 +4,853 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const PDFDocument = require('pdfkit');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy (fly sets FLY_APP_NAME) req.ip must come from X-Forwarded-For,
+// or every client looks like the proxy. TRUST_PROXY overrides: a hop count, true,
+// or addresses as Express's 'trust proxy' setting takes them.
+function trustProxySetting(value) {
+  if (value === undefined || value === '') return process.env.FLY_APP_NAME ? 1 : false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
 app.use(express.json());
+app.use(express.text({ type: 'text/csv', limit: '5mb' }));
 
 // ---------- DB SETUP ----------
-const dbPath = path.join(process.env.DB_PATH || __dirname, 'cloofy.db');
-const db = new sqlite3.Database(dbPath);
+// DATABASE_URL (a file: URL or plain path, as set in the Dockerfile) names the
+// database file; otherwise DB_PATH is the directory holding cloofy.db.
+function resolveDbPath() {
+  const url = process.env.DATABASE_URL;
+  if (!url) return path.join(process.env.DB_PATH || __dirname, 'cloofy.db');
+  if (url.startsWith('file://')) return fileURLToPath(url);
+  if (url.startsWith('file:')) return path.resolve(url.slice('file:'.length));
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    throw new Error('DATABASE_URL must point to a SQLite file, got ' + url.split(':')[0] + ':');
+  }
+  return path.resolve(url);
+}
 
-db.serialize(() => {
-  db.run('PRAGMA foreign_keys = ON');
+// Before DATABASE_URL existed the file was always DB_PATH/cloofy.db. Pointing
+// DATABASE_URL elsewhere must not quietly start an empty database next to it:
+// the old file is copied into place on first boot, and if that fails the old
+// file is used where it is. Returns the file to open.
+function checkDbPath(file) {
+  if (!process.env.DATABASE_URL) return file;
+  const legacy = path.join(process.env.DB_PATH || __dirname, 'cloofy.db');
+  if (process.env.DB_PATH) {
+    console.warn('DB_PATH is ignored because DATABASE_URL is set');
+  }
+  if (path.resolve(legacy) === path.resolve(file) || !fs.existsSync(legacy)) return file;
+  if (fs.existsSync(file)) {
+    console.warn(`Ignoring the old database at ${legacy}; using DATABASE_URL instead`);
+    return file;
+  }
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.copyFileSync(legacy, file, fs.constants.COPYFILE_EXCL);
+    console.warn(`Copied the old database at ${legacy} to ${file}; the old file can be removed`);
+    return file;
+  } catch (e) {
+    console.warn(`Could not copy the old database at ${legacy} to ${file} (${e.message}); using the old file`);
+    return legacy;
+  }
+}
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS ingredients (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      unit TEXT NOT NULL,
-      current_stock REAL NOT NULL,
-      reorder_level REAL NOT NULL,
-      unit_cost REAL NOT NULL
-    )
-  `);
+const dbPath = checkDbPath(resolveDbPath());
+console.log('Using database ' + dbPath);
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+let db = new sqlite3.Database(dbPath);
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS products (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      price REAL NOT NULL,
-      recipe_json TEXT NOT NULL
-    )
-  `);
+// ---------- PROMISE HELPERS ----------
+// Every statement goes through queued() (see TRANSACTIONS), so none can slip
+// into another request's open transaction.
+const runAsync = (sql, params = []) =>
+  queued(
+    () =>
+      new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve(this);
+        });
+      })
+  );
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS sales (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date TEXT NOT NULL,
-      product_id INTEGER NOT NULL,
-      qty INTEGER NOT NULL,
-      total_price REAL NOT NULL,
-      FOREIGN KEY(product_id) REFERENCES products(id)
-    )
-  `);
+const allAsync = (sql, params = []) =>
+  queued(
+    () =>
+      new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      })
+  );
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS inventory_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date TEXT NOT NULL,
-      ingredient_id INTEGER NOT NULL,
-      change REAL NOT NULL,
-      reason TEXT,
-      FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
-    )
-  `);
+const getAsync = (sql, params = []) =>
+  queued(
+    () =>
+      new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      })
+  );
+
+// ---------- TRANSACTIONS ----------
+// All statements share one sqlite3 connection, and SQLite has no idea which
+// request a statement belongs to: one issued while another request's BEGIN is
+// open joins that transaction and is rolled back with it. So the connection is
+// a queue. Transactions and locked sections hold it for their whole run; any
+// other statement waits for its own turn and runs alone. lockHolder marks the
+// async code that holds the queue, so its own statements (and nested
+// withLock/withTransaction calls) run straight through.
+let txQueue = Promise.resolve();
+const lockHolder = new AsyncLocalStorage();
+
+// Runs fn with the connection to itself (backups, swapping the database file).
+function withLock(fn) {
+  if (lockHolder.getStore()) return Promise.resolve().then(fn);
+  const run = txQueue.then(() => lockHolder.run(true, fn));
+  txQueue = run.catch(() => {});
+  return run;
+}
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS settings (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    )
-  `);
+function queued(exec) {
+  return lockHolder.getStore() ? exec() : withLock(exec);
+}
 
-  // Seed CLOOFY data if empty
-  db.get('SELECT COUNT(*) AS c FROM ingredients', (err, row) => {
-    if (err) {
-      console.error('Error checking ingredients:', err);
-      return;
-    }
-    if (row.c === 0) {
-      console.log('Seeding initial CLOOFY ingredients & products...');
-      seedIngredientsAndProducts();
+function withTransaction(fn) {
+  return withLock(async () => {
+    await runAsync('BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await runAsync('COMMIT');
+      flushEvents(true);
+      return result;
+    } catch (e) {
+      flushEvents(false);
+      await runAsync('ROLLBACK');
+      throw e;
     }
   });
-});
+}
 
-// ---------- PROMISE HELPERS ----------
-const runAsync = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) reject(err);
-      else resolve(this);
-    });
-  });
+// Errors meant for the client; `details` are merged into the JSON body.
+function httpError(status, message, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
 
-const allAsync = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+function sendError(res, e, fallbackMessage) {
+  if (e.status) {
+    return res.status(e.status).json({ error: e.message, ...e.details });
+  }
+  console.error(e);
+  res.status(500).json({ error: fallbackMessage });
+}
 
-const getAsync = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
+// ---------- AUDIT ----------
+// Every mutating route records who did what; call it inside the route's
+// transaction so the event is committed (or rolled back) with the change.
+function recordAudit(req, action, entity, entityId, before, after) {
+  const user = req.user || {};
+  return runAsync(
+    `INSERT INTO audit_events (date, user_id, actor, action, entity, entity_id, before_json, after_json)
+     VALUES (datetime('now','localtime'), ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.id || null,
+      user.username || null,
+      action,
+      entity,
+      entityId == null ? null : String(entityId),
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after)
+    ]
+  );
+}
+
+// ---------- LIVE EVENTS ----------
+// Open screens subscribe to GET /api/events (Server-Sent Events). Like
+// recordAudit, publishEvent is called inside the route's transaction: events wait
+// for COMMIT and are dropped on rollback, so no one hears about a sale that never
+// happened. Payloads are hints ({ type, location_ids, ... }); clients refetch.
+// Each stream remembers the session it was opened with and ends with it.
+const sseClients = new Map();
+const SSE_HEARTBEAT_MS = 25 * 1000;
+let pendingEvents = [];
+
+function publishEvent(type, data = {}) {
+  pendingEvents.push({ type, data: { type, at: new Date().toISOString(), ...data } });
+}
+
+function flushEvents(committed) {
+  const events = pendingEvents;
+  pendingEvents = [];
+  if (!committed) return;
+  for (const event of events) {
+    const frame = 'event: ' + event.type + '\ndata: ' + JSON.stringify(event.data) + '\n\n';
+    for (const res of sseClients.keys()) res.write(frame);
+  }
+}
+
+// Ends the streams whose { token, userId } matches, e.g. on logout
+function endEventStreams(match) {
+  for (const [res, client] of sseClients) {
+    if (match(client)) {
+      sseClients.delete(res);
+      res.end();
+    }
+  }
+}
+
+// A comment line now and then keeps proxies from closing idle streams. Sessions
+// are re-checked first, so streams of expired sessions or deleted users stop.
+function startEventHeartbeat() {
+  setInterval(async () => {
+    try {
+      const tokens = [...new Set([...sseClients.values()].map((c) => c.token))];
+      if (tokens.length) {
+        const rows = await allAsync(
+          `SELECT s.token FROM sessions s JOIN users u ON u.id = s.user_id
+           WHERE s.expires_at > datetime('now') AND s.token IN (${tokens.map(() => '?').join(', ')})`,
+          tokens
+        );
+        const live = new Set(rows.map((r) => r.token));
+        endEventStreams((client) => !live.has(client.token));
+      }
+    } catch (e) {
+      console.error(e);
+    }
+    for (const res of sseClients.keys()) res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+}
+
+// ---------- SCHEMA MIGRATIONS ----------
+// Numbered migrations run once each, in order, in their own transaction, and
+// schema_version records which have been applied. Only ever append: a released
+// migration must not change. Databases created before versioning have no
+// schema_version rows, so every step also tolerates work it finds already done.
+
+// Adds a column to an existing table when an older database doesn't have it yet.
+// Resolves to true when the column was added.
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await allAsync(`PRAGMA table_info(${table})`);
+  if (columns.some((c) => c.name === column)) return false;
+  await runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline tables',
+    async up() {
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS ingredients (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          unit TEXT NOT NULL,
+          current_stock REAL NOT NULL,
+          reorder_level REAL NOT NULL,
+          unit_cost REAL NOT NULL
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS products (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          price REAL NOT NULL,
+          recipe_json TEXT NOT NULL
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS sales (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          product_id INTEGER NOT NULL,
+          qty INTEGER NOT NULL,
+          total_price REAL NOT NULL,
+          FOREIGN KEY(product_id) REFERENCES products(id)
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          ingredient_id INTEGER NOT NULL,
+          change REAL NOT NULL,
+          reason TEXT,
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'orders',
+    async up() {
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          total_price REAL NOT NULL
+        )
+      `);
+      // Each sales row is now a line item of an order
+      await addColumnIfMissing('sales', 'order_id', 'INTEGER REFERENCES orders(id)');
+    }
+  },
+  {
+    version: 3,
+    name: 'refunds and voids',
+    async up() {
+      // Running totals of refunds/voids, so reports can net them out cheaply
+      await addColumnIfMissing('sales', 'refunded_qty', 'INTEGER NOT NULL DEFAULT 0');
+      await addColumnIfMissing('sales', 'refunded_amount', 'REAL NOT NULL DEFAULT 0');
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS sale_refunds (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          sale_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          qty INTEGER NOT NULL,
+          amount REAL NOT NULL,
+          restocked INTEGER NOT NULL,
+          reason TEXT,
+          FOREIGN KEY(sale_id) REFERENCES sales(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'users and sessions',
+    async up() {
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          token TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          expires_at TEXT NOT NULL,
+          FOREIGN KEY(user_id) REFERENCES users(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'audit trail',
+    async up() {
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          user_id INTEGER,
+          actor TEXT,
+          action TEXT NOT NULL,
+          entity TEXT NOT NULL,
+          entity_id TEXT,
+          before_json TEXT,
+          after_json TEXT
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'product archiving and price history',
+    async up() {
+      // Archived products disappear from the till but keep resolving for past sales
+      await addColumnIfMissing('products', 'archived', 'INTEGER NOT NULL DEFAULT 0');
+      // Price history: one row per price a product has had
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS product_prices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          product_id INTEGER NOT NULL,
+          price REAL NOT NULL,
+          effective_from TEXT NOT NULL,
+          FOREIGN KEY(product_id) REFERENCES products(id)
+        )
+      `);
+      await runAsync(`
+        INSERT INTO product_prices (product_id, price, effective_from)
+        SELECT id, price, datetime('now','localtime') FROM products
+        WHERE id NOT IN (SELECT product_id FROM product_prices)
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'normalized recipes and ingredient archiving',
+    async up() {
+      // Ingredients with stock history are archived rather than deleted
+      await addColumnIfMissing('ingredients', 'archived', 'INTEGER NOT NULL DEFAULT 0');
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS product_ingredients (
+          product_id INTEGER NOT NULL,
+          ingredient_id INTEGER NOT NULL,
+          qty REAL NOT NULL,
+          PRIMARY KEY (product_id, ingredient_id),
+          FOREIGN KEY(product_id) REFERENCES products(id),
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
+        )
+      `);
+
+      // Recipes used to live in products.recipe_json; move them into the join table
+      const productColumns = await allAsync('PRAGMA table_info(products)');
+      if (!productColumns.some((c) => c.name === 'recipe_json')) return;
+      const legacy = await allAsync('SELECT id, name, recipe_json FROM products');
+      for (const p of legacy) {
+        const recipe = [];
+        for (const item of JSON.parse(p.recipe_json)) {
+          const ing = await getAsync('SELECT id FROM ingredients WHERE id = ?', [item.ingredientId]);
+          if (ing) recipe.push(item);
+          else console.warn('Dropping missing ingredient ' + item.ingredientId + ' from ' + p.name);
+        }
+        await setRecipe(p.id, recipe);
+      }
+      await runAsync('ALTER TABLE products DROP COLUMN recipe_json');
+    }
+  },
+  {
+    version: 8,
+    name: 'suppliers and purchase orders',
+    async up() {
+      // Target stock after restocking; purchase orders top up to this level
+      await addColumnIfMissing('ingredients', 'par_level', 'REAL');
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS suppliers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          phone TEXT,
+          email TEXT,
+          notes TEXT
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          supplier_id INTEGER,
+          status TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          sent_at TEXT,
+          received_at TEXT,
+          notes TEXT,
+          FOREIGN KEY(supplier_id) REFERENCES suppliers(id)
+        )
+      `);
+      await runAsync(`
+        CREATE TABLE IF NOT EXISTS purchase_order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          po_id INTEGER NOT NULL,
+          ingredient_id INTEGER NOT NULL,
+          qty_ordered REAL NOT NULL,
+          qty_received REAL NOT NULL DEFAULT 0,
+          unit_cost REAL NOT NULL,
+          FOREIGN KEY(po_id) REFERENCES purchase_orders(id),
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'cost of goods snapshot on sales',
+    async up() {
+      // COGS snapshot: recipe qty x unit_cost at the time of sale, for the whole line
+      if (await addColumnIfMissing('sales', 'cost_total', 'REAL NOT NULL DEFAULT 0')) {
+        // Older sales predate snapshots; estimate them from today's recipes and costs
+        await runAsync(`
+          UPDATE sales SET cost_total = qty * COALESCE((
+            SELECT SUM(pi.qty * i.unit_cost)
+            FROM product_ingredients pi
+            JOIN ingredients i ON i.id = pi.ingredient_id
+            WHERE pi.product_id = sales.product_id
+          ), 0)
+        `);
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'stocktakes',
+    async up() {
+      await runAsync(`
+        CREATE TABLE stocktakes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          status TEXT NOT NULL,
+          started_at TEXT NOT NULL,
+          started_by TEXT,
+          committed_at TEXT,
+          notes TEXT
+        )
+      `);
+      // system_qty/variance/unit_cost are filled in when the count is committed
+      await runAsync(`
+        CREATE TABLE stocktake_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stocktake_id INTEGER NOT NULL,
+          ingredient_id INTEGER NOT NULL,
+          counted_qty REAL,
+          system_qty REAL,
+          variance REAL,
+          unit_cost REAL,
+          UNIQUE (stocktake_id, ingredient_id),
+          FOREIGN KEY(stocktake_id) REFERENCES stocktakes(id),
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'wastage',
+    async up() {
+      // One row per wastage event; cost is snapshotted at the time it was recorded
+      await runAsync(`
+        CREATE TABLE wastage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          reason_code TEXT NOT NULL,
+          ingredient_id INTEGER,
+          product_id INTEGER,
+          qty REAL NOT NULL,
+          cost REAL NOT NULL,
+          notes TEXT,
+          recorded_by TEXT,
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id),
+          FOREIGN KEY(product_id) REFERENCES products(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'ingredient pack sizes',
+    async up() {
+      // size is in the ingredient's own unit; name is stored lower-case
+      await runAsync(`
+        CREATE TABLE ingredient_packs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ingredient_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          size REAL NOT NULL,
+          UNIQUE (ingredient_id, name),
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'locations with per-location stock',
+    async up() {
+      await runAsync(`
+        CREATE TABLE locations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          archived INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL
+        )
+      `);
+      await runAsync(
+        `INSERT INTO locations (name, created_at) VALUES ('Main Stall', datetime('now','localtime'))`
+      );
+      const main = await getAsync('SELECT id FROM locations');
+
+      // ingredients.current_stock stays as the company-wide total
+      await runAsync(`
+        CREATE TABLE ingredient_stock (
+          ingredient_id INTEGER NOT NULL,
+          location_id INTEGER NOT NULL,
+          qty REAL NOT NULL DEFAULT 0,
+          PRIMARY KEY (ingredient_id, location_id),
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id),
+          FOREIGN KEY(location_id) REFERENCES locations(id)
+        )
+      `);
+      await runAsync(
+        'INSERT INTO ingredient_stock (ingredient_id, location_id, qty) SELECT id, ?, current_stock FROM ingredients',
+        [main.id]
+      );
+
+      // Existing history all happened at the one stall there was
+      for (const table of ['sales', 'orders', 'inventory_logs', 'wastage', 'stocktakes', 'purchase_orders']) {
+        await runAsync(`ALTER TABLE ${table} ADD COLUMN location_id INTEGER REFERENCES locations(id)`);
+        await runAsync(`UPDATE ${table} SET location_id = ?`, [main.id]);
+      }
+
+      await runAsync(`
+        CREATE TABLE stock_transfers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          ingredient_id INTEGER NOT NULL,
+          from_location_id INTEGER NOT NULL,
+          to_location_id INTEGER NOT NULL,
+          qty REAL NOT NULL,
+          notes TEXT,
+          created_by TEXT,
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id),
+          FOREIGN KEY(from_location_id) REFERENCES locations(id),
+          FOREIGN KEY(to_location_id) REFERENCES locations(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'order idempotency keys',
+    async up() {
+      // NULL for sales rung up without a key; SQLite lets those repeat
+      await runAsync('ALTER TABLE orders ADD COLUMN idempotency_key TEXT');
+      await runAsync('CREATE UNIQUE INDEX idx_orders_idempotency_key ON orders(idempotency_key)');
+    }
+  },
+  {
+    version: 15,
+    name: 'payments and cash drawer',
+    async up() {
+      // A shift at one location's till, from opening float to closing count
+      await runAsync(`
+        CREATE TABLE cash_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          location_id INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          opened_at TEXT NOT NULL,
+          opened_by TEXT,
+          opening_float REAL NOT NULL DEFAULT 0,
+          closed_at TEXT,
+          closed_by TEXT,
+          expected_cash REAL,
+          counted_cash REAL,
+          notes TEXT,
+          FOREIGN KEY(location_id) REFERENCES locations(id)
+        )
+      `);
+      // One row per tender; split payments have several. tendered is the cash handed over.
+      await runAsync(`
+        CREATE TABLE order_payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          method TEXT NOT NULL,
+          amount REAL NOT NULL,
+          tendered REAL,
+          FOREIGN KEY(order_id) REFERENCES orders(id)
+        )
+      `);
+      // Orders from before this migration have no payments: the method was never recorded
+      await addColumnIfMissing('orders', 'cash_session_id', 'INTEGER REFERENCES cash_sessions(id)');
+      await addColumnIfMissing('sale_refunds', 'method', 'TEXT');
+      await addColumnIfMissing('sale_refunds', 'cash_session_id', 'INTEGER REFERENCES cash_sessions(id)');
+    }
+  },
+  {
+    version: 16,
+    name: 'sale ingredient snapshot',
+    async up() {
+      // What each sale line actually deducted, so a refund puts back the same
+      // amounts even after the recipe changes. Older sales have no rows.
+      await runAsync(`
+        CREATE TABLE sale_ingredients (
+          sale_id INTEGER NOT NULL,
+          ingredient_id INTEGER NOT NULL,
+          qty REAL NOT NULL,
+          PRIMARY KEY (sale_id, ingredient_id),
+          FOREIGN KEY(sale_id) REFERENCES sales(id),
+          FOREIGN KEY(ingredient_id) REFERENCES ingredients(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'normalize legacy ingredient units',
+    async up() {
+      // Units used to be free text. Known spellings become the canonical unit;
+      // anything else ("bottle") becomes a count, with a pack of that name so
+      // quantities and the word people enter both still work. The units and
+      // spellings are the ones this version shipped with, so later changes to
+      // UNITS cannot change what the migration does.
+      const units = Object.freeze(['mg', 'g', 'kg', 'ml', 'l', 'unit']);
+      const aliases = Object.freeze({
+        gram: 'g',
+        grams: 'g',
+        kilogram: 'kg',
+        kilograms: 'kg',
+        litre: 'l',
+        liter: 'l',
+        litres: 'l',
+        liters: 'l',
+        units: 'unit',
+        pc: 'unit',
+        pcs: 'unit',
+        each: 'unit'
+      });
+      const ingredients = await allAsync('SELECT id, unit FROM ingredients');
+      for (const ing of ingredients) {
+        const key = String(ing.unit || '').trim().toLowerCase();
+        const unit = Object.hasOwn(aliases, key) ? aliases[key] : key;
+        if (units.includes(unit)) {
+          if (unit !== ing.unit) {
+            await runAsync('UPDATE ingredients SET unit = ? WHERE id = ?', [unit, ing.id]);
+          }
+          continue;
+        }
+        await runAsync("UPDATE ingredients SET unit = 'unit' WHERE id = ?", [ing.id]);
+        if (unit) {
+          await runAsync('INSERT OR IGNORE INTO ingredient_packs (ingredient_id, name, size) VALUES (?, ?, 1)', [
+            ing.id,
+            unit
+          ]);
+        }
+      }
+    }
+  },
+  {
+    version: 18,
+    name: 'cashier on orders',
+    async up() {
+      // Who rang the order up, as recordAudit stores it: the id plus the name at the
+      // time, so receipts keep it after the user is deleted
+      await addColumnIfMissing('orders', 'cashier_id', 'INTEGER');
+      await addColumnIfMissing('orders', 'cashier', 'TEXT');
+      await runAsync(`
+        UPDATE orders SET (cashier_id, cashier) = (
+          SELECT a.user_id, a.actor FROM audit_events a
+          WHERE a.entity = 'order' AND a.action IN ('create', 'replay') AND a.entity_id = CAST(orders.id AS TEXT)
+          ORDER BY a.id
+          LIMIT 1
+        )
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'inventory log kinds',
+    async up() {
+      // What moved the stock, so reports stop matching on the wording of reason.
+      // Older rows are sorted by the reasons this code has always written.
+      await addColumnIfMissing('inventory_logs', 'kind', 'TEXT');
+      await runAsync(`
+        UPDATE inventory_logs SET kind = CASE
+          WHEN reason LIKE 'Sale of %' THEN 'sale'
+          WHEN reason LIKE 'Refund of %' THEN 'refund'
+          WHEN reason LIKE 'Transfer %' THEN 'transfer'
+          WHEN reason LIKE 'PO #% received' THEN 'purchase'
+          WHEN reason = 'Stocktake variance' THEN 'stocktake'
+          WHEN reason LIKE 'Wastage (%' THEN 'wastage'
+          ELSE 'adjustment'
+        END
+      `);
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function currentSchemaVersion() {
+  const row = await getAsync('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+}
+
+async function migrate() {
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const current = await currentSchemaVersion();
+  if (current > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema is at version ${current} but this build only knows up to ${SCHEMA_VERSION}; ` +
+        'refusing to start. Deploy a newer build or restore a matching backup.'
+    );
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > current);
+  const existing = await getAsync("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'settings'");
+  if (pending.length && existing) {
+    console.log('Backed up before migrating: ' + (await createLocalBackup('pre-migrate')));
+  }
+
+  for (const migration of pending) {
+    await withTransaction(async () => {
+      await migration.up();
+      await runAsync(
+        `INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, datetime('now','localtime'))`,
+        [migration.version, migration.name]
+      );
     });
-  });
+    console.log(`Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+async function initDb() {
+  await runAsync('PRAGMA foreign_keys = ON');
+  await migrate();
+
+  // Seed CLOOFY data if empty
+  const row = await getAsync('SELECT COUNT(*) AS c FROM ingredients');
+  if (row.c === 0) {
+    console.log('Seeding initial CLOOFY ingredients & products...');
+    await seedIngredientsAndProducts();
+  }
+}
+
+// ---------- RECIPES ----------
+// Recipes are rows in product_ingredients; the API still speaks [{ ingredientId, qty }].
+function getRecipe(productId) {
+  return allAsync(
+    `SELECT ingredient_id AS ingredientId, qty
+     FROM product_ingredients
+     WHERE product_id = ?
+     ORDER BY rowid`,
+    [productId]
+  );
+}
+
+async function setRecipe(productId, recipe) {
+  await runAsync('DELETE FROM product_ingredients WHERE product_id = ?', [productId]);
+  for (const item of recipe) {
+    await runAsync(
+      'INSERT INTO product_ingredients (product_id, ingredient_id, qty) VALUES (?, ?, ?)',
+      [productId, item.ingredientId, item.qty]
+    );
+  }
+}
 
 // ---------- SEED DATA ----------
 async function seedIngredientsAndProducts() {
@@ -111,25 +859,48 @@ async function seedIngredientsAndProducts() {
       // id 1
       { name: 'Cotton Candy Base', unit: 'g', current: 12000, reorder: 4000, cost: 3 }, // 3,000/kg
       // id 2
-      { name: "Hershey's Chocolate Syrup", unit: 'g', current: 6000, reorder: 2000, cost: 3.82 },
+      { name: "Hershey's Chocolate Syrup", unit: 'g', current: 6000, reorder: 2000, cost: 3.82, packs: { bottle: 623 } },
       // id 3
       { name: 'Dark Chocolate Chips', unit: 'g', current: 2000, reorder: 500, cost: 1.85 },
       // id 4
-      { name: "Hershey's Strawberry Syrup", unit: 'g', current: 6000, reorder: 2000, cost: 4.41 },
+      { name: "Hershey's Strawberry Syrup", unit: 'g', current: 6000, reorder: 2000, cost: 4.41, packs: { bottle: 623 } },
       // id 5
       { name: 'Strawberry Pebbles', unit: 'g', current: 2000, reorder: 500, cost: 2 }, // 2,000/kg
       // id 6
       { name: 'Caramel Syrup', unit: 'g', current: 6000, reorder: 2000, cost: 5 }, // estimate
       // id 7
-      { name: 'Biscoff Crumbs', unit: 'g', current: 1750, reorder: 500, cost: 5 } // 1,250/250g
+      { name: 'Biscoff Crumbs', unit: 'g', current: 1750, reorder: 500, cost: 5, packs: { pack: 250 } } // 1,250/250g
     ];
 
+    // A factory reset clears locations too; opening stock goes to the first one
+    let location = await defaultLocation();
+    if (!location) {
+      const created = await runAsync(
+        `INSERT INTO locations (name, created_at) VALUES ('Main Stall', datetime('now','localtime'))`
+      );
+      location = { id: created.lastID };
+    }
+
+    const ingredientIds = [];
     for (const ing of ingredients) {
-      await runAsync(
+      const result = await runAsync(
         `INSERT INTO ingredients (name, unit, current_stock, reorder_level, unit_cost)
          VALUES (?, ?, ?, ?, ?)`,
         [ing.name, ing.unit, ing.current, ing.reorder, ing.cost]
       );
+      ingredientIds.push(result.lastID);
+      await runAsync('INSERT INTO ingredient_stock (ingredient_id, location_id, qty) VALUES (?, ?, ?)', [
+        result.lastID,
+        location.id,
+        ing.current
+      ]);
+      for (const [packName, size] of Object.entries(ing.packs || {})) {
+        await runAsync('INSERT INTO ingredient_packs (ingredient_id, name, size) VALUES (?, ?, ?)', [
+          result.lastID,
+          packName,
+          size
+        ]);
+      }
     }
 
     const products = [
@@ -163,10 +934,20 @@ async function seedIngredientsAndProducts() {
     ];
 
     for (const p of products) {
+      const result = await runAsync(
+        `INSERT INTO products (name, price)
+         VALUES (?, ?)`,
+        [p.name, p.price]
+      );
+      // Recipe ids above refer to the seed list; after a reset AUTOINCREMENT hands out new ids
+      await setRecipe(
+        result.lastID,
+        p.recipe.map((item) => ({ ingredientId: ingredientIds[item.ingredientId - 1], qty: item.qty }))
+      );
       await runAsync(
-        `INSERT INTO products (name, price, recipe_json)
-         VALUES (?, ?, ?)`,
-        [p.name, p.price, JSON.stringify(p.recipe)]
+        `INSERT INTO product_prices (product_id, price, effective_from)
+         VALUES (?, ?, datetime('now','localtime'))`,
+        [result.lastID, p.price]
       );
     }
 
@@ -174,7 +955,12 @@ async function seedIngredientsAndProducts() {
       { key: 'shop_name', value: 'CLOOFY' },
       { key: 'currency', value: 'LKR' },
       { key: 'daily_target_tubs', value: '80' },
-      { key: 'daily_target_revenue', value: '24000' }
+      { key: 'daily_target_revenue', value: '24000' },
+      { key: 'forecast_lead_days', value: '3' },
+      { key: 'forecast_cover_days', value: '14' },
+      { key: 'backup_interval_hours', value: '24' },
+      { key: 'backup_retention', value: '7' },
+      { key: 'snapshot_retention_days', value: '14' }
     ];
 
     for (const s of defaultSettings) {
@@ -190,1143 +976,7770 @@ async function seedIngredientsAndProducts() {
   }
 }
 
-// ---------- API: INGREDIENTS ----------
-app.get('/api/ingredients', async (req, res) => {
+// ---------- AUTH ----------
+// Roles are ranked: anything a cashier may do, a manager may do, and so on.
+const ROLE_RANK = { cashier: 1, manager: 2, owner: 3 };
+const SESSION_COOKIE = 'cloofy_session';
+const SESSION_DAYS = 7;
+// Failed logins within the window before we answer 429: per address and
+// username, and per address across all usernames. Both are keyed on the client
+// address, so failures from one address never lock out another.
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_MAX_FAILURES_PER_ADDRESS = 20;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Creating the first owner needs this token, so whoever reaches a fresh install
+// first can't claim it. Without SETUP_TOKEN a random one is printed at startup.
+const SETUP_TOKEN = process.env.SETUP_TOKEN || crypto.randomBytes(12).toString('hex');
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return salt + ':' + hash;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function validPassword(password) {
+  return typeof password === 'string' && password.length >= 8;
+}
+
+function tokenMatches(given, expected) {
+  if (typeof given !== 'string') return false;
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+const loginFailures = new Map();
+
+// The buckets one login attempt counts against, with their limits
+function loginBuckets(req, username) {
+  return [
+    { key: req.ip + '|' + String(username || '').toLowerCase(), max: LOGIN_MAX_FAILURES },
+    { key: req.ip, max: LOGIN_MAX_FAILURES_PER_ADDRESS }
+  ];
+}
+
+// Seconds until the attempt may be made, or 0 when no bucket is locked out.
+function loginRetryAfter(buckets) {
+  let wait = 0;
+  for (const { key, max } of buckets) {
+    const entry = loginFailures.get(key);
+    if (!entry) continue;
+    const left = entry.first + LOGIN_WINDOW_MS - Date.now();
+    if (left <= 0) loginFailures.delete(key);
+    else if (entry.count >= max) wait = Math.max(wait, Math.ceil(left / 1000));
+  }
+  return wait;
+}
+
+function recordLoginFailure(buckets) {
+  const now = Date.now();
+  for (const [k, entry] of loginFailures) {
+    if (entry.first + LOGIN_WINDOW_MS <= now) loginFailures.delete(k);
+  }
+  for (const { key } of buckets) {
+    const entry = loginFailures.get(key);
+    if (entry) entry.count += 1;
+    else loginFailures.set(key, { first: now, count: 1 });
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach((part) => {
+    const idx = part.indexOf('=');
+    if (idx > 0) {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+async function createSession(res, req, userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await runAsync(
+    `INSERT INTO sessions (token, user_id, expires_at)
+     VALUES (?, ?, datetime('now', '+${SESSION_DAYS} days'))`,
+    [token, userId]
+  );
+  const secure = req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_DAYS * 86400}${secure}`
+  );
+}
+
+// Attaches req.user when the session cookie is valid; never rejects by itself.
+app.use(async (req, res, next) => {
   try {
-    const ingredients = await allAsync('SELECT * FROM ingredients');
-    res.json(ingredients);
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      req.user = await getAsync(
+        `
+        SELECT u.id, u.username, u.role
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token = ? AND s.expires_at > datetime('now')
+      `,
+        [token]
+      );
+    }
+    next();
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to fetch ingredients' });
+    next(e);
   }
 });
 
-app.post('/api/ingredients', async (req, res) => {
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Login required' });
+    if (!Object.hasOwn(ROLE_RANK, req.user.role) || ROLE_RANK[req.user.role] < ROLE_RANK[role]) {
+      return res.status(403).json({ error: 'Not allowed for role ' + req.user.role });
+    }
+    next();
+  };
+}
+
+app.get('/api/auth/me', async (req, res) => {
   try {
-    const { name, unit, current_stock, reorder_level, unit_cost } = req.body;
-    const result = await runAsync(
-      `INSERT INTO ingredients (name, unit, current_stock, reorder_level, unit_cost)
-       VALUES (?, ?, ?, ?, ?)`,
-      [name, unit, current_stock, reorder_level, unit_cost]
-    );
-    res.json({ id: result.lastID });
+    const row = await getAsync('SELECT COUNT(*) AS c FROM users');
+    res.json({ user: req.user || null, setup_required: row.c === 0 });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to create ingredient' });
+    res.status(500).json({ error: 'Failed to load session' });
   }
 });
 
-app.post('/api/ingredients/:id/adjust', async (req, res) => {
+// First run only: creates the initial owner account.
+app.post('/api/auth/setup', async (req, res) => {
   try {
-    const { change, reason } = req.body;
-    const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [req.params.id]);
-    if (!ing) return res.status(404).json({ error: 'Ingredient not found' });
-
-    const newStock = ing.current_stock + change;
-    await runAsync(
-      'UPDATE ingredients SET current_stock = ? WHERE id = ?',
-      [newStock, req.params.id]
-    );
-    await runAsync(
-      `INSERT INTO inventory_logs (date, ingredient_id, change, reason)
-       VALUES (datetime('now','localtime'), ?, ?, ?)`,
-      [req.params.id, change, reason || 'Manual adjust']
-    );
-
-    res.json({ success: true, newStock });
+    const { username, password, setup_token } = req.body;
+    if (!tokenMatches(setup_token, SETUP_TOKEN)) {
+      return res.status(403).json({ error: 'A valid setup token is required' });
+    }
+    if (typeof username !== 'string' || !username || !validPassword(password)) {
+      return res
+        .status(400)
+        .json({ error: 'Username and a password of at least 8 characters are required' });
+    }
+    const user = await withTransaction(async () => {
+      const row = await getAsync('SELECT COUNT(*) AS c FROM users');
+      if (row.c > 0) throw httpError(409, 'Setup has already been completed');
+
+      const result = await runAsync(
+        `INSERT INTO users (username, password_hash, role, created_at)
+         VALUES (?, ?, 'owner', datetime('now','localtime'))`,
+        [username, hashPassword(password)]
+      );
+      const created = { id: result.lastID, username, role: 'owner' };
+      await recordAudit({ user: created }, 'create', 'user', created.id, null, created);
+      return created;
+    });
+    await createSession(res, req, user.id);
+    res.json({ success: true, user });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to adjust stock' });
+    sendError(res, e, 'Failed to create owner account');
   }
 });
 
-// ---------- API: PRODUCTS ----------
-app.get('/api/products', async (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const products = await allAsync('SELECT * FROM products');
-    res.json(
-      products.map((p) => ({
-        ...p,
-        recipe: JSON.parse(p.recipe_json)
-      }))
-    );
+    const { username, password } = req.body;
+    const buckets = loginBuckets(req, username);
+    const retryAfter = loginRetryAfter(buckets);
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+    const user = await getAsync('SELECT * FROM users WHERE username = ?', [username]);
+    if (
+      !user ||
+      typeof password !== 'string' ||
+      !password ||
+      !verifyPassword(password, user.password_hash)
+    ) {
+      recordLoginFailure(buckets);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginFailures.delete(buckets[0].key);
+    await createSession(res, req, user.id);
+    res.json({ success: true, user: { id: user.id, username: user.username, role: user.role } });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch products' });
+    res.status(500).json({ error: 'Failed to log in' });
   }
 });
 
-app.post('/api/products', async (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    const { name, price, recipe } = req.body;
-    const result = await runAsync(
-      `INSERT INTO products (name, price, recipe_json)
-       VALUES (?, ?, ?)`,
-      [name, price, JSON.stringify(recipe)]
-    );
-    res.json({ id: result.lastID });
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      await runAsync('DELETE FROM sessions WHERE token = ?', [token]);
+      endEventStreams((client) => client.token === token);
+    }
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.json({ success: true });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to create product' });
+    res.status(500).json({ error: 'Failed to log out' });
   }
 });
 
-// ---------- API: SALES ----------
-app.post('/api/sales', async (req, res) => {
+// ---------- API: USERS ----------
+app.get('/api/users', requireRole('owner'), async (req, res) => {
   try {
-    const { product_id, qty } = req.body;
-    const product = await getAsync('SELECT * FROM products WHERE id = ?', [product_id]);
-    if (!product) return res.status(404).json({ error: 'Product not found' });
-
-    const recipe = JSON.parse(product.recipe_json);
-
-    // Check stock first
-    for (const item of recipe) {
-      const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredientId]);
-      if (!ing) {
-        return res.status(400).json({ error: 'Missing ingredient with id ' + item.ingredientId });
-      }
-      const required = item.qty * qty;
-      if (ing.current_stock < required) {
-        return res.status(400).json({
-          error: 'Not enough stock for ingredient ' + ing.name,
-          ingredient: ing.name
-        });
-      }
-    }
-
-    // Deduct stock
-    for (const item of recipe) {
-      const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredientId]);
-      const required = item.qty * qty;
-      const newStock = ing.current_stock - required;
-
-      await runAsync('UPDATE ingredients SET current_stock = ? WHERE id = ?', [
-        newStock,
-        ing.id
-      ]);
-      await runAsync(
-        `INSERT INTO inventory_logs (date, ingredient_id, change, reason)
-         VALUES (datetime('now','localtime'), ?, ?, ?)`,
-        [ing.id, -required, 'Sale of ' + product.name]
-      );
-    }
-
-    const totalPrice = product.price * qty;
-    await runAsync(
-      `INSERT INTO sales (date, product_id, qty, total_price)
-       VALUES (datetime('now','localtime'), ?, ?, ?)`,
-      [product_id, qty, totalPrice]
-    );
-
-    res.json({ success: true, totalPrice });
+    const users = await allAsync('SELECT id, username, role, created_at FROM users ORDER BY id');
+    res.json(users);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to record sale' });
+    res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-// ---------- API: DASHBOARD ----------
-app.get('/api/dashboard/summary', async (req, res) => {
+app.post('/api/users', requireRole('owner'), async (req, res) => {
   try {
-    const revenueRow = await getAsync('SELECT SUM(total_price) AS revenue FROM sales');
-    const salesCountRow = await getAsync('SELECT COUNT(*) AS sales_count FROM sales');
-    const tubsRow = await getAsync('SELECT SUM(qty) AS total_tubs FROM sales');
-
-    const lowStock = await allAsync(
-      'SELECT * FROM ingredients WHERE current_stock <= reorder_level'
-    );
-
-    const todayRow = await getAsync(
-      `
-      SELECT SUM(total_price) AS revenue, SUM(qty) AS tubs
-      FROM sales
-      WHERE date(date) = date('now','localtime')
-    `
-    );
+    const { username, password, role } = req.body;
+    if (typeof username !== 'string' || !username || !validPassword(password)) {
+      return res
+        .status(400)
+        .json({ error: 'Username and a password of at least 8 characters are required' });
+    }
+    if (!Object.hasOwn(ROLE_RANK, role)) return res.status(400).json({ error: 'Unknown role ' + role });
 
-    const settingsRows = await allAsync('SELECT key, value FROM settings');
-    const settings = {};
-    settingsRows.forEach((r) => {
-      settings[r.key] = r.value;
-    });
+    const id = await withTransaction(async () => {
+      const existing = await getAsync('SELECT id FROM users WHERE username = ?', [username]);
+      if (existing) throw httpError(409, 'Username already taken');
 
-    res.json({
-      revenue: revenueRow?.revenue || 0,
-      sales_count: salesCountRow?.sales_count || 0,
-      total_tubs: tubsRow?.total_tubs || 0,
-      low_stock: lowStock,
-      today_revenue: todayRow?.revenue || 0,
-      today_tubs: todayRow?.tubs || 0,
-      currency: settings.currency || 'LKR',
-      shop_name: settings.shop_name || 'CLOOFY',
-      daily_target_revenue: Number(settings.daily_target_revenue || 0),
-      daily_target_tubs: Number(settings.daily_target_tubs || 0)
+      const result = await runAsync(
+        `INSERT INTO users (username, password_hash, role, created_at)
+         VALUES (?, ?, ?, datetime('now','localtime'))`,
+        [username, hashPassword(password), role]
+      );
+      await recordAudit(req, 'create', 'user', result.lastID, null, { username, role });
+      return result.lastID;
     });
+    res.json({ id });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to load summary' });
+    sendError(res, e, 'Failed to create user');
   }
 });
 
-app.get('/api/dashboard/sales-by-day', async (req, res) => {
+app.delete('/api/users/:id', requireRole('owner'), async (req, res) => {
   try {
-    const rows = await allAsync(`
-      SELECT date(date) AS day, SUM(total_price) AS revenue, SUM(qty) AS tubs
-      FROM sales
-      WHERE date >= date('now','localtime','-30 day')
-      GROUP BY date(date)
-      ORDER BY date(date)
-    `);
-    res.json(rows);
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    await withTransaction(async () => {
+      const user = await getAsync('SELECT id, username, role FROM users WHERE id = ?', [
+        req.params.id
+      ]);
+      if (!user) throw httpError(404, 'User not found');
+
+      await runAsync('DELETE FROM sessions WHERE user_id = ?', [user.id]);
+      await runAsync('DELETE FROM users WHERE id = ?', [user.id]);
+      await recordAudit(req, 'delete', 'user', user.id, user, null);
+    });
+    endEventStreams((client) => client.userId === Number(req.params.id));
+    res.json({ success: true });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to load chart data' });
+    sendError(res, e, 'Failed to delete user');
   }
 });
 
-// ---------- API: REPORTS (PDF) ----------
-app.get('/api/reports/monthly-pdf', async (req, res) => {
-  try {
-    const month = req.query.month; // optional "YYYY-MM"
-    const filter = month ? `WHERE strftime('%Y-%m', date) = ?` : '';
-    const params = month ? [month] : [];
+// ---------- UNITS ----------
+// Stock, costs and recipe quantities are always stored in the ingredient's own
+// unit. Anything entered in another unit is converted on the way in: units of the
+// same dimension by factor, and packs (a 623 g bottle, a 250 g pack) defined per
+// ingredient in ingredient_packs.
+const UNITS = {
+  mg: { dimension: 'mass', factor: 0.001 },
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  ml: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  unit: { dimension: 'count', factor: 1 }
+};
+const UNIT_ALIASES = {
+  gram: 'g',
+  grams: 'g',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  litre: 'l',
+  liter: 'l',
+  litres: 'l',
+  liters: 'l',
+  units: 'unit',
+  pc: 'unit',
+  pcs: 'unit',
+  each: 'unit'
+};
+
+function normalizeUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase();
+  return Object.hasOwn(UNIT_ALIASES, key) ? UNIT_ALIASES[key] : key;
+}
 
-    const summary = await getAsync(
-      `
-      SELECT SUM(total_price) AS revenue, SUM(qty) AS tubs
-      FROM sales
-      ${filter}
-    `,
-      params
-    );
-    const ingredients = await allAsync('SELECT * FROM ingredients');
+function isUnit(unit) {
+  return Object.hasOwn(UNITS, unit);
+}
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      'attachment; filename="cloofy-monthly-report.pdf"'
-    );
+// How many of the ingredient's own unit one `unit` is; no unit means the base unit
+async function unitFactor(ing, unit) {
+  const from = normalizeUnit(unit);
+  const base = normalizeUnit(ing.unit);
+  if (!from || from === base) return 1;
+
+  const pack = await getAsync('SELECT size FROM ingredient_packs WHERE ingredient_id = ? AND name = ?', [
+    ing.id,
+    from
+  ]);
+  if (pack) return pack.size;
+
+  if (!isUnit(from)) {
+    throw httpError(400, `Unknown unit "${unit}" for ${ing.name}; use ${ing.unit}, a compatible unit or one of its packs`, {
+      ingredient: ing.name,
+      unit
+    });
+  }
+  if (!isUnit(base) || UNITS[from].dimension !== UNITS[base].dimension) {
+    throw httpError(400, `Cannot convert ${from} to ${ing.unit} for ${ing.name}`, {
+      ingredient: ing.name,
+      unit
+    });
+  }
+  return UNITS[from].factor / UNITS[base].factor;
+}
 
-    const doc = new PDFDocument();
-    doc.pipe(res);
+async function toBaseQty(ing, qty, unit) {
+  return qty * (await unitFactor(ing, unit));
+}
 
-    doc.fontSize(20).text('CLOOFY Monthly Report', { underline: true });
-    doc.moveDown();
+// A cost per `unit` expressed per the ingredient's own unit
+async function toBaseCost(ing, cost, unit) {
+  return cost / (await unitFactor(ing, unit));
+}
 
-    doc.fontSize(12).text('Month: ' + (month || 'All Time'));
-    doc.text('Total Revenue: LKR ' + ((summary?.revenue || 0).toFixed(2)));
-    doc.text('Total Tubs Sold: ' + (summary?.tubs || 0));
-    doc.moveDown();
+app.get('/api/units', requireRole('cashier'), (req, res) => {
+  res.json(Object.entries(UNITS).map(([code, u]) => ({ code, ...u })));
+});
 
-    doc.text('Low Stock Ingredients:', { underline: true });
-    const lowStock = ingredients.filter((i) => i.current_stock <= i.reorder_level);
-    if (lowStock.length === 0) {
-      doc.text('- None 🎉');
-    } else {
-      lowStock.forEach((i) => {
-        doc.text(
-          '- ' +
-            i.name +
-            ': ' +
-            i.current_stock +
-            ' ' +
-            i.unit +
-            ' (reorder at ' +
-            i.reorder_level +
-            ')'
-        );
-      });
-    }
+// ---------- LOCATIONS ----------
+// Each stall holds its own stock in ingredient_stock; ingredients.current_stock is
+// the company-wide total, kept in step by applyStockChange. The topbar switcher
+// sends X-Location-Id (PDF links pass ?location_id=). Without one, reports are
+// company-wide and stock moves at the first active location.
+function defaultLocation() {
+  return getAsync('SELECT * FROM locations WHERE archived = 0 ORDER BY id LIMIT 1');
+}
 
-    doc.end();
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to generate PDF' });
+async function locationScope(req) {
+  const raw = req.query.location_id || req.get('X-Location-Id');
+  if (!raw || raw === 'all') return null;
+  const location = await getAsync('SELECT * FROM locations WHERE id = ?', [Number(raw)]);
+  if (!location) throw httpError(400, 'Unknown location with id ' + raw);
+  return location;
+}
+
+// Where a sale or stock movement happens: body.location_id, else the scoped location, else the default
+async function stockLocation(req) {
+  const id = req.body && req.body.location_id;
+  const location = id
+    ? await getAsync('SELECT * FROM locations WHERE id = ?', [Number(id)])
+    : (await locationScope(req)) || (await defaultLocation());
+  if (!location) throw httpError(400, id ? 'Unknown location with id ' + id : 'No active location');
+  if (location.archived) throw httpError(400, location.name + ' is archived');
+  return location;
+}
+
+// WHERE fragment limiting `column` to the scoped location; always true when company-wide
+function locationFilter(location, column) {
+  return location ? { sql: column + ' = ?', params: [location.id] } : { sql: '1 = 1', params: [] };
+}
+
+// Swaps each ingredient's current_stock for what `location` holds
+async function withLocationStock(ingredients, location) {
+  if (!location) return ingredients;
+  const rows = await allAsync('SELECT ingredient_id, qty FROM ingredient_stock WHERE location_id = ?', [
+    location.id
+  ]);
+  const held = new Map(rows.map((r) => [r.ingredient_id, r.qty]));
+  return ingredients.map((ing) => ({ ...ing, current_stock: held.get(ing.id) || 0 }));
+}
+
+// Changes stock at one location, the company total with it, and logs the movement.
+// kind is what moved it (sale, refund, transfer, purchase, stocktake, wastage or
+// adjustment); reason is the wording people read.
+// Returns the location's new quantity, or null (changing nothing) if it would go
+// below zero, so callers can report the shortfall in their own words.
+async function applyStockChange(ingredientId, locationId, change, reason, kind) {
+  await runAsync('INSERT OR IGNORE INTO ingredient_stock (ingredient_id, location_id) VALUES (?, ?)', [
+    ingredientId,
+    locationId
+  ]);
+  const result = await runAsync(
+    `UPDATE ingredient_stock SET qty = qty + ?
+     WHERE ingredient_id = ? AND location_id = ? AND qty + ? >= 0`,
+    [change, ingredientId, locationId, change]
+  );
+  if (result.changes === 0) return null;
+
+  await runAsync('UPDATE ingredients SET current_stock = current_stock + ? WHERE id = ?', [change, ingredientId]);
+  await runAsync(
+    `INSERT INTO inventory_logs (date, ingredient_id, change, reason, location_id, kind)
+     VALUES (datetime('now','localtime'), ?, ?, ?, ?, ?)`,
+    [ingredientId, change, reason, locationId, kind]
+  );
+  const row = await getAsync('SELECT qty FROM ingredient_stock WHERE ingredient_id = ? AND location_id = ?', [
+    ingredientId,
+    locationId
+  ]);
+
+  // Announce the moment a location crosses the reorder level, not every sale below it
+  const ing = await getAsync('SELECT name, unit, reorder_level FROM ingredients WHERE id = ?', [ingredientId]);
+  if (row.qty <= ing.reorder_level && row.qty - change > ing.reorder_level) {
+    publishEvent('low_stock', {
+      location_ids: [locationId],
+      ingredient_id: ingredientId,
+      name: ing.name,
+      unit: ing.unit,
+      current_stock: row.qty,
+      reorder_level: ing.reorder_level
+    });
   }
-});
+  return row.qty;
+}
 
-// ---------- API: SETTINGS ----------
-app.get('/api/settings', async (req, res) => {
+function validateLocationName(name) {
+  if (!name || !String(name).trim()) throw httpError(400, 'Location name is required');
+  return String(name).trim();
+}
+
+// Open to cashiers too: the switcher needs the list to pick a stall to sell from
+app.get('/api/locations', requireRole('cashier'), async (req, res) => {
   try {
-    const rows = await allAsync('SELECT key, value FROM settings');
-    const obj = {};
-    rows.forEach((r) => {
-      obj[r.key] = r.value;
-    });
-    res.json(obj);
+    const rows = await allAsync(`
+      SELECT l.*, COALESCE(SUM(st.qty * i.unit_cost), 0) AS stock_value
+      FROM locations l
+      LEFT JOIN ingredient_stock st ON st.location_id = l.id
+      LEFT JOIN ingredients i ON i.id = st.ingredient_id
+      ${req.query.include_archived ? '' : 'WHERE l.archived = 0'}
+      GROUP BY l.id
+      ORDER BY l.archived, l.id
+    `);
+    res.json(rows);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to fetch settings' });
+    sendError(res, e, 'Failed to fetch locations');
   }
 });
 
-app.post('/api/settings', async (req, res) => {
+app.post('/api/locations', requireRole('owner'), async (req, res) => {
   try {
-    const body = req.body || {};
-    const keys = Object.keys(body);
-    for (const key of keys) {
-      const value = String(body[key] ?? '');
-      await runAsync(
-        `
-        INSERT INTO settings (key, value)
-        VALUES (?, ?)
-        ON CONFLICT(key) DO UPDATE SET value = excluded.value
-      `,
-        [key, value]
+    const location = await withTransaction(async () => {
+      const name = validateLocationName(req.body && req.body.name);
+      const clash = await getAsync('SELECT id FROM locations WHERE name = ?', [name]);
+      if (clash) throw httpError(409, 'A location called ' + name + ' already exists');
+
+      const result = await runAsync(
+        `INSERT INTO locations (name, created_at) VALUES (?, datetime('now','localtime'))`,
+        [name]
       );
-    }
-    res.json({ success: true });
+      const created = await getAsync('SELECT * FROM locations WHERE id = ?', [result.lastID]);
+      await recordAudit(req, 'create', 'location', created.id, null, created);
+      return created;
+    });
+    res.status(201).json(location);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to save settings' });
+    sendError(res, e, 'Failed to create location');
   }
 });
 
-// ---------- API: RESET EVERYTHING ----------
-app.post('/api/reset-all', async (req, res) => {
+// Body: { name?, archived? }. A location still holding stock cannot be archived;
+// transfer it out first.
+app.put('/api/locations/:id', requireRole('owner'), async (req, res) => {
   try {
-    await runAsync('DELETE FROM sales');
-    await runAsync('DELETE FROM inventory_logs');
-    await runAsync('DELETE FROM products');
-    await runAsync('DELETE FROM ingredients');
-    await runAsync('DELETE FROM settings');
-
-    await seedIngredientsAndProducts();
+    const location = await withTransaction(async () => {
+      const existing = await getAsync('SELECT * FROM locations WHERE id = ?', [req.params.id]);
+      if (!existing) throw httpError(404, 'Location not found');
+
+      const name = req.body.name === undefined ? existing.name : validateLocationName(req.body.name);
+      const clash = await getAsync('SELECT id FROM locations WHERE name = ? AND id != ?', [name, existing.id]);
+      if (clash) throw httpError(409, 'A location called ' + name + ' already exists');
+
+      const archived = req.body.archived === undefined ? existing.archived : req.body.archived ? 1 : 0;
+      if (archived && !existing.archived) {
+        const held = await getAsync(
+          'SELECT COUNT(*) AS c FROM ingredient_stock WHERE location_id = ? AND qty > 0',
+          [existing.id]
+        );
+        if (held.c) throw httpError(400, existing.name + ' still holds stock; transfer it out before archiving');
+        const others = await getAsync('SELECT COUNT(*) AS c FROM locations WHERE archived = 0 AND id != ?', [
+          existing.id
+        ]);
+        if (!others.c) throw httpError(400, 'At least one location must stay active');
+      }
 
-    res.json({ success: true });
+      await runAsync('UPDATE locations SET name = ?, archived = ? WHERE id = ?', [name, archived, existing.id]);
+      const updated = await getAsync('SELECT * FROM locations WHERE id = ?', [existing.id]);
+      await recordAudit(req, 'update', 'location', existing.id, existing, updated);
+      return updated;
+    });
+    res.json(location);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to reset system' });
+    sendError(res, e, 'Failed to update location');
   }
 });
 
-// ---------- API: RECENT SALES ----------
-app.get('/api/sales/recent', async (req, res) => {
+app.get('/api/transfers', requireRole('manager'), async (req, res) => {
   try {
+    const scope = await locationScope(req);
     const rows = await allAsync(
       `
-      SELECT s.date, s.qty, s.total_price, p.name AS product_name
-      FROM sales s
-      JOIN products p ON p.id = s.product_id
-      ORDER BY s.date DESC
-      LIMIT 20
-    `
+      SELECT t.*, i.name AS ingredient_name, i.unit, f.name AS from_location, tl.name AS to_location
+      FROM stock_transfers t
+      JOIN ingredients i ON i.id = t.ingredient_id
+      JOIN locations f ON f.id = t.from_location_id
+      JOIN locations tl ON tl.id = t.to_location_id
+      ${scope ? 'WHERE t.from_location_id = ? OR t.to_location_id = ?' : ''}
+      ORDER BY t.id DESC
+      LIMIT 50
+    `,
+      scope ? [scope.id, scope.id] : []
     );
     res.json(rows);
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to fetch recent sales' });
+    sendError(res, e, 'Failed to fetch transfers');
   }
 });
 
-// ---------- FRONTEND (INLINE HTML + JS + CSS) ----------
-const htmlPage = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <title>CLOOFY Dashboard</title>
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <style>
-    * {
-      box-sizing: border-box;
-      font-family: system-ui, -apple-system, BlinkMacSystemFont, "SF Pro Text",
-        "Segoe UI", sans-serif;
-    }
-
-    body {
-      margin: 0;
-      min-height: 100vh;
-      background: radial-gradient(circle at top, #ffe3f3 0, #ffeef7 40%, #f4f0ff 100%);
-      color: #26233a;
+// Body: { ingredient_id, from_location_id, to_location_id, qty, unit?, notes? }.
+// Deducts at one location and adds at the other, logging both sides.
+app.post('/api/transfers', requireRole('manager'), async (req, res) => {
+  try {
+    const { ingredient_id, from_location_id, to_location_id, unit, notes } = req.body || {};
+    const entered = Number(req.body && req.body.qty);
+    if (!(entered > 0)) throw httpError(400, 'Quantity must be positive');
+    if (Number(from_location_id) === Number(to_location_id)) {
+      throw httpError(400, 'Choose two different locations');
     }
 
-    /* App shell */
-    .app-shell {
-      max-width: 1120px;
-      margin: 16px auto;
-      padding: 12px;
-    }
+    const transfer = await withTransaction(async () => {
+      const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [ingredient_id]);
+      if (!ing) throw httpError(404, 'Ingredient not found');
+      if (ing.archived) throw httpError(400, ing.name + ' is archived');
+      const from = await getAsync('SELECT * FROM locations WHERE id = ?', [from_location_id]);
+      const to = await getAsync('SELECT * FROM locations WHERE id = ?', [to_location_id]);
+      if (!from || !to) throw httpError(400, 'Unknown location');
+      for (const location of [from, to]) {
+        if (location.archived) throw httpError(400, location.name + ' is archived');
+      }
+      const qty = await toBaseQty(ing, entered, unit);
 
-    @media (min-width: 768px) {
-      .app-shell {
-        margin: 32px auto;
-        padding: 0;
+      if ((await applyStockChange(ing.id, from.id, -qty, 'Transfer to ' + to.name, 'transfer')) === null) {
+        throw httpError(400, 'Not enough ' + ing.name + ' at ' + from.name, { ingredient: ing.name });
       }
-    }
+      await applyStockChange(ing.id, to.id, qty, 'Transfer from ' + from.name, 'transfer');
 
-    .app-card {
-      background: #ffffff;
-      border-radius: 20px;
-      box-shadow: 0 18px 40px rgba(64, 46, 87, 0.16);
-      overflow: hidden;
-    }
+      const result = await runAsync(
+        `INSERT INTO stock_transfers (date, ingredient_id, from_location_id, to_location_id, qty, notes, created_by)
+         VALUES (datetime('now','localtime'), ?, ?, ?, ?, ?, ?)`,
+        [ing.id, from.id, to.id, qty, notes || null, req.user.username]
+      );
+      const row = await getAsync('SELECT * FROM stock_transfers WHERE id = ?', [result.lastID]);
+      await recordAudit(req, 'create', 'transfer', row.id, null, {
+        ...row,
+        entered: unit ? entered + ' ' + unit : entered
+      });
+      publishEvent('adjustment', { source: 'transfer', ingredient_ids: [ing.id], location_ids: [from.id, to.id] });
+      return row;
+    });
+    res.status(201).json(transfer);
+  } catch (e) {
+    sendError(res, e, 'Failed to transfer stock');
+  }
+});
 
-    /* Topbar */
-    .topbar {
-      background: linear-gradient(90deg, #ff9ad5, #ff7eb3, #ffc46b);
-      padding: 16px 20px;
-      color: #fff;
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      gap: 8px;
-    }
+// ---------- API: INGREDIENTS ----------
+// Shared by create and edit; current_stock is only settable on create (then via adjust).
+function validateIngredient({ name, unit, reorder_level, unit_cost, par_level }) {
+  if (!name || !String(name).trim() || !unit || !String(unit).trim()) {
+    throw httpError(400, 'Name and unit are required');
+  }
+  const reorder = Number(reorder_level || 0);
+  const cost = Number(unit_cost || 0);
+  if (!Number.isFinite(reorder) || reorder < 0 || !Number.isFinite(cost) || cost < 0) {
+    throw httpError(400, 'Reorder level and unit cost must be non-negative numbers');
+  }
+  const par = par_level === undefined || par_level === null || par_level === '' ? null : Number(par_level);
+  if (par !== null && (!Number.isFinite(par) || par < reorder)) {
+    throw httpError(400, 'Par level must be a number no lower than the reorder level');
+  }
+  if (!isUnit(normalizeUnit(unit))) {
+    throw httpError(400, 'Unit must be one of: ' + Object.keys(UNITS).join(', '));
+  }
+  return {
+    name: String(name).trim(),
+    unit: normalizeUnit(unit),
+    reorder_level: reorder,
+    unit_cost: cost,
+    par_level: par
+  };
+}
 
-    .topbar-left {
-      display: flex;
-      flex-direction: column;
-      gap: 2px;
-    }
+// current_stock is the scoped location's; stock_by_location always lists every stall
+app.get('/api/ingredients', requireRole('manager'), async (req, res) => {
+  try {
+    const scope = await locationScope(req);
+    const ingredients = await allAsync(
+      req.query.include_archived
+        ? 'SELECT * FROM ingredients ORDER BY archived, id'
+        : 'SELECT * FROM ingredients WHERE archived = 0'
+    );
+    const packs = await allAsync('SELECT * FROM ingredient_packs ORDER BY size');
+    const stock = await allAsync(`
+      SELECT st.ingredient_id, st.location_id, l.name AS location_name, st.qty
+      FROM ingredient_stock st
+      JOIN locations l ON l.id = st.location_id
+      WHERE l.archived = 0
+      ORDER BY l.id
+    `);
+    res.json(
+      (await withLocationStock(ingredients, scope)).map((ing, i) => ({
+        ...ing,
+        total_stock: ingredients[i].current_stock,
+        packs: packs.filter((p) => p.ingredient_id === ing.id),
+        stock_by_location: stock.filter((st) => st.ingredient_id === ing.id)
+      }))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch ingredients' });
+  }
+});
 
-    .topbar h1 {
-      margin: 0;
-      font-size: 1.4rem;
-      letter-spacing: 0.04em;
-    }
+app.post('/api/ingredients', requireRole('manager'), async (req, res) => {
+  try {
+    const id = await withTransaction(async () => {
+      const { name, unit, reorder_level, unit_cost, par_level } = validateIngredient(req.body);
+      const current_stock = Number(req.body.current_stock || 0);
+      if (!Number.isFinite(current_stock) || current_stock < 0) {
+        throw httpError(400, 'Current stock must be a non-negative number');
+      }
 
-    .topbar span {
-      font-size: 0.8rem;
-      opacity: 0.9;
-    }
+      const location = await stockLocation(req);
 
-    .cloud-pill {
-      background: rgba(255, 255, 255, 0.16);
-      padding: 4px 10px;
-      border-radius: 999px;
-      font-size: 0.75rem;
-      backdrop-filter: blur(6px);
-    }
+      const result = await runAsync(
+        `INSERT INTO ingredients (name, unit, current_stock, reorder_level, unit_cost, par_level)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, unit, current_stock, reorder_level, unit_cost, par_level]
+      );
+      await runAsync('INSERT INTO ingredient_stock (ingredient_id, location_id, qty) VALUES (?, ?, ?)', [
+        result.lastID,
+        location.id,
+        current_stock
+      ]);
+      const created = await getAsync('SELECT * FROM ingredients WHERE id = ?', [result.lastID]);
+      await recordAudit(req, 'create', 'ingredient', created.id, null, created);
+      return created.id;
+    });
+    res.json({ id });
+  } catch (e) {
+    sendError(res, e, 'Failed to create ingredient');
+  }
+});
 
-    /* Tabs */
-    nav.tabs {
-      display: flex;
-      gap: 4px;
-      padding: 6px 10px 10px;
-      border-bottom: 1px solid #f3e8ff;
-      background: linear-gradient(to right, #fff7fd, #f9f4ff);
-    }
+app.put('/api/ingredients/:id', requireRole('manager'), async (req, res) => {
+  try {
+    const ingredient = await withTransaction(async () => {
+      const existing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [req.params.id]);
+      if (!existing) throw httpError(404, 'Ingredient not found');
+
+      const { name, unit, reorder_level, unit_cost, par_level } = validateIngredient(req.body);
+      if (unit !== normalizeUnit(existing.unit)) {
+        const used = await getAsync(
+          `SELECT (SELECT COUNT(*) FROM inventory_logs WHERE ingredient_id = ?) +
+             (SELECT COUNT(*) FROM product_ingredients WHERE ingredient_id = ?) AS c`,
+          [existing.id, existing.id]
+        );
+        if (existing.current_stock || used.c) {
+          throw httpError(400, 'The unit of ' + existing.name + ' cannot change once it has stock, history or recipes');
+        }
+      }
+      await runAsync(
+        `UPDATE ingredients SET name = ?, unit = ?, reorder_level = ?, unit_cost = ?, par_level = ?
+         WHERE id = ?`,
+        [name, unit, reorder_level, unit_cost, par_level, existing.id]
+      );
 
-    nav.tabs button {
-      flex: 1;
-      padding: 8px 6px;
-      border-radius: 999px;
-      border: none;
-      background: transparent;
-      font-size: 0.85rem;
-      font-weight: 500;
-      color: #6b5c87;
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 6px;
-      transition: background 0.2s ease, color 0.2s ease, transform 0.1s ease;
-    }
+      const updated = await getAsync('SELECT * FROM ingredients WHERE id = ?', [existing.id]);
+      await recordAudit(req, 'update', 'ingredient', existing.id, existing, updated);
+      return updated;
+    });
+    res.json(ingredient);
+  } catch (e) {
+    sendError(res, e, 'Failed to update ingredient');
+  }
+});
 
-    nav.tabs button span.icon {
-      font-size: 1rem;
-    }
+// Refused while any recipe uses the ingredient. Otherwise it is archived when it has
+// stock history (inventory_logs keep their foreign key) and deleted outright when not.
+app.delete('/api/ingredients/:id', requireRole('manager'), async (req, res) => {
+  try {
+    const archived = await withTransaction(async () => {
+      const existing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [req.params.id]);
+      if (!existing) throw httpError(404, 'Ingredient not found');
 
-    nav.tabs button.active {
-      background: #fff;
-      color: #ff4f9d;
-      box-shadow: 0 6px 14px rgba(255, 79, 157, 0.25);
-      transform: translateY(-1px);
-    }
+      const products = await allAsync(
+        `
+        SELECT p.id, p.name
+        FROM product_ingredients pi
+        JOIN products p ON p.id = pi.product_id
+        WHERE pi.ingredient_id = ?
+        ORDER BY p.name
+      `,
+        [existing.id]
+      );
+      if (products.length) {
+        throw httpError(
+          409,
+          existing.name + ' is used in: ' + products.map((p) => p.name).join(', '),
+          { products }
+        );
+      }
 
-    nav.tabs button:hover:not(.active) {
-      background: rgba(255, 255, 255, 0.7);
-    }
+      const history = await getAsync(
+        `SELECT (SELECT COUNT(*) FROM inventory_logs WHERE ingredient_id = ?) +
+           (SELECT COUNT(*) FROM sale_ingredients WHERE ingredient_id = ?) +
+           (SELECT COUNT(*) FROM purchase_order_items WHERE ingredient_id = ?) +
+           (SELECT COUNT(*) FROM stocktake_items WHERE ingredient_id = ?) +
+           (SELECT COUNT(*) FROM wastage WHERE ingredient_id = ?) +
+           (SELECT COUNT(*) FROM stock_transfers WHERE ingredient_id = ?) AS c`,
+        [existing.id, existing.id, existing.id, existing.id, existing.id, existing.id]
+      );
+      if (history.c > 0) {
+        await runAsync('UPDATE ingredients SET archived = 1 WHERE id = ?', [existing.id]);
+        await recordAudit(req, 'archive', 'ingredient', existing.id, existing, { archived: true });
+        return true;
+      }
 
-    /* Main layout */
-    main {
-      padding: 14px 14px 18px;
-      background: linear-gradient(to bottom, #ffffff, #fff8ff);
-    }
+      await runAsync('DELETE FROM ingredient_packs WHERE ingredient_id = ?', [existing.id]);
+      await runAsync('DELETE FROM ingredient_stock WHERE ingredient_id = ?', [existing.id]);
+      await runAsync('DELETE FROM ingredients WHERE id = ?', [existing.id]);
+      await recordAudit(req, 'delete', 'ingredient', existing.id, existing, null);
+      return false;
+    });
+    res.json({ success: true, archived });
+  } catch (e) {
+    sendError(res, e, 'Failed to delete ingredient');
+  }
+});
 
-    @media (min-width: 900px) {
-      main {
-        padding: 18px 20px 22px;
-      }
+app.post('/api/ingredients/:id/adjust', requireRole('manager'), async (req, res) => {
+  try {
+    const { reason, unit } = req.body;
+    const entered = Number(req.body.change);
+    if (!Number.isFinite(entered) || entered === 0) {
+      return res.status(400).json({ error: 'Change must be a non-zero number' });
     }
 
-    .tab {
-      display: none;
-      animation: fadeIn 0.18s ease-out;
-    }
+    const newStock = await withTransaction(async () => {
+      const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [req.params.id]);
+      if (!ing) throw httpError(404, 'Ingredient not found');
+      const location = await stockLocation(req);
+      const change = await toBaseQty(ing, entered, unit);
+
+      // Conditional update: never lets stock drop below zero
+      const held = await applyStockChange(ing.id, location.id, change, reason || 'Manual adjust', 'adjustment');
+      if (held === null) {
+        throw httpError(400, 'Not enough stock for ingredient ' + ing.name + ' at ' + location.name, {
+          ingredient: ing.name
+        });
+      }
+
+      const updated = await getAsync('SELECT * FROM ingredients WHERE id = ?', [ing.id]);
+      await recordAudit(req, 'adjust', 'ingredient', ing.id, ing, {
+        ...updated,
+        change,
+        entered: unit ? entered + ' ' + unit : entered,
+        location: location.name,
+        reason: reason || 'Manual adjust'
+      });
+      publishEvent('adjustment', { source: 'adjust', ingredient_ids: [ing.id], location_ids: [location.id] });
+      return held;
+    });
+
+    res.json({ success: true, newStock });
+  } catch (e) {
+    sendError(res, e, 'Failed to adjust stock');
+  }
+});
+
+// Named pack sizes (bottle, bag, ...) that quantities can be entered in.
+// Body: { name, size, unit? }; size is converted to the ingredient's unit.
+app.post('/api/ingredients/:id/packs', requireRole('manager'), async (req, res) => {
+  try {
+    const pack = await withTransaction(async () => {
+      const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [req.params.id]);
+      if (!ing) throw httpError(404, 'Ingredient not found');
+      const name = normalizeUnit(req.body.name);
+      if (!name) throw httpError(400, 'Pack name is required');
+      if (isUnit(name)) throw httpError(400, '"' + name + '" is already a unit; pick another pack name');
+      const size = Number(req.body.size);
+      if (!(size > 0)) throw httpError(400, 'Pack size must be positive');
+      const existing = await getAsync('SELECT id FROM ingredient_packs WHERE ingredient_id = ? AND name = ?', [
+        ing.id,
+        name
+      ]);
+      if (existing) throw httpError(409, ing.name + ' already has a pack called ' + name);
+
+      const result = await runAsync('INSERT INTO ingredient_packs (ingredient_id, name, size) VALUES (?, ?, ?)', [
+        ing.id,
+        name,
+        await toBaseQty(ing, size, req.body.unit)
+      ]);
+      const created = await getAsync('SELECT * FROM ingredient_packs WHERE id = ?', [result.lastID]);
+      await recordAudit(req, 'create', 'ingredient_pack', created.id, null, created);
+      return created;
+    });
+    res.status(201).json(pack);
+  } catch (e) {
+    sendError(res, e, 'Failed to add pack size');
+  }
+});
+
+app.delete('/api/ingredients/:id/packs/:packId', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const pack = await getAsync('SELECT * FROM ingredient_packs WHERE id = ? AND ingredient_id = ?', [
+        req.params.packId,
+        req.params.id
+      ]);
+      if (!pack) throw httpError(404, 'Pack not found');
+      await runAsync('DELETE FROM ingredient_packs WHERE id = ?', [pack.id]);
+      await recordAudit(req, 'delete', 'ingredient_pack', pack.id, pack, null);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendError(res, e, 'Failed to remove pack size');
+  }
+});
+
+// Stock movements newest first. balance_after is worked back from the current
+// stock through every later movement, so it is right whatever the filters are.
+app.get('/api/ingredients/:id/logs', requireRole('manager'), async (req, res) => {
+  try {
+    const scope = await locationScope(req);
+    const [ing] = await withLocationStock(
+      await allAsync('SELECT id, name, unit, current_stock FROM ingredients WHERE id = ?', [req.params.id]),
+      scope
+    );
+    if (!ing) throw httpError(404, 'Ingredient not found');
+    const loc = locationFilter(scope, 'location_id');
+
+    const { where, params } = dateRangeFilter(req.query, 'date');
+    const whereSql = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const pageSize = Math.min(Math.max(Math.floor(Number(req.query.page_size) || 50), 1), 500);
+    const page = Math.max(Math.floor(Number(req.query.page) || 1), 1);
+
+    const ledger = `
+      WITH ledger AS (
+        SELECT id, date, change, reason, location_id,
+          ? - COALESCE(SUM(change) OVER (
+            ORDER BY date DESC, id DESC ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+          ), 0) AS balance_after
+        FROM inventory_logs
+        WHERE ingredient_id = ? AND ${loc.sql}
+      )`;
+    const ledgerParams = [ing.current_stock, ing.id, ...loc.params];
+
+    const totals = await getAsync(
+      `${ledger}
+      SELECT COUNT(*) AS count,
+        COALESCE(SUM(CASE WHEN change > 0 THEN change END), 0) AS total_in,
+        COALESCE(SUM(CASE WHEN change < 0 THEN -change END), 0) AS total_out
+      FROM ledger ${whereSql}`,
+      [...ledgerParams, ...params]
+    );
+    const logs = await allAsync(
+      `${ledger}
+      SELECT * FROM ledger ${whereSql}
+      ORDER BY date DESC, id DESC
+      LIMIT ? OFFSET ?`,
+      [...ledgerParams, ...params, pageSize, (page - 1) * pageSize]
+    );
+    // Closing balance of each day in range, for the stock-level chart
+    const daily = await allAsync(
+      `${ledger}
+      SELECT day, balance_after AS balance FROM (
+        SELECT date(date) AS day, balance_after,
+          ROW_NUMBER() OVER (PARTITION BY date(date) ORDER BY date DESC, id DESC) AS rn
+        FROM ledger ${whereSql}
+      )
+      WHERE rn = 1
+      ORDER BY day`,
+      [...ledgerParams, ...params]
+    );
+
+    res.json({
+      ingredient: ing,
+      page,
+      page_size: pageSize,
+      total: totals.count,
+      total_in: totals.total_in,
+      total_out: totals.total_out,
+      logs,
+      daily_balance: daily
+    });
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch inventory logs');
+  }
+});
+
+// ---------- API: PRODUCTS ----------
+// Checks name/price and that every recipe line points at an existing ingredient.
+async function validateProduct({ name, price, recipe }) {
+  if (!name || !String(name).trim()) throw httpError(400, 'Product name is required');
+  if (!Number.isFinite(Number(price)) || Number(price) < 0) {
+    throw httpError(400, 'Price must be a non-negative number');
+  }
+  if (!Array.isArray(recipe) || recipe.length === 0) {
+    throw httpError(400, 'Recipe must contain at least one ingredient');
+  }
+
+  const seen = new Set();
+  const lines = [];
+  for (const item of recipe) {
+    const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredientId]);
+    if (!ing) throw httpError(400, 'Unknown ingredient with id ' + item.ingredientId);
+    if (ing.archived) throw httpError(400, 'Ingredient ' + ing.id + ' is archived');
+    if (seen.has(ing.id)) throw httpError(400, 'Ingredient ' + ing.id + ' is listed twice');
+    if (!(Number(item.qty) > 0)) {
+      throw httpError(400, 'Recipe quantity must be positive for ingredient ' + ing.id);
+    }
+    seen.add(ing.id);
+    // Quantities may be given in any compatible unit; recipes store the base unit
+    lines.push({ ingredientId: ing.id, qty: await toBaseQty(ing, Number(item.qty), item.unit) });
+  }
+
+  return {
+    name: String(name).trim(),
+    price: Number(price),
+    recipe: lines
+  };
+}
+
+async function productRow(p) {
+  return { ...p, archived: !!p.archived, recipe: await getRecipe(p.id) };
+}
+
+app.get('/api/products', requireRole('cashier'), async (req, res) => {
+  try {
+    // The till only sees active products; the Products tab asks for archived ones too
+    const products = await allAsync(
+      req.query.include_archived
+        ? 'SELECT * FROM products ORDER BY archived, id'
+        : 'SELECT * FROM products WHERE archived = 0'
+    );
+    const recipes = await allAsync(
+      'SELECT product_id, ingredient_id, qty FROM product_ingredients ORDER BY rowid'
+    );
+    res.json(
+      products.map((p) => ({
+        ...p,
+        archived: !!p.archived,
+        recipe: recipes
+          .filter((r) => r.product_id === p.id)
+          .map((r) => ({ ingredientId: r.ingredient_id, qty: r.qty }))
+      }))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+app.post('/api/products', requireRole('manager'), async (req, res) => {
+  try {
+    const id = await withTransaction(async () => {
+      const { name, price, recipe } = await validateProduct(req.body);
+      const result = await runAsync(
+        `INSERT INTO products (name, price)
+         VALUES (?, ?)`,
+        [name, price]
+      );
+      await setRecipe(result.lastID, recipe);
+      await runAsync(
+        `INSERT INTO product_prices (product_id, price, effective_from)
+         VALUES (?, ?, datetime('now','localtime'))`,
+        [result.lastID, price]
+      );
+      await recordAudit(req, 'create', 'product', result.lastID, null, { name, price, recipe });
+      return result.lastID;
+    });
+    res.json({ id });
+  } catch (e) {
+    sendError(res, e, 'Failed to create product');
+  }
+});
+
+app.put('/api/products/:id', requireRole('manager'), async (req, res) => {
+  try {
+    const product = await withTransaction(async () => {
+      const existing = await getAsync('SELECT * FROM products WHERE id = ?', [req.params.id]);
+      if (!existing) throw httpError(404, 'Product not found');
+
+      const before = await productRow(existing);
+      const { name, price, recipe } = await validateProduct(req.body);
+      await runAsync('UPDATE products SET name = ?, price = ? WHERE id = ?', [
+        name,
+        price,
+        existing.id
+      ]);
+      await setRecipe(existing.id, recipe);
+      // Sales keep the total they were rung up at; the history records when prices moved
+      if (price !== existing.price) {
+        await runAsync(
+          `INSERT INTO product_prices (product_id, price, effective_from)
+           VALUES (?, ?, datetime('now','localtime'))`,
+          [existing.id, price]
+        );
+      }
+
+      const updated = await getAsync('SELECT * FROM products WHERE id = ?', [existing.id]);
+      const after = await productRow(updated);
+      await recordAudit(req, 'update', 'product', existing.id, before, after);
+      return after;
+    });
+    res.json(product);
+  } catch (e) {
+    sendError(res, e, 'Failed to update product');
+  }
+});
+
+// Soft archive: removes the product from the till without breaking past sales.
+async function setProductArchived(req, archived) {
+  return withTransaction(async () => {
+    const existing = await getAsync('SELECT * FROM products WHERE id = ?', [req.params.id]);
+    if (!existing) throw httpError(404, 'Product not found');
+
+    await runAsync('UPDATE products SET archived = ? WHERE id = ?', [archived ? 1 : 0, existing.id]);
+    await recordAudit(
+      req,
+      archived ? 'archive' : 'unarchive',
+      'product',
+      existing.id,
+      { archived: !!existing.archived },
+      { archived }
+    );
+  });
+}
+
+app.post('/api/products/:id/archive', requireRole('manager'), async (req, res) => {
+  try {
+    await setProductArchived(req, true);
+    res.json({ success: true });
+  } catch (e) {
+    sendError(res, e, 'Failed to archive product');
+  }
+});
+
+app.post('/api/products/:id/unarchive', requireRole('manager'), async (req, res) => {
+  try {
+    await setProductArchived(req, false);
+    res.json({ success: true });
+  } catch (e) {
+    sendError(res, e, 'Failed to restore product');
+  }
+});
+
+app.get('/api/products/:id/prices', requireRole('manager'), async (req, res) => {
+  try {
+    const rows = await allAsync(
+      'SELECT price, effective_from FROM product_prices WHERE product_id = ? ORDER BY id',
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// ---------- API: SALES & ORDERS ----------
+// Sales queued offline by the till are replayed with the Idempotency-Key they
+// were rung up with; a key that already made an order returns that order again
+// instead of recording a second one.
+function idempotencyKey(req) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return null;
+  if (!/^[A-Za-z0-9_-]{8,100}$/.test(key)) {
+    throw httpError(400, 'Idempotency-Key must be 8-100 letters, digits, dashes or underscores');
+  }
+  return key;
+}
+
+const PAYMENT_METHODS = { cash: 'Cash', card: 'Card', qr: 'QR' };
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// payments: [{ method, amount, tendered? }] that must add up to the order total;
+// more than one entry is a split tender. tendered (cash only) is what the customer
+// handed over. Without payments the whole order is taken as cash, as older tills
+// and queued offline sales don't send any.
+function normalizePayments(payments, total) {
+  if (payments == null) return [{ method: 'cash', amount: roundMoney(total), tendered: null }];
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw httpError(400, 'payments must be a non-empty list');
+  }
+  const out = payments.map((p) => {
+    const method = p && p.method;
+    if (!Object.prototype.hasOwnProperty.call(PAYMENT_METHODS, method)) {
+      throw httpError(400, 'Unknown payment method: ' + method, { methods: Object.keys(PAYMENT_METHODS) });
+    }
+    const amount = Number(p.amount);
+    if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, 'Payment amounts must be positive');
+    let tendered = null;
+    if (p.tendered != null && p.tendered !== '') {
+      if (method !== 'cash') throw httpError(400, 'Only cash payments take a tendered amount');
+      tendered = Number(p.tendered);
+      if (!Number.isFinite(tendered) || tendered < amount) {
+        throw httpError(400, 'Cash tendered must cover the cash amount of ' + roundMoney(amount));
+      }
+    }
+    return { method, amount: roundMoney(amount), tendered: tendered == null ? null : roundMoney(tendered) };
+  });
+  const paid = roundMoney(out.reduce((sum, p) => sum + p.amount, 0));
+  if (paid !== roundMoney(total)) {
+    throw httpError(400, 'Payments add up to ' + paid + ' but the order total is ' + roundMoney(total));
+  }
+  return out;
+}
+
+function changeDue(payments) {
+  return roundMoney(payments.reduce((sum, p) => sum + (p.tendered == null ? 0 : p.tendered - p.amount), 0));
+}
+
+// Records one order with its line items (one sales row per line) in a single
+// transaction. Stock is decremented conditionally at the selling location, so a
+// concurrent sale can never push an ingredient below zero; any shortfall rolls
+// back the whole order. A keyed (replayed) sale may carry sold_at, the local
+// time it was rung up, so it lands on the right day and shift. Only the last
+// SOLD_AT_MAX_HOURS are accepted, and such sales are audited as 'replay'.
+const SOLD_AT_MAX_HOURS = 48;
+
+function recordOrder(req, items) {
+  return withTransaction(async () => {
+    const key = idempotencyKey(req);
+    if (key) {
+      const done = await getAsync('SELECT id, total_price FROM orders WHERE idempotency_key = ?', [key]);
+      if (done) {
+        const payments = await allAsync('SELECT method, amount, tendered FROM order_payments WHERE order_id = ?', [
+          done.id
+        ]);
+        return { orderId: done.id, totalPrice: done.total_price, change: changeDue(payments), replayed: true };
+      }
+    }
+    const soldAt = key && req.body.sold_at != null ? String(req.body.sold_at) : null;
+    if (soldAt !== null && !/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(soldAt)) {
+      throw httpError(400, 'sold_at must look like YYYY-MM-DD HH:MM:SS');
+    }
+    if (soldAt !== null) {
+      const { stale } = await getAsync(`SELECT ? < datetime('now', 'localtime', ?) AS stale`, [
+        soldAt,
+        `-${SOLD_AT_MAX_HOURS} hours`
+      ]);
+      if (stale) {
+        throw httpError(400, `sold_at is more than ${SOLD_AT_MAX_HOURS} hours ago; record this sale again by hand`);
+      }
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw httpError(400, 'Order must contain at least one item');
+    }
+    const location = await stockLocation(req);
+
+    const lines = [];
+    for (const item of items) {
+      const qty = Number(item.qty);
+      if (!Number.isInteger(qty) || qty <= 0) {
+        throw httpError(400, 'Invalid quantity for product ' + item.product_id);
+      }
+      const product = await getAsync('SELECT * FROM products WHERE id = ?', [item.product_id]);
+      if (!product) throw httpError(404, 'Product not found');
+      if (product.archived) throw httpError(400, product.name + ' is no longer on sale');
+
+      lines.push({ product, qty, recipe: await getRecipe(product.id) });
+    }
+
+    // Deduct stock, snapshotting what each line cost us in ingredients
+    for (const line of lines) {
+      line.cost = 0;
+      for (const item of line.recipe) {
+        const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredientId]);
+        if (!ing) {
+          throw httpError(400, 'Missing ingredient with id ' + item.ingredientId);
+        }
+        const required = item.qty * line.qty;
+        line.cost += required * ing.unit_cost;
+
+        if ((await applyStockChange(ing.id, location.id, -required, 'Sale of ' + line.product.name, 'sale')) === null) {
+          throw httpError(400, 'Not enough stock for ingredient ' + ing.name + ' at ' + location.name, {
+            ingredient: ing.name
+          });
+        }
+      }
+    }
+
+    const totalPrice = lines.reduce((sum, l) => sum + l.product.price * l.qty, 0);
+    const payments = normalizePayments(req.body.payments, totalPrice);
+    const drawer = await cashSessionAt(location.id, soldAt);
+    // MIN() caps a sold_at from a fast clock at now; with no sold_at it is NULL and now is used
+    const order = await runAsync(
+      `INSERT INTO orders (date, total_price, location_id, idempotency_key, cash_session_id, cashier_id, cashier)
+       VALUES (COALESCE(MIN(?, datetime('now','localtime')), datetime('now','localtime')), ?, ?, ?, ?, ?, ?)`,
+      [soldAt, totalPrice, location.id, key, drawer ? drawer.id : null, req.user.id, req.user.username]
+    );
+    for (const p of payments) {
+      await runAsync('INSERT INTO order_payments (order_id, method, amount, tendered) VALUES (?, ?, ?, ?)', [
+        order.lastID,
+        p.method,
+        p.amount,
+        p.tendered
+      ]);
+    }
+    const { date } = await getAsync('SELECT date FROM orders WHERE id = ?', [order.lastID]);
+
+    for (const line of lines) {
+      const sale = await runAsync(
+        `INSERT INTO sales (date, product_id, qty, total_price, order_id, cost_total, location_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [date, line.product.id, line.qty, line.product.price * line.qty, order.lastID, line.cost, location.id]
+      );
+      for (const item of line.recipe) {
+        await runAsync('INSERT INTO sale_ingredients (sale_id, ingredient_id, qty) VALUES (?, ?, ?)', [
+          sale.lastID,
+          item.ingredientId,
+          item.qty * line.qty
+        ]);
+      }
+    }
+
+    await recordAudit(req, soldAt === null ? 'create' : 'replay', 'order', order.lastID, null, {
+      total_price: totalPrice,
+      location: location.name,
+      sold_at: soldAt,
+      payments,
+      items: lines.map((l) => ({ product_id: l.product.id, name: l.product.name, qty: l.qty }))
+    });
+    publishEvent('sale', {
+      action: 'create',
+      order_id: order.lastID,
+      total_price: totalPrice,
+      location_ids: [location.id]
+    });
+
+    return { orderId: order.lastID, totalPrice, change: changeDue(payments) };
+  });
+}
+
+// Both accept an Idempotency-Key header (see idempotencyKey); replayed is true when
+// the key had already been used and nothing new was recorded. `payments` is
+// optional (see normalizePayments); change is the cash to hand back.
+app.post('/api/sales', requireRole('cashier'), async (req, res) => {
+  try {
+    const { product_id, qty } = req.body;
+    const result = await recordOrder(req, [{ product_id, qty }]);
+    res.json({
+      success: true,
+      totalPrice: result.totalPrice,
+      orderId: result.orderId,
+      change: result.change,
+      replayed: !!result.replayed
+    });
+  } catch (e) {
+    sendError(res, e, 'Failed to record sale');
+  }
+});
+
+app.post('/api/orders', requireRole('cashier'), async (req, res) => {
+  try {
+    const result = await recordOrder(req, req.body.items);
+    res.json({
+      success: true,
+      totalPrice: result.totalPrice,
+      orderId: result.orderId,
+      change: result.change,
+      replayed: !!result.replayed
+    });
+  } catch (e) {
+    sendError(res, e, 'Failed to record order');
+  }
+});
+
+app.get('/api/orders/:id', requireRole('cashier'), async (req, res) => {
+  try {
+    const order = await getAsync('SELECT * FROM orders WHERE id = ?', [req.params.id]);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const items = await allAsync(
+      `
+      SELECT s.id, s.product_id, s.qty, s.total_price, s.refunded_qty, s.refunded_amount,
+        p.name AS product_name
+      FROM sales s
+      JOIN products p ON p.id = s.product_id
+      WHERE s.order_id = ?
+      ORDER BY s.id
+    `,
+      [order.id]
+    );
+    res.json({ ...order, items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+// ---------- API: SUPPLIERS ----------
+function validateSupplier({ name, phone, email, notes }) {
+  if (!name || !String(name).trim()) throw httpError(400, 'Supplier name is required');
+  return {
+    name: String(name).trim(),
+    phone: phone || null,
+    email: email || null,
+    notes: notes || null
+  };
+}
+
+app.get('/api/suppliers', requireRole('manager'), async (req, res) => {
+  try {
+    const suppliers = await allAsync('SELECT * FROM suppliers ORDER BY name');
+    res.json(suppliers);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
+  }
+});
+
+app.post('/api/suppliers', requireRole('manager'), async (req, res) => {
+  try {
+    const id = await withTransaction(async () => {
+      const supplier = validateSupplier(req.body);
+      const result = await runAsync(
+        'INSERT INTO suppliers (name, phone, email, notes) VALUES (?, ?, ?, ?)',
+        [supplier.name, supplier.phone, supplier.email, supplier.notes]
+      );
+      await recordAudit(req, 'create', 'supplier', result.lastID, null, supplier);
+      return result.lastID;
+    });
+    res.json({ id });
+  } catch (e) {
+    sendError(res, e, 'Failed to create supplier');
+  }
+});
+
+app.put('/api/suppliers/:id', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const existing = await getAsync('SELECT * FROM suppliers WHERE id = ?', [req.params.id]);
+      if (!existing) throw httpError(404, 'Supplier not found');
+
+      const supplier = validateSupplier(req.body);
+      await runAsync(
+        'UPDATE suppliers SET name = ?, phone = ?, email = ?, notes = ? WHERE id = ?',
+        [supplier.name, supplier.phone, supplier.email, supplier.notes, existing.id]
+      );
+      await recordAudit(req, 'update', 'supplier', existing.id, existing, supplier);
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendError(res, e, 'Failed to update supplier');
+  }
+});
+
+// ---------- API: PURCHASE ORDERS ----------
+// Lifecycle: draft -> sent -> partial -> received (or cancelled before receiving).
+async function loadPurchaseOrder(id) {
+  const po = await getAsync(
+    `
+    SELECT po.*, s.name AS supplier_name, l.name AS location_name
+    FROM purchase_orders po
+    LEFT JOIN suppliers s ON s.id = po.supplier_id
+    LEFT JOIN locations l ON l.id = po.location_id
+    WHERE po.id = ?
+  `,
+    [id]
+  );
+  if (!po) throw httpError(404, 'Purchase order not found');
+
+  po.items = await allAsync(
+    `
+    SELECT poi.*, i.name AS ingredient_name, i.unit
+    FROM purchase_order_items poi
+    JOIN ingredients i ON i.id = poi.ingredient_id
+    WHERE poi.po_id = ?
+    ORDER BY poi.id
+  `,
+    [id]
+  );
+  po.total_cost = po.items.reduce((sum, i) => sum + i.qty_ordered * i.unit_cost, 0);
+  return po;
+}
+
+// Deliveries go to the location the order was raised for
+async function createPurchaseOrder(req, supplierId, items, notes) {
+  if (supplierId) {
+    const supplier = await getAsync('SELECT id FROM suppliers WHERE id = ?', [supplierId]);
+    if (!supplier) throw httpError(400, 'Unknown supplier with id ' + supplierId);
+  }
+  if (!items.length) throw httpError(400, 'Purchase order must contain at least one item');
+  const location = await stockLocation(req);
+
+  const po = await runAsync(
+    `INSERT INTO purchase_orders (supplier_id, status, created_at, notes, location_id)
+     VALUES (?, 'draft', datetime('now','localtime'), ?, ?)`,
+    [supplierId || null, notes || null, location.id]
+  );
+  for (const item of items) {
+    await runAsync(
+      `INSERT INTO purchase_order_items (po_id, ingredient_id, qty_ordered, unit_cost)
+       VALUES (?, ?, ?, ?)`,
+      [po.lastID, item.ingredient_id, item.qty, item.unit_cost]
+    );
+  }
+  await recordAudit(req, 'create', 'purchase_order', po.lastID, null, {
+    supplier_id: supplierId || null,
+    location: location.name,
+    items
+  });
+  return po.lastID;
+}
+
+app.get('/api/purchase-orders', requireRole('manager'), async (req, res) => {
+  try {
+    const rows = await allAsync(`
+      SELECT po.*, s.name AS supplier_name, l.name AS location_name,
+        (SELECT SUM(qty_ordered * unit_cost) FROM purchase_order_items WHERE po_id = po.id) AS total_cost
+      FROM purchase_orders po
+      LEFT JOIN suppliers s ON s.id = po.supplier_id
+      LEFT JOIN locations l ON l.id = po.location_id
+      ORDER BY po.id DESC
+      LIMIT 50
+    `);
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch purchase orders' });
+  }
+});
+
+app.get('/api/purchase-orders/:id', requireRole('manager'), async (req, res) => {
+  try {
+    res.json(await loadPurchaseOrder(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch purchase order');
+  }
+});
+
+app.post('/api/purchase-orders', requireRole('manager'), async (req, res) => {
+  try {
+    const { supplier_id, items, notes } = req.body;
+    const id = await withTransaction(async () => {
+      const lines = [];
+      for (const item of Array.isArray(items) ? items : []) {
+        const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredient_id]);
+        if (!ing) throw httpError(400, 'Unknown ingredient with id ' + item.ingredient_id);
+        if (ing.archived) throw httpError(400, ing.name + ' is archived');
+        const qty = Number(item.qty);
+        if (!(qty > 0)) throw httpError(400, 'Quantity must be positive for ' + ing.name);
+        const unitCost = item.unit_cost === undefined ? null : Number(item.unit_cost);
+        if (unitCost !== null && (!Number.isFinite(unitCost) || unitCost < 0)) {
+          throw httpError(400, 'Unit cost must be a non-negative number for ' + ing.name);
+        }
+        // qty and unit_cost may be per bottle, kg, ...; the order stores base units
+        lines.push({
+          ingredient_id: ing.id,
+          qty: await toBaseQty(ing, qty, item.unit),
+          unit_cost: unitCost === null ? ing.unit_cost : await toBaseCost(ing, unitCost, item.unit)
+        });
+      }
+      return createPurchaseOrder(req, supplier_id, lines, notes);
+    });
+    res.json(await loadPurchaseOrder(id));
+  } catch (e) {
+    sendError(res, e, 'Failed to create purchase order');
+  }
+});
+
+// Tops every low-stock ingredient up to its par level (twice the reorder level when unset),
+// judged on the stock at the location the order is for.
+app.post('/api/purchase-orders/draft', requireRole('manager'), async (req, res) => {
+  try {
+    const { supplier_id, notes } = req.body || {};
+    const id = await withTransaction(async () => {
+      const location = await stockLocation(req);
+      const lowStock = (
+        await withLocationStock(await allAsync('SELECT * FROM ingredients WHERE archived = 0'), location)
+      ).filter((ing) => ing.current_stock <= ing.reorder_level);
+      const lines = lowStock
+        .map((ing) => {
+          const par = ing.par_level != null ? ing.par_level : ing.reorder_level * 2;
+          return { ingredient_id: ing.id, qty: par - ing.current_stock, unit_cost: ing.unit_cost };
+        })
+        .filter((l) => l.qty > 0);
+      if (!lines.length) throw httpError(400, 'No ingredients are below their reorder level');
+      return createPurchaseOrder(req, supplier_id, lines, notes);
+    });
+    res.json(await loadPurchaseOrder(id));
+  } catch (e) {
+    sendError(res, e, 'Failed to draft purchase order');
+  }
+});
+
+app.post('/api/purchase-orders/:id/send', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const po = await loadPurchaseOrder(req.params.id);
+      if (po.status !== 'draft') throw httpError(400, 'Only draft purchase orders can be sent');
+
+      await runAsync(
+        `UPDATE purchase_orders SET status = 'sent', sent_at = datetime('now','localtime')
+         WHERE id = ?`,
+        [po.id]
+      );
+      await recordAudit(req, 'send', 'purchase_order', po.id, { status: po.status }, { status: 'sent' });
+    });
+    res.json(await loadPurchaseOrder(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to send purchase order');
+  }
+});
+
+app.post('/api/purchase-orders/:id/cancel', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const po = await loadPurchaseOrder(req.params.id);
+      if (po.status !== 'draft' && po.status !== 'sent') {
+        throw httpError(400, 'Only draft or sent purchase orders can be cancelled');
+      }
+      await runAsync(`UPDATE purchase_orders SET status = 'cancelled' WHERE id = ?`, [po.id]);
+      await recordAudit(req, 'cancel', 'purchase_order', po.id, { status: po.status }, {
+        status: 'cancelled'
+      });
+    });
+    res.json(await loadPurchaseOrder(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to cancel purchase order');
+  }
+});
+
+// The receive form rounds quantities to 3 decimals of the unit they are entered
+// in, so a line may come in up to half that step over what is outstanding.
+const PO_RECEIVE_ROUNDING = 0.0005;
+
+// Receives some or all outstanding items. Body: { items: [{ item_id, qty, unit?, unit_cost? }] };
+// without items everything outstanding is received at the ordered cost.
+// Stock goes up and unit_cost moves to the weighted average of old stock and the delivery.
+app.post('/api/purchase-orders/:id/receive', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const po = await loadPurchaseOrder(req.params.id);
+      if (po.status !== 'sent' && po.status !== 'partial') {
+        throw httpError(400, 'Only sent purchase orders can be received');
+      }
+      const location = po.location_id
+        ? await getAsync('SELECT * FROM locations WHERE id = ?', [po.location_id])
+        : await defaultLocation();
+
+      const requested = Array.isArray(req.body.items)
+        ? req.body.items
+        : po.items.map((i) => ({ item_id: i.id, qty: i.qty_ordered - i.qty_received }));
+
+      const received = [];
+      for (const r of requested) {
+        const item = po.items.find((i) => i.id === Number(r.item_id));
+        if (!item) throw httpError(400, 'Item ' + r.item_id + ' is not on this purchase order');
+        const entered = Number(r.qty);
+        if (!entered) continue;
+        if (!(entered > 0)) throw httpError(400, 'Received quantity must be positive');
+        const outstanding = item.qty_ordered - item.qty_received;
+        if (!(outstanding > 0)) {
+          throw httpError(400, item.ingredient_name + ' has already been received in full');
+        }
+        const enteredCost = r.unit_cost === undefined ? null : Number(r.unit_cost);
+        if (enteredCost !== null && (!Number.isFinite(enteredCost) || enteredCost < 0)) {
+          throw httpError(400, 'Unit cost must be a non-negative number');
+        }
+
+        const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredient_id]);
+        // Both in the ingredient's own unit; anything within the rounding slack closes the line
+        const slack = await toBaseQty(ing, PO_RECEIVE_ROUNDING, r.unit);
+        let qty = await toBaseQty(ing, entered, r.unit);
+        if (qty > outstanding + slack) {
+          throw httpError(400, 'Only ' + outstanding + ' ' + ing.unit + ' of ' + ing.name + ' is still outstanding');
+        }
+        qty = Math.min(qty, outstanding);
+        item.qty_received += qty;
+        const unitCost = enteredCost === null ? item.unit_cost : await toBaseCost(ing, enteredCost, r.unit);
+        // Unit cost is company-wide, so the weighted average uses total stock
+        const newStock = ing.current_stock + qty;
+        const newCost =
+          newStock > 0
+            ? (Math.max(ing.current_stock, 0) * ing.unit_cost + qty * unitCost) /
+              (Math.max(ing.current_stock, 0) + qty)
+            : unitCost;
+
+        await runAsync('UPDATE ingredients SET unit_cost = ? WHERE id = ?', [newCost, ing.id]);
+        await applyStockChange(ing.id, location.id, qty, 'PO #' + po.id + ' received', 'purchase');
+        await runAsync(
+          'UPDATE purchase_order_items SET qty_received = qty_received + ? WHERE id = ?',
+          [qty, item.id]
+        );
+        received.push({ ingredient_id: ing.id, qty, unit_cost: unitCost, new_unit_cost: newCost });
+      }
+      if (!received.length) throw httpError(400, 'Nothing to receive');
+
+      const outstanding = await getAsync(
+        'SELECT COUNT(*) AS c FROM purchase_order_items WHERE po_id = ? AND qty_received < qty_ordered',
+        [po.id]
+      );
+      const status = outstanding.c === 0 ? 'received' : 'partial';
+      await runAsync(
+        `UPDATE purchase_orders SET status = ?, received_at = datetime('now','localtime')
+         WHERE id = ?`,
+        [status, po.id]
+      );
+      await recordAudit(req, 'receive', 'purchase_order', po.id, { status: po.status }, {
+        status,
+        received
+      });
+      publishEvent('adjustment', {
+        source: 'purchase_order',
+        ingredient_ids: received.map((r) => r.ingredient_id),
+        location_ids: [location.id]
+      });
+    });
+    res.json(await loadPurchaseOrder(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to receive purchase order');
+  }
+});
+
+// ---------- API: STOCKTAKES ----------
+// A physical count: start one (a row per active ingredient), enter counted
+// quantities, review the variance against live stock, then commit. Committing
+// sets stock to the count and logs the difference as "Stocktake variance".
+// Each counts one location; only one stocktake can be open per location at a
+// time, and uncounted ingredients are left alone.
+async function loadStocktake(id) {
+  const stocktake = await getAsync(
+    `SELECT st.*, l.name AS location_name FROM stocktakes st
+     LEFT JOIN locations l ON l.id = st.location_id
+     WHERE st.id = ?`,
+    [id]
+  );
+  if (!stocktake) throw httpError(404, 'Stocktake not found');
+
+  // While open, variance is against live stock; once committed, against what was recorded then
+  const items = await allAsync(
+    `
+    SELECT si.id, si.ingredient_id, i.name AS ingredient_name, i.unit, si.counted_qty,
+      COALESCE(si.system_qty, st.qty, 0) AS system_qty,
+      COALESCE(si.unit_cost, i.unit_cost) AS unit_cost
+    FROM stocktake_items si
+    JOIN ingredients i ON i.id = si.ingredient_id
+    LEFT JOIN ingredient_stock st ON st.ingredient_id = si.ingredient_id AND st.location_id = ?
+    WHERE si.stocktake_id = ?
+    ORDER BY i.name
+  `,
+    [stocktake.location_id, id]
+  );
+  stocktake.items = items.map((item) => {
+    const variance = item.counted_qty == null ? null : item.counted_qty - item.system_qty;
+    return {
+      ...item,
+      variance,
+      variance_value: variance == null ? null : variance * item.unit_cost
+    };
+  });
+  Object.assign(stocktake, stocktakeTotals(stocktake.items));
+  return stocktake;
+}
+
+function stocktakeTotals(items) {
+  const counted = items.filter((i) => i.variance != null);
+  return {
+    counted_items: counted.length,
+    shrinkage_value: counted.reduce((sum, i) => sum + Math.max(-i.variance_value, 0), 0),
+    net_variance_value: counted.reduce((sum, i) => sum + i.variance_value, 0)
+  };
+}
+
+app.get('/api/stocktakes', requireRole('manager'), async (req, res) => {
+  try {
+    const loc = locationFilter(await locationScope(req), 'st.location_id');
+    const rows = await allAsync(
+      `
+      SELECT st.*, l.name AS location_name,
+        (SELECT COUNT(*) FROM stocktake_items WHERE stocktake_id = st.id AND counted_qty IS NOT NULL)
+          AS counted_items,
+        (SELECT COALESCE(SUM(CASE WHEN variance < 0 THEN -variance * unit_cost ELSE 0 END), 0)
+          FROM stocktake_items WHERE stocktake_id = st.id) AS shrinkage_value,
+        (SELECT COALESCE(SUM(variance * unit_cost), 0)
+          FROM stocktake_items WHERE stocktake_id = st.id) AS net_variance_value
+      FROM stocktakes st
+      LEFT JOIN locations l ON l.id = st.location_id
+      WHERE ${loc.sql}
+      ORDER BY st.id DESC
+      LIMIT 50
+    `,
+      loc.params
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch stocktakes' });
+  }
+});
+
+app.get('/api/stocktakes/:id', requireRole('manager'), async (req, res) => {
+  try {
+    res.json(await loadStocktake(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch stocktake');
+  }
+});
+
+app.post('/api/stocktakes', requireRole('manager'), async (req, res) => {
+  try {
+    const id = await withTransaction(async () => {
+      const location = await stockLocation(req);
+      const open = await getAsync(`SELECT id FROM stocktakes WHERE status = 'open' AND location_id = ?`, [
+        location.id
+      ]);
+      if (open) {
+        throw httpError(409, 'Stocktake #' + open.id + ' is still open at ' + location.name, {
+          stocktake_id: open.id
+        });
+      }
+
+      const st = await runAsync(
+        `INSERT INTO stocktakes (status, started_at, started_by, notes, location_id)
+         VALUES ('open', datetime('now','localtime'), ?, ?, ?)`,
+        [req.user.username, (req.body && req.body.notes) || null, location.id]
+      );
+      await runAsync(
+        `INSERT INTO stocktake_items (stocktake_id, ingredient_id)
+         SELECT ?, id FROM ingredients WHERE archived = 0`,
+        [st.lastID]
+      );
+      await recordAudit(req, 'create', 'stocktake', st.lastID, null, { status: 'open' });
+      return st.lastID;
+    });
+    res.status(201).json(await loadStocktake(id));
+  } catch (e) {
+    sendError(res, e, 'Failed to start stocktake');
+  }
+});
+
+// Body: { counts: [{ ingredient_id, counted_qty, unit? }] }; a null counted_qty clears the count.
+app.put('/api/stocktakes/:id/counts', requireRole('manager'), async (req, res) => {
+  try {
+    const counts = Array.isArray(req.body && req.body.counts) ? req.body.counts : [];
+    await withTransaction(async () => {
+      const stocktake = await loadStocktake(req.params.id);
+      if (stocktake.status !== 'open') throw httpError(400, 'Only open stocktakes can be counted');
+
+      for (const c of counts) {
+        const item = stocktake.items.find((i) => i.ingredient_id === Number(c.ingredient_id));
+        if (!item) throw httpError(400, 'Ingredient ' + c.ingredient_id + ' is not part of this stocktake');
+        const qty = c.counted_qty === null || c.counted_qty === '' ? null : Number(c.counted_qty);
+        if (qty !== null && (!Number.isFinite(qty) || qty < 0)) {
+          throw httpError(400, 'Counted quantity must be a non-negative number for ' + item.ingredient_name);
+        }
+        const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredient_id]);
+        await runAsync('UPDATE stocktake_items SET counted_qty = ? WHERE id = ?', [
+          qty === null ? null : await toBaseQty(ing, qty, c.unit),
+          item.id
+        ]);
+      }
+    });
+    res.json(await loadStocktake(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to save counts');
+  }
+});
+
+app.post('/api/stocktakes/:id/commit', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const stocktake = await loadStocktake(req.params.id);
+      if (stocktake.status !== 'open') throw httpError(400, 'Only open stocktakes can be committed');
+      if (!stocktake.counted_items) throw httpError(400, 'Enter at least one count before committing');
+
+      for (const item of stocktake.items.filter((i) => i.variance != null)) {
+        await runAsync(
+          'UPDATE stocktake_items SET system_qty = ?, variance = ?, unit_cost = ? WHERE id = ?',
+          [item.system_qty, item.variance, item.unit_cost, item.id]
+        );
+        if (item.variance === 0) continue;
+        await applyStockChange(
+          item.ingredient_id,
+          stocktake.location_id,
+          item.variance,
+          'Stocktake variance',
+          'stocktake'
+        );
+      }
+      await runAsync(
+        `UPDATE stocktakes SET status = 'committed', committed_at = datetime('now','localtime') WHERE id = ?`,
+        [stocktake.id]
+      );
+      await recordAudit(req, 'commit', 'stocktake', stocktake.id, { status: 'open' }, {
+        status: 'committed',
+        counted_items: stocktake.counted_items,
+        shrinkage_value: stocktake.shrinkage_value,
+        net_variance_value: stocktake.net_variance_value
+      });
+      publishEvent('adjustment', {
+        source: 'stocktake',
+        ingredient_ids: stocktake.items.filter((i) => i.variance).map((i) => i.ingredient_id),
+        location_ids: [stocktake.location_id]
+      });
+    });
+    res.json(await loadStocktake(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to commit stocktake');
+  }
+});
+
+app.post('/api/stocktakes/:id/cancel', requireRole('manager'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const stocktake = await loadStocktake(req.params.id);
+      if (stocktake.status !== 'open') throw httpError(400, 'Only open stocktakes can be cancelled');
+      await runAsync(`UPDATE stocktakes SET status = 'cancelled' WHERE id = ?`, [stocktake.id]);
+      await recordAudit(req, 'cancel', 'stocktake', stocktake.id, { status: 'open' }, {
+        status: 'cancelled'
+      });
+    });
+    res.json(await loadStocktake(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to cancel stocktake');
+  }
+});
+
+// ---------- API: WASTAGE ----------
+// Stock lost outside a sale, by reason code so it can be reported on. Either a
+// quantity of one ingredient, or whole products (their recipe is deducted).
+const WASTAGE_REASONS = {
+  spilled: 'Spilled',
+  expired: 'Expired',
+  qa_reject: 'QA reject',
+  staff_meal: 'Staff meal'
+};
+
+async function deductWastage(ing, location, qty, reason) {
+  if ((await applyStockChange(ing.id, location.id, -qty, reason, 'wastage')) === null) {
+    throw httpError(400, 'Not enough stock for ingredient ' + ing.name + ' at ' + location.name, {
+      ingredient: ing.name
+    });
+  }
+  return qty * ing.unit_cost;
+}
+
+// Wastage cost per reason code, for a "YYYY-MM" month or all time, at one location or all
+async function wastageSummary(month, location) {
+  const loc = locationFilter(location, 'location_id');
+  const rows = await allAsync(
+    `
+    SELECT reason_code, COUNT(*) AS entries, SUM(cost) AS cost
+    FROM wastage
+    WHERE ${loc.sql} ${month ? `AND strftime('%Y-%m', date) = ?` : ''}
+    GROUP BY reason_code
+    ORDER BY cost DESC
+  `,
+    [...loc.params, ...(month ? [month] : [])]
+  );
+  return {
+    total_cost: rows.reduce((sum, r) => sum + r.cost, 0),
+    by_reason: rows.map((r) => ({ ...r, label: WASTAGE_REASONS[r.reason_code] || r.reason_code }))
+  };
+}
+
+app.get('/api/wastage', requireRole('manager'), async (req, res) => {
+  try {
+    const { where, params } = dateRangeFilter(req.query, 'w.date');
+    const loc = locationFilter(await locationScope(req), 'w.location_id');
+    where.push(loc.sql);
+    params.push(...loc.params);
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const rows = await allAsync(
+      `
+      SELECT w.*, i.name AS ingredient_name, i.unit, p.name AS product_name, l.name AS location_name
+      FROM wastage w
+      LEFT JOIN ingredients i ON i.id = w.ingredient_id
+      LEFT JOIN products p ON p.id = w.product_id
+      LEFT JOIN locations l ON l.id = w.location_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY w.date DESC, w.id DESC
+      LIMIT ?
+    `,
+      [...params, limit]
+    );
+    res.json(rows.map((r) => ({ ...r, reason_label: WASTAGE_REASONS[r.reason_code] || r.reason_code })));
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch wastage');
+  }
+});
+
+app.get('/api/wastage/summary', requireRole('manager'), async (req, res) => {
+  try {
+    const month = req.query.month;
+    if (month && !isValidMonth(month)) throw httpError(400, 'Month must be in YYYY-MM format');
+    res.json(await wastageSummary(month, await locationScope(req)));
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch wastage summary');
+  }
+});
+
+// Body: { ingredient_id | product_id, qty, unit?, reason_code, notes? }; unit only applies to ingredients
+app.post('/api/wastage', requireRole('manager'), async (req, res) => {
+  try {
+    const { ingredient_id, product_id, reason_code, notes } = req.body || {};
+    const qty = Number(req.body && req.body.qty);
+    if (!Object.hasOwn(WASTAGE_REASONS, reason_code)) {
+      throw httpError(400, 'Unknown wastage reason', { reasons: Object.keys(WASTAGE_REASONS) });
+    }
+    if (!ingredient_id === !product_id) {
+      throw httpError(400, 'Give either an ingredient_id or a product_id');
+    }
+    if (!(qty > 0) || (product_id && !Number.isInteger(qty))) {
+      throw httpError(400, product_id ? 'Quantity must be a whole number of products' : 'Quantity must be positive');
+    }
+    const label = WASTAGE_REASONS[reason_code];
+
+    const entry = await withTransaction(async () => {
+      const location = await stockLocation(req);
+      let cost = 0;
+      let baseQty = qty;
+      if (ingredient_id) {
+        const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [ingredient_id]);
+        if (!ing) throw httpError(404, 'Ingredient not found');
+        baseQty = await toBaseQty(ing, qty, req.body.unit);
+        cost = await deductWastage(ing, location, baseQty, 'Wastage (' + label + ')');
+      } else {
+        const product = await getAsync('SELECT * FROM products WHERE id = ?', [product_id]);
+        if (!product) throw httpError(404, 'Product not found');
+        for (const item of await getRecipe(product.id)) {
+          const ing = await getAsync('SELECT * FROM ingredients WHERE id = ?', [item.ingredientId]);
+          cost += await deductWastage(ing, location, item.qty * qty, 'Wastage (' + label + '): ' + product.name);
+        }
+      }
+
+      const result = await runAsync(
+        `INSERT INTO wastage (date, reason_code, ingredient_id, product_id, qty, cost, notes, recorded_by, location_id)
+         VALUES (datetime('now','localtime'), ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          reason_code,
+          ingredient_id || null,
+          product_id || null,
+          baseQty,
+          cost,
+          notes || null,
+          req.user.username,
+          location.id
+        ]
+      );
+      const row = await getAsync('SELECT * FROM wastage WHERE id = ?', [result.lastID]);
+      await recordAudit(req, 'create', 'wastage', row.id, null, row);
+      publishEvent('adjustment', { source: 'wastage', wastage_id: row.id, location_ids: [location.id] });
+      return row;
+    });
+    res.status(201).json(entry);
+  } catch (e) {
+    sendError(res, e, 'Failed to record wastage');
+  }
+});
+
+// ---------- API: REFUNDS & VOIDS ----------
+// Reverses `qty` units of a sale. The refund record keeps the history while the
+// sale's refunded_qty/refunded_amount are what reports subtract.
+// Money goes back by `method`, defaulting to how the order was paid (cash when it
+// was split or never recorded), and counts against the drawer open at refund time.
+function reverseSale(req, saleId, { type, qty, reason, restock, method }) {
+  return withTransaction(async () => {
+    const sale = await getAsync(
+      `
+      SELECT s.*, p.name AS product_name
+      FROM sales s
+      JOIN products p ON p.id = s.product_id
+      WHERE s.id = ?
+    `,
+      [saleId]
+    );
+    if (!sale) throw httpError(404, 'Sale not found');
+
+    const remaining = sale.qty - sale.refunded_qty;
+    if (remaining <= 0) throw httpError(400, 'Sale has already been fully refunded');
+
+    const refundQty = type === 'void' ? remaining : Number(qty);
+    if (!Number.isInteger(refundQty) || refundQty <= 0 || refundQty > remaining) {
+      throw httpError(400, 'Refund quantity must be between 1 and ' + remaining);
+    }
+
+    const amount = (sale.total_price / sale.qty) * refundQty;
+
+    if (method == null || method === '') {
+      const paidBy = await allAsync('SELECT DISTINCT method FROM order_payments WHERE order_id = ?', [sale.order_id]);
+      method = paidBy.length === 1 ? paidBy[0].method : 'cash';
+    } else if (!Object.prototype.hasOwnProperty.call(PAYMENT_METHODS, method)) {
+      throw httpError(400, 'Unknown payment method: ' + method, { methods: Object.keys(PAYMENT_METHODS) });
+    }
+    const drawer = await openCashSession(sale.location_id || (await defaultLocation()).id);
+
+    if (restock) {
+      // Put back what this sale deducted; sales from before the snapshot use today's recipe
+      let deducted = await allAsync('SELECT ingredient_id AS ingredientId, qty FROM sale_ingredients WHERE sale_id = ?', [
+        sale.id
+      ]);
+      if (!deducted.length) {
+        deducted = (await getRecipe(sale.product_id)).map((item) => ({
+          ingredientId: item.ingredientId,
+          qty: item.qty * sale.qty
+        }));
+      }
+      for (const item of deducted) {
+        const qtyBack = (item.qty / sale.qty) * refundQty;
+        // Back to the stall that sold it
+        await applyStockChange(
+          item.ingredientId,
+          sale.location_id || (await defaultLocation()).id,
+          qtyBack,
+          'Refund of ' + sale.product_name,
+          'refund'
+        );
+      }
+    }
+
+    await runAsync(
+      `UPDATE sales SET refunded_qty = refunded_qty + ?, refunded_amount = refunded_amount + ?
+       WHERE id = ?`,
+      [refundQty, amount, sale.id]
+    );
+    const refund = await runAsync(
+      `INSERT INTO sale_refunds (date, sale_id, type, qty, amount, restocked, reason, method, cash_session_id)
+       VALUES (datetime('now','localtime'), ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [sale.id, type, refundQty, amount, restock ? 1 : 0, reason || null, method, drawer ? drawer.id : null]
+    );
+    await recordAudit(
+      req,
+      type,
+      'sale',
+      sale.id,
+      { refunded_qty: sale.refunded_qty, refunded_amount: sale.refunded_amount },
+      {
+        refunded_qty: sale.refunded_qty + refundQty,
+        refunded_amount: sale.refunded_amount + amount,
+        restocked: !!restock,
+        reason: reason || null,
+        method
+      }
+    );
+    publishEvent('sale', { action: type, sale_id: sale.id, amount, location_ids: [sale.location_id] });
+
+    return { refundId: refund.lastID, qty: refundQty, amount, method };
+  });
+}
+
+// Booleans from JSON, forms and scripts alike: "false" and "0" must not read as true.
+function parseFlag(value, field, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (value === true || value === false) return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(text)) return true;
+  if (['false', '0', 'no', 'off'].includes(text)) return false;
+  throw httpError(400, field + ' must be true or false');
+}
+
+app.post('/api/sales/:id/void', requireRole('manager'), async (req, res) => {
+  try {
+    const { reason, restock, method } = req.body || {};
+    const result = await reverseSale(req, req.params.id, {
+      type: 'void',
+      reason,
+      restock: parseFlag(restock, 'restock', true),
+      method
+    });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    sendError(res, e, 'Failed to void sale');
+  }
+});
+
+app.post('/api/sales/:id/refund', requireRole('manager'), async (req, res) => {
+  try {
+    const { qty, reason, restock, method } = req.body || {};
+    const result = await reverseSale(req, req.params.id, {
+      type: 'refund',
+      qty,
+      reason,
+      restock: parseFlag(restock, 'restock', true),
+      method
+    });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    sendError(res, e, 'Failed to refund sale');
+  }
+});
+
+// ---------- API: CASH DRAWER ----------
+// A cash session is one shift at one location's till: it opens with a float,
+// sales and refunds made while it is open are attached to it, and closing it
+// records the counted cash against what the drawer should hold. Sales still go
+// through with no drawer open; they just belong to no shift.
+function openCashSession(locationId) {
+  return getAsync(`SELECT * FROM cash_sessions WHERE status = 'open' AND location_id = ?`, [locationId]);
+}
+
+// The shift a sale belongs to: the open one for a live sale. A replayed sale
+// joins it only if it was rung up after the shift opened; one from a shift that
+// has closed since belongs to no shift, so a counted Z-report never changes.
+function cashSessionAt(locationId, soldAt) {
+  if (soldAt === null) return openCashSession(locationId);
+  return getAsync(`SELECT * FROM cash_sessions WHERE status = 'open' AND location_id = ? AND opened_at <= ?`, [
+    locationId,
+    soldAt
+  ]);
+}
+
+// Everything the Z-report shows. Expected cash is the float plus cash taken less
+// cash refunded; over/short is only known once the drawer has been counted.
+async function cashSessionReport(id) {
+  const session = await getAsync(
+    `SELECT cs.*, l.name AS location_name FROM cash_sessions cs
+     LEFT JOIN locations l ON l.id = cs.location_id
+     WHERE cs.id = ?`,
+    [id]
+  );
+  if (!session) throw httpError(404, 'Cash session not found');
+
+  const totals = await getAsync(
+    'SELECT COUNT(*) AS orders, COALESCE(SUM(total_price), 0) AS gross FROM orders WHERE cash_session_id = ?',
+    [id]
+  );
+  const paid = await allAsync(
+    `SELECT p.method, COUNT(DISTINCT p.order_id) AS orders, SUM(p.amount) AS amount,
+       SUM(COALESCE(p.tendered - p.amount, 0)) AS change_given
+     FROM order_payments p
+     JOIN orders o ON o.id = p.order_id
+     WHERE o.cash_session_id = ?
+     GROUP BY p.method`,
+    [id]
+  );
+  const refunded = await allAsync(
+    `SELECT COALESCE(method, 'cash') AS method, COUNT(*) AS count, SUM(amount) AS amount
+     FROM sale_refunds
+     WHERE cash_session_id = ?
+     GROUP BY COALESCE(method, 'cash')`,
+    [id]
+  );
+
+  const byMethod = Object.entries(PAYMENT_METHODS).map(([method, label]) => {
+    const p = paid.find((r) => r.method === method) || {};
+    const r = refunded.find((row) => row.method === method) || {};
+    return {
+      method,
+      label,
+      orders: p.orders || 0,
+      amount: roundMoney(p.amount || 0),
+      refunds: r.count || 0,
+      refunded: roundMoney(r.amount || 0),
+      net: roundMoney((p.amount || 0) - (r.amount || 0))
+    };
+  });
+  const cash = byMethod.find((m) => m.method === 'cash');
+  const cashChange = paid.find((r) => r.method === 'cash');
+  // Once closed, expected is what the drawer was actually counted against
+  const expected =
+    session.status === 'closed' ? session.expected_cash : roundMoney(session.opening_float + cash.net);
+
+  return {
+    session,
+    orders: totals.orders,
+    gross_sales: roundMoney(totals.gross),
+    refunds_total: roundMoney(byMethod.reduce((sum, m) => sum + m.refunded, 0)),
+    net_sales: roundMoney(byMethod.reduce((sum, m) => sum + m.net, 0)),
+    by_method: byMethod,
+    cash: {
+      opening_float: session.opening_float,
+      cash_sales: cash.amount,
+      cash_refunds: cash.refunded,
+      change_given: roundMoney((cashChange && cashChange.change_given) || 0),
+      expected,
+      counted: session.counted_cash,
+      over_short: session.counted_cash == null ? null : roundMoney(session.counted_cash - expected)
+    }
+  };
+}
+
+function parseCashAmount(value, field) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n) || n < 0) {
+    throw httpError(400, field + ' must be a number of zero or more');
+  }
+  return roundMoney(n);
+}
+
+app.get('/api/cash-sessions', requireRole('manager'), async (req, res) => {
+  try {
+    const loc = locationFilter(await locationScope(req), 'cs.location_id');
+    const rows = await allAsync(
+      `
+      SELECT cs.*, l.name AS location_name,
+        (SELECT COUNT(*) FROM orders WHERE cash_session_id = cs.id) AS orders,
+        (SELECT COALESCE(SUM(total_price), 0) FROM orders WHERE cash_session_id = cs.id) AS gross_sales,
+        CASE WHEN cs.counted_cash IS NULL THEN NULL ELSE cs.counted_cash - cs.expected_cash END AS over_short
+      FROM cash_sessions cs
+      LEFT JOIN locations l ON l.id = cs.location_id
+      WHERE ${loc.sql}
+      ORDER BY cs.id DESC
+      LIMIT 50
+    `,
+      loc.params
+    );
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch cash sessions');
+  }
+});
+
+// The drawer at the till's location, with its running Z-report; null when closed.
+app.get('/api/cash-sessions/current', requireRole('cashier'), async (req, res) => {
+  try {
+    const location = await stockLocation(req);
+    const open = await openCashSession(location.id);
+    res.json({ location, report: open ? await cashSessionReport(open.id) : null });
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch cash drawer');
+  }
+});
+
+app.post('/api/cash-sessions', requireRole('cashier'), async (req, res) => {
+  try {
+    const id = await withTransaction(async () => {
+      const location = await stockLocation(req);
+      const float = parseCashAmount((req.body || {}).opening_float, 'Opening float');
+      const open = await openCashSession(location.id);
+      if (open) {
+        throw httpError(409, 'The cash drawer at ' + location.name + ' is already open (shift #' + open.id + ')', {
+          cash_session_id: open.id
+        });
+      }
+      const result = await runAsync(
+        `INSERT INTO cash_sessions (location_id, status, opened_at, opened_by, opening_float)
+         VALUES (?, 'open', datetime('now','localtime'), ?, ?)`,
+        [location.id, req.user.username, float]
+      );
+      await recordAudit(req, 'open', 'cash_session', result.lastID, null, {
+        location: location.name,
+        opening_float: float
+      });
+      return result.lastID;
+    });
+    res.json(await cashSessionReport(id));
+  } catch (e) {
+    sendError(res, e, 'Failed to open cash drawer');
+  }
+});
+
+app.post('/api/cash-sessions/:id/close', requireRole('cashier'), async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const body = req.body || {};
+      const counted = parseCashAmount(body.counted_cash, 'Counted cash');
+      const report = await cashSessionReport(req.params.id);
+      if (report.session.status !== 'open') throw httpError(400, 'This shift is already closed');
+
+      await runAsync(
+        `UPDATE cash_sessions
+         SET status = 'closed', closed_at = datetime('now','localtime'), closed_by = ?,
+           expected_cash = ?, counted_cash = ?, notes = ?
+         WHERE id = ?`,
+        [req.user.username, report.cash.expected, counted, body.notes || null, report.session.id]
+      );
+      await recordAudit(
+        req,
+        'close',
+        'cash_session',
+        report.session.id,
+        { status: 'open' },
+        {
+          status: 'closed',
+          expected_cash: report.cash.expected,
+          counted_cash: counted,
+          over_short: roundMoney(counted - report.cash.expected)
+        }
+      );
+    });
+    res.json(await cashSessionReport(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to close cash drawer');
+  }
+});
+
+app.get('/api/cash-sessions/:id/z-report', requireRole('cashier'), async (req, res) => {
+  try {
+    res.json(await cashSessionReport(req.params.id));
+  } catch (e) {
+    sendError(res, e, 'Failed to build Z-report');
+  }
+});
+
+app.get('/api/cash-sessions/:id/z-report.pdf', requireRole('cashier'), async (req, res) => {
+  try {
+    const report = await cashSessionReport(req.params.id);
+    const { session, cash } = report;
+    const settings = await getSettings();
+    const currency = settings.currency || 'LKR';
+    const shopName = settings.shop_name || 'CLOOFY';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="cloofy-z-report-' + session.id + '.pdf"');
+
+    const doc = new PDFDocument({ margin: 50 });
+    doc.pipe(res);
+
+    doc.rect(0, 0, doc.page.width, 90).fill('#ff7eb3');
+    doc
+      .fillColor('white')
+      .font('Helvetica-Bold')
+      .fontSize(22)
+      .text(shopName + ' Z-Report · Shift #' + session.id, 50, 28);
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .text(
+        (session.location_name || 'Unknown location') +
+          '   ·   ' +
+          (session.status === 'open' ? 'Shift still open' : 'Closed ' + session.closed_at) +
+          '   ·   Generated ' +
+          new Date().toLocaleString()
+      );
+    doc.fillColor('black');
+    doc.y = 110;
+
+    sectionTitle(doc, 'Shift');
+    doc.text('Opened: ' + session.opened_at + ' by ' + (session.opened_by || 'unknown'));
+    if (session.status === 'closed') {
+      doc.text('Closed: ' + session.closed_at + ' by ' + (session.closed_by || 'unknown'));
+    }
+    doc.text('Orders: ' + report.orders);
+    doc.text('Gross Sales: ' + money(currency, report.gross_sales));
+    doc.text('Refunds: ' + money(currency, report.refunds_total));
+    doc.text('Net Sales: ' + money(currency, report.net_sales));
+
+    sectionTitle(doc, 'Sales by Payment Method');
+    drawTable(
+      doc,
+      [
+        { header: 'Method', width: 130 },
+        { header: 'Orders', width: 60, align: 'right' },
+        { header: 'Taken', width: 100, align: 'right' },
+        { header: 'Refunded', width: 100, align: 'right' },
+        { header: 'Net', width: 100, align: 'right' }
+      ],
+      report.by_method.map((m) => [
+        m.label,
+        m.orders,
+        money(currency, m.amount),
+        money(currency, m.refunded),
+        money(currency, m.net)
+      ])
+    );
+
+    sectionTitle(doc, 'Cash Drawer');
+    let overShort = 'Not counted yet';
+    if (cash.over_short === 0) {
+      overShort = 'Balanced';
+    } else if (cash.over_short != null) {
+      overShort = (cash.over_short > 0 ? 'Over ' : 'Short ') + money(currency, Math.abs(cash.over_short));
+    }
+    drawTable(
+      doc,
+      [
+        { header: 'Item', width: 300 },
+        { header: 'Amount', width: 190, align: 'right' }
+      ],
+      [
+        ['Opening float', money(currency, cash.opening_float)],
+        ['+ Cash sales', money(currency, cash.cash_sales)],
+        ['- Cash refunds', money(currency, cash.cash_refunds)],
+        ['Expected in drawer', money(currency, cash.expected)],
+        ['Counted', cash.counted == null ? '-' : money(currency, cash.counted)],
+        ['Over / short', overShort]
+      ]
+    );
+    doc.moveDown(0.5);
+    doc.fontSize(9).fillColor('#8a7aa8').text('Change handed back: ' + money(currency, cash.change_given));
+    if (session.notes) doc.text('Notes: ' + session.notes);
+    doc.fillColor('black');
+
+    doc.end();
+  } catch (e) {
+    sendError(res, e, 'Failed to generate Z-report PDF');
+  }
+});
+
+// ---------- API: RECEIPTS ----------
+// A customer receipt for one order. It is laid out once as a list of lines
+// ({ text, right?, align?, bold?, large? } or { rule: true }) and then rendered
+// either as a narrow PDF or as ESC/POS bytes for a thermal printer.
+// Keyed by paper width in mm; chars is the Font A line width on that paper.
+const RECEIPT_PAPER = {
+  58: { points: 164, chars: 32 },
+  80: { points: 227, chars: 48 }
+};
+const DEFAULT_RECEIPT_FOOTER = 'Thank you!';
+
+function receiptNumber(orderId) {
+  return 'R' + String(orderId).padStart(6, '0');
+}
+
+async function loadReceipt(orderId) {
+  const order = await getAsync(
+    `SELECT o.*, l.name AS location_name FROM orders o
+     LEFT JOIN locations l ON l.id = o.location_id
+     WHERE o.id = ?`,
+    [orderId]
+  );
+  if (!order) throw httpError(404, 'Order not found');
+
+  const items = await allAsync(
+    `SELECT p.name, s.qty, s.total_price, s.refunded_qty, s.refunded_amount
+     FROM sales s
+     JOIN products p ON p.id = s.product_id
+     WHERE s.order_id = ?
+     ORDER BY s.id`,
+    [order.id]
+  );
+  const payments = await allAsync('SELECT method, amount, tendered FROM order_payments WHERE order_id = ? ORDER BY id', [
+    order.id
+  ]);
+
+  return {
+    receipt_no: receiptNumber(order.id),
+    order_id: order.id,
+    date: order.date,
+    location_name: order.location_name,
+    served_by: order.cashier,
+    items: items.map((i) => ({
+      name: i.name,
+      qty: i.qty,
+      unit_price: roundMoney(i.total_price / i.qty),
+      total: roundMoney(i.total_price),
+      refunded_qty: i.refunded_qty
+    })),
+    total: roundMoney(order.total_price),
+    refunded: roundMoney(items.reduce((sum, i) => sum + i.refunded_amount, 0)),
+    payments: payments.map((p) => ({ ...p, label: PAYMENT_METHODS[p.method] || p.method })),
+    change: changeDue(payments)
+  };
+}
+
+function settingLines(value) {
+  return String(value || '')
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+function receiptLines(receipt, settings) {
+  const currency = settings.currency || 'LKR';
+  const amount = (n) => Number(n || 0).toFixed(2);
+  const footer = settings.receipt_footer == null ? DEFAULT_RECEIPT_FOOTER : settings.receipt_footer;
+
+  const lines = [{ text: settings.shop_name || 'CLOOFY', align: 'center', bold: true, large: true }];
+  settingLines(settings.receipt_header).forEach((text) => lines.push({ text, align: 'center' }));
+  if (receipt.location_name) lines.push({ text: receipt.location_name, align: 'center' });
+  lines.push({ rule: true });
+  lines.push({ text: 'Receipt ' + receipt.receipt_no, right: receipt.date.slice(0, 16) });
+  if (receipt.served_by) lines.push({ text: 'Served by ' + receipt.served_by });
+  lines.push({ rule: true });
+  receipt.items.forEach((item) => {
+    lines.push({ text: item.qty + ' x ' + item.name });
+    lines.push({ text: '   @ ' + amount(item.unit_price), right: amount(item.total) });
+    if (item.refunded_qty > 0) lines.push({ text: '   refunded ' + item.refunded_qty });
+  });
+  lines.push({ rule: true });
+  lines.push({ text: 'TOTAL', right: currency + ' ' + amount(receipt.total), bold: true });
+  if (receipt.refunded > 0) {
+    lines.push({ text: 'Refunded', right: '-' + currency + ' ' + amount(receipt.refunded) });
+  }
+  // Cash shows what was handed over, so the change line adds up
+  receipt.payments.forEach((p) => {
+    lines.push({ text: p.label, right: amount(p.tendered == null ? p.amount : p.tendered) });
+  });
+  if (receipt.change > 0) lines.push({ text: 'Change', right: amount(receipt.change) });
+  if (settingLines(footer).length) {
+    lines.push({ rule: true });
+    settingLines(footer).forEach((text) => lines.push({ text, align: 'center' }));
+  }
+  return lines;
+}
+
+const RECEIPT_MARGIN = 8;
+const RECEIPT_RULE_HEIGHT = 8;
+
+function receiptFont(doc, line) {
+  doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(line.large ? 12 : 8);
+}
+
+// Roll paper has no fixed length, so the page is sized to the receipt up front:
+// the sum of each line's wrapped height, measured the way drawReceipt lays it out.
+function measureReceipt(doc, lines, pageWidth) {
+  const inner = pageWidth - RECEIPT_MARGIN * 2;
+  let height = RECEIPT_MARGIN * 2;
+  for (const line of lines) {
+    if (line.rule) {
+      height += RECEIPT_RULE_HEIGHT;
+      continue;
+    }
+    receiptFont(doc, line);
+    if (line.right != null) {
+      height += Math.max(
+        doc.heightOfString(line.right, { width: inner, align: 'right' }),
+        doc.heightOfString(line.text, { width: inner - doc.widthOfString(line.right) - 6 })
+      );
+    } else {
+      height += doc.heightOfString(line.text, { width: inner, align: line.align || 'left' });
+    }
+  }
+  return height;
+}
+
+// Draws the lines from the top of the page.
+function drawReceipt(doc, lines, pageWidth) {
+  const margin = RECEIPT_MARGIN;
+  const inner = pageWidth - margin * 2;
+  doc.y = margin;
+  for (const line of lines) {
+    if (line.rule) {
+      const y = doc.y + 3;
+      doc.moveTo(margin, y).lineTo(pageWidth - margin, y).dash(2, { space: 2 }).stroke().undash();
+      doc.y = y + RECEIPT_RULE_HEIGHT - 3;
+      continue;
+    }
+    receiptFont(doc, line);
+    const top = doc.y;
+    if (line.right != null) {
+      doc.text(line.right, margin, top, { width: inner, align: 'right' });
+      const bottom = doc.y;
+      doc.text(line.text, margin, top, { width: inner - doc.widthOfString(line.right) - 6 });
+      doc.y = Math.max(doc.y, bottom);
+    } else {
+      doc.text(line.text, margin, top, { width: inner, align: line.align || 'left' });
+    }
+  }
+}
+
+// Thermal printers take plain ASCII: accents and typographic punctuation are
+// simplified and anything else becomes '?'.
+function escposText(text) {
+  return Buffer.from(
+    String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\u2013\u2014]/g, '-')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\u201c\u201d]/g, '"')
+      .replace(/[^\x20-\x7e\n]/g, '?'),
+    'ascii'
+  );
+}
+
+// Word-wraps to `width` characters, keeping any leading indent on every line.
+function wrapText(text, width) {
+  const indent = String(text).match(/^ */)[0];
+  width -= indent.length;
+  const out = [];
+  let line = '';
+  for (const word of String(text).trim().split(/ +/)) {
+    if (line && (line + ' ' + word).length > width) {
+      out.push(line);
+      line = '';
+    }
+    line = line ? line + ' ' + word : word;
+    while (line.length > width) {
+      out.push(line.slice(0, width));
+      line = line.slice(width);
+    }
+  }
+  out.push(line);
+  return out.map((l) => indent + l);
+}
+
+function receiptEscPos(lines, chars) {
+  const ESC = 0x1b;
+  const GS = 0x1d;
+  const out = [Buffer.from([ESC, 0x40])]; // initialise
+  for (const line of lines) {
+    // Double width and height for large text, so half the characters fit
+    const width = line.large ? Math.floor(chars / 2) : chars;
+    out.push(Buffer.from([ESC, 0x61, line.align === 'center' ? 1 : 0])); // justification
+    out.push(Buffer.from([ESC, 0x45, line.bold ? 1 : 0])); // emphasis
+    out.push(Buffer.from([GS, 0x21, line.large ? 0x11 : 0])); // character size
+    let text;
+    if (line.rule) {
+      text = '-'.repeat(chars);
+    } else if (line.right != null) {
+      const gap = width - line.text.length - line.right.length;
+      text =
+        gap >= 1
+          ? line.text + ' '.repeat(gap) + line.right
+          : wrapText(line.text, width).join('\n') + '\n' + line.right.padStart(width);
+    } else {
+      text = wrapText(line.text, width).join('\n');
+    }
+    out.push(escposText(text + '\n'));
+  }
+  out.push(Buffer.from([GS, 0x56, 0x42, 3])); // feed 3 lines and cut
+  return Buffer.concat(out);
+}
+
+async function receiptRequest(req) {
+  const settings = await getSettings();
+  const width =
+    req.query.width || (Object.hasOwn(RECEIPT_PAPER, settings.receipt_width) ? settings.receipt_width : '80');
+  if (!Object.hasOwn(RECEIPT_PAPER, width)) throw httpError(400, 'Receipt width must be 58 or 80 (mm)');
+  const paper = RECEIPT_PAPER[width];
+  const receipt = await loadReceipt(req.params.id);
+  return { receipt, paper, lines: receiptLines(receipt, settings) };
+}
+
+app.get('/api/orders/:id/receipt', requireRole('cashier'), async (req, res) => {
+  try {
+    res.json((await receiptRequest(req)).receipt);
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch receipt');
+  }
+});
+
+app.get('/api/orders/:id/receipt.pdf', requireRole('cashier'), async (req, res) => {
+  try {
+    const { receipt, paper, lines } = await receiptRequest(req);
+
+    const measure = new PDFDocument({ size: [paper.points, 1000], margin: RECEIPT_MARGIN });
+    const height = Math.ceil(measureReceipt(measure, lines, paper.points)) + 4;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    // Inline so it opens in the browser's viewer, ready to print
+    res.setHeader('Content-Disposition', 'inline; filename="receipt-' + receipt.receipt_no + '.pdf"');
+    const doc = new PDFDocument({ size: [paper.points, height], margin: RECEIPT_MARGIN });
+    doc.pipe(res);
+    drawReceipt(doc, lines, paper.points);
+    doc.end();
+  } catch (e) {
+    sendError(res, e, 'Failed to generate receipt');
+  }
+});
+
+// Raw bytes for an ESC/POS printer, e.g. `lp -o raw` or a print bridge app.
+app.get('/api/orders/:id/receipt.escpos', requireRole('cashier'), async (req, res) => {
+  try {
+    const { receipt, paper, lines } = await receiptRequest(req);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', 'attachment; filename="receipt-' + receipt.receipt_no + '.bin"');
+    res.send(receiptEscPos(lines, paper.chars));
+  } catch (e) {
+    sendError(res, e, 'Failed to generate receipt');
+  }
+});
+
+// ---------- API: INVENTORY FORECAST ----------
+const FORECAST_HORIZON_DAYS = 120;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function localDateString(d) {
+  return (
+    d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0')
+  );
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+// Projects each ingredient's stock forward using its sale usage over the last
+// `days` complete days, with a separate rate per weekday. With a location, both
+// usage and stock are that stall's; otherwise company-wide.
+async function inventoryForecast({ days, leadDays, coverDays, location }) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const from = addDays(today, -days);
+  const loc = locationFilter(location, 'location_id');
+
+  // Net usage by sales: deductions minus what refunds put back
+  const rows = await allAsync(
+    `
+    SELECT ingredient_id, date(date) AS day, -SUM(change) AS used
+    FROM inventory_logs
+    WHERE kind IN ('sale', 'refund')
+      AND date(date) >= ? AND date(date) < ? AND ${loc.sql}
+    GROUP BY ingredient_id, day
+  `,
+    [localDateString(from), localDateString(today), ...loc.params]
+  );
+
+  const weekdayCounts = [0, 0, 0, 0, 0, 0, 0];
+  for (let i = 0; i < days; i++) weekdayCounts[addDays(from, i).getDay()]++;
+
+  const usage = {};
+  rows.forEach((r) => {
+    const u = (usage[r.ingredient_id] = usage[r.ingredient_id] || { total: 0, byWeekday: [0, 0, 0, 0, 0, 0, 0] });
+    u.total += r.used;
+    u.byWeekday[new Date(r.day + 'T00:00:00').getDay()] += r.used;
+  });
+
+  const ingredients = await withLocationStock(
+    await allAsync('SELECT * FROM ingredients WHERE archived = 0 ORDER BY name'),
+    location
+  );
+  const items = ingredients.map((ing) => {
+    const u = usage[ing.id] || { total: 0, byWeekday: [0, 0, 0, 0, 0, 0, 0] };
+    const avg = Math.max(u.total, 0) / days;
+    // One pseudo-day at the overall average per weekday keeps a single busy
+    // Saturday from dominating when history is short.
+    const rates = u.byWeekday.map((used, w) => Math.max((used + avg) / (weekdayCounts[w] + 1), 0));
+    const usageOn = (d) => rates[d.getDay()];
+
+    let daysRemaining = null;
+    let stockout = null;
+    if (avg > 0) {
+      let stock = ing.current_stock;
+      for (let i = 0; i < FORECAST_HORIZON_DAYS; i++) {
+        const need = usageOn(addDays(today, i));
+        if (stock < need) {
+          daysRemaining = i + Math.max(stock, 0) / need;
+          stockout = addDays(today, i);
+          break;
+        }
+        stock -= need;
+      }
+    }
+
+    const low = ing.current_stock <= ing.reorder_level;
+    let reorderBy = null;
+    if (low) reorderBy = today;
+    else if (stockout) reorderBy = addDays(stockout, -leadDays) < today ? today : addDays(stockout, -leadDays);
+
+    let suggestedQty = 0;
+    if (reorderBy && avg > 0) {
+      // Enough to cover coverDays after the delivery arrives, plus the reorder level as a buffer
+      const arrival = addDays(reorderBy, leadDays);
+      let stockAtArrival = ing.current_stock;
+      for (let d = today; d < arrival; d = addDays(d, 1)) stockAtArrival -= usageOn(d);
+      let cover = 0;
+      for (let i = 0; i < coverDays; i++) cover += usageOn(addDays(arrival, i));
+      suggestedQty = Math.ceil(cover + ing.reorder_level - Math.max(stockAtArrival, 0));
+    } else if (low) {
+      const par = ing.par_level != null ? ing.par_level : ing.reorder_level * 2;
+      suggestedQty = Math.ceil(par - ing.current_stock);
+    }
+    suggestedQty = Math.max(suggestedQty, 0);
+
+    let status = 'ok';
+    if (reorderBy && reorderBy <= today) status = 'order_now';
+    else if (reorderBy && reorderBy <= addDays(today, 7)) status = 'soon';
+
+    return {
+      ingredient_id: ing.id,
+      name: ing.name,
+      unit: ing.unit,
+      current_stock: ing.current_stock,
+      reorder_level: ing.reorder_level,
+      avg_daily_usage: Number(avg.toFixed(2)),
+      weekday_usage: Object.fromEntries(WEEKDAYS.map((name, w) => [name, Number(rates[w].toFixed(2))])),
+      days_remaining: daysRemaining == null ? null : Number(daysRemaining.toFixed(1)),
+      stockout_date: stockout ? localDateString(stockout) : null,
+      reorder_by: reorderBy ? localDateString(reorderBy) : null,
+      suggested_qty: suggestedQty,
+      suggested_cost: Number((suggestedQty * ing.unit_cost).toFixed(2)),
+      status
+    };
+  });
+
+  items.sort((a, b) => (a.days_remaining ?? Infinity) - (b.days_remaining ?? Infinity));
+  return { lookback_days: days, lead_days: leadDays, cover_days: coverDays, items };
+}
+
+app.get('/api/inventory/forecast', requireRole('manager'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const days = Math.min(Math.max(Math.floor(Number(req.query.days) || 28), 7), 180);
+    const leadDays = Math.max(Math.floor(Number(req.query.lead_days ?? settings.forecast_lead_days ?? 3)) || 0, 0);
+    const coverDays = Math.max(Math.floor(Number(req.query.cover_days ?? settings.forecast_cover_days) || 14), 1);
+    const location = await locationScope(req);
+    res.json(await inventoryForecast({ days, leadDays, coverDays, location }));
+  } catch (e) {
+    sendError(res, e, 'Failed to build inventory forecast');
+  }
+});
+
+// ---------- API: DASHBOARD ----------
+// Net cost of a sales row: refunded units take their share of the COGS snapshot with them.
+function netCostSql(alias) {
+  const p = alias ? alias + '.' : '';
+  return `${p}cost_total * (${p}qty - ${p}refunded_qty) * 1.0 / ${p}qty`;
+}
+
+function marginPct(revenue, cogs) {
+  return revenue ? ((revenue - cogs) / revenue) * 100 : 0;
+}
+
+// Scoped to one location when the switcher picks one; company-wide otherwise,
+// with a per-location breakdown.
+app.get('/api/dashboard/summary', requireRole('manager'), async (req, res) => {
+  try {
+    const scope = await locationScope(req);
+    const loc = locationFilter(scope, 'location_id');
+
+    // Refunded/voided amounts are netted out of every figure
+    const revenueRow = await getAsync(
+      `SELECT SUM(total_price - refunded_amount) AS revenue, SUM(${netCostSql()}) AS cogs
+       FROM sales WHERE ${loc.sql}`,
+      loc.params
+    );
+    const salesCountRow = await getAsync(
+      `SELECT COUNT(*) AS sales_count FROM sales WHERE refunded_qty < qty AND ${loc.sql}`,
+      loc.params
+    );
+    const tubsRow = await getAsync(
+      `SELECT SUM(qty - refunded_qty) AS total_tubs FROM sales WHERE ${loc.sql}`,
+      loc.params
+    );
+
+    const lowStock = (
+      await withLocationStock(await allAsync('SELECT * FROM ingredients WHERE archived = 0'), scope)
+    ).filter((ing) => ing.current_stock <= ing.reorder_level);
+
+    const todayRow = await getAsync(
+      `
+      SELECT SUM(total_price - refunded_amount) AS revenue, SUM(qty - refunded_qty) AS tubs
+      FROM sales
+      WHERE date(date) = date('now','localtime') AND ${loc.sql}
+    `,
+      loc.params
+    );
+
+    const todayWastage = await getAsync(
+      `SELECT SUM(cost) AS cost FROM wastage WHERE date(date) = date('now','localtime') AND ${loc.sql}`,
+      loc.params
+    );
+    const wastage = await wastageSummary(undefined, scope);
+
+    const byLocation = scope
+      ? []
+      : await allAsync(`
+          SELECT l.id AS location_id, l.name,
+            COALESCE(SUM(s.total_price - s.refunded_amount), 0) AS revenue,
+            COALESCE(SUM(s.qty - s.refunded_qty), 0) AS tubs,
+            COALESCE(SUM(CASE WHEN date(s.date) = date('now','localtime')
+              THEN s.total_price - s.refunded_amount END), 0) AS today_revenue
+          FROM locations l
+          LEFT JOIN sales s ON s.location_id = l.id
+          WHERE l.archived = 0 OR s.id IS NOT NULL
+          GROUP BY l.id
+          ORDER BY l.id
+        `);
+
+    const settings = await getSettings();
+
+    const revenue = revenueRow?.revenue || 0;
+    const cogs = revenueRow?.cogs || 0;
+
+    res.json({
+      revenue,
+      cogs,
+      gross_profit: revenue - cogs,
+      margin_pct: marginPct(revenue, cogs),
+      sales_count: salesCountRow?.sales_count || 0,
+      total_tubs: tubsRow?.total_tubs || 0,
+      wastage_cost: wastage.total_cost,
+      wastage_by_reason: wastage.by_reason,
+      today_wastage_cost: todayWastage?.cost || 0,
+      low_stock: lowStock,
+      location: scope ? scope.name : null,
+      by_location: byLocation,
+      today_revenue: todayRow?.revenue || 0,
+      today_tubs: todayRow?.tubs || 0,
+      currency: settings.currency || 'LKR',
+      shop_name: settings.shop_name || 'CLOOFY',
+      daily_target_revenue: Number(settings.daily_target_revenue || 0),
+      daily_target_tubs: Number(settings.daily_target_tubs || 0)
+    });
+  } catch (e) {
+    sendError(res, e, 'Failed to load summary');
+  }
+});
+
+app.get('/api/dashboard/sales-by-day', requireRole('manager'), async (req, res) => {
+  try {
+    const loc = locationFilter(await locationScope(req), 'location_id');
+    const rows = await allAsync(
+      `
+      SELECT date(date) AS day, SUM(total_price - refunded_amount) AS revenue, SUM(qty - refunded_qty) AS tubs,
+        SUM(${netCostSql()}) AS cogs
+      FROM sales
+      WHERE date >= date('now','localtime','-30 day') AND ${loc.sql}
+      GROUP BY date(date)
+      ORDER BY date(date)
+    `,
+      loc.params
+    );
+    res.json(
+      rows.map((r) => ({
+        ...r,
+        gross_profit: r.revenue - r.cogs,
+        margin_pct: marginPct(r.revenue, r.cogs)
+      }))
+    );
+  } catch (e) {
+    sendError(res, e, 'Failed to load chart data');
+  }
+});
+
+// Per-product gross margin, optionally for one month ("YYYY-MM") and one location.
+function productMargins(month, location) {
+  const loc = locationFilter(location, 's.location_id');
+  return allAsync(
+    `
+    SELECT p.id AS product_id, p.name,
+      SUM(s.qty - s.refunded_qty) AS tubs,
+      SUM(s.total_price - s.refunded_amount) AS revenue,
+      SUM(${netCostSql('s')}) AS cogs
+    FROM sales s
+    JOIN products p ON p.id = s.product_id
+    WHERE ${loc.sql} ${month ? `AND strftime('%Y-%m', s.date) = ?` : ''}
+    GROUP BY p.id
+    ORDER BY revenue DESC
+  `,
+    [...loc.params, ...(month ? [month] : [])]
+  ).then((rows) =>
+    rows.map((r) => ({
+      ...r,
+      revenue: r.revenue || 0,
+      cogs: r.cogs || 0,
+      gross_profit: (r.revenue || 0) - (r.cogs || 0),
+      margin_pct: marginPct(r.revenue, r.cogs)
+    }))
+  );
+}
+
+app.get('/api/dashboard/product-margins', requireRole('manager'), async (req, res) => {
+  try {
+    res.json(await productMargins(req.query.month, await locationScope(req)));
+  } catch (e) {
+    sendError(res, e, 'Failed to load product margins');
+  }
+});
+
+// ---------- API: REPORTS (PDF) ----------
+// Small pdfkit drawing helpers shared by the reports.
+function money(currency, n) {
+  return currency + ' ' + Number(n || 0).toFixed(2);
+}
+
+// Starts a new page when fewer than `height` points are left above the bottom margin.
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 90);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#3b3055').text(title, doc.page.margins.left);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  doc.moveDown(0.4);
+}
+
+// columns: [{ header, width, align? }]; rows: arrays of cell strings.
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const rowHeight = 16;
+
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 2, y + 4, {
+        width: columns[i].width - 4,
+        align: columns[i].align || 'left',
+        lineBreak: false
+      });
+      x += columns[i].width;
+    });
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(x, y + rowHeight)
+      .strokeColor('#e1d4ff')
+      .stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map((c) => c.header), true);
+  if (!rows.length) {
+    drawRow(['No data'].concat(columns.slice(1).map(() => '')), false);
+  }
+  rows.forEach((r) => drawRow(r, false));
+  doc.font('Helvetica').fontSize(10);
+}
+
+// Vertical bar chart drawn with vector primitives; points: [{ label, value }].
+function drawBarChart(doc, points, { height = 160, labelEvery = 1 } = {}) {
+  ensureSpace(doc, height + 30);
+  const left = doc.page.margins.left + 40;
+  const width = doc.page.width - doc.page.margins.right - left;
+  const top = doc.y;
+  const bottom = top + height;
+  const max = Math.max(...points.map((p) => p.value), 0) || 1;
+  const slot = width / Math.max(points.length, 1);
+
+  doc.fontSize(7).fillColor('#8a7aa8');
+  [0, 0.5, 1].forEach((f) => {
+    const y = bottom - f * height;
+    doc.text(Math.round(max * f).toLocaleString(), doc.page.margins.left, y - 3, {
+      width: 36,
+      align: 'right'
+    });
+    doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#eee6ff').stroke();
+  });
+
+  points.forEach((p, i) => {
+    const barHeight = (p.value / max) * height;
+    const x = left + i * slot + slot * 0.15;
+    if (barHeight > 0) {
+      doc.rect(x, bottom - barHeight, slot * 0.7, barHeight).fill('#ff7eb3');
+    }
+    if (i % labelEvery === 0) {
+      doc.fillColor('#8a7aa8').text(p.label, left + i * slot, bottom + 3, {
+        width: slot * labelEvery,
+        align: 'left',
+        lineBreak: false
+      });
+    }
+  });
+
+  doc.fillColor('black').fontSize(10);
+  doc.x = doc.page.margins.left;
+  doc.y = bottom + 18;
+}
+
+function isValidMonth(month) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(month);
+}
+
+app.get('/api/reports/monthly-pdf', requireRole('manager'), async (req, res) => {
+  try {
+    const month = req.query.month; // optional "YYYY-MM"
+    if (month !== undefined && month !== '' && !isValidMonth(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+    const scope = await locationScope(req);
+    const loc = locationFilter(scope, 'location_id');
+    const filter = `WHERE ${loc.sql}` + (month ? ` AND strftime('%Y-%m', date) = ?` : '');
+    const params = [...loc.params, ...(month ? [month] : [])];
+
+    const settings = await getSettings();
+    const currency = settings.currency || 'LKR';
+    const shopName = settings.shop_name || 'CLOOFY';
+
+    const summary = await getAsync(
+      `
+      SELECT SUM(total_price - refunded_amount) AS revenue, SUM(qty - refunded_qty) AS tubs,
+        SUM(${netCostSql()}) AS cogs, COUNT(DISTINCT order_id) AS orders
+      FROM sales
+      ${filter}
+    `,
+      params
+    );
+    const margins = await productMargins(month, scope);
+
+    // One bar per day of the month, or per month for the all-time report
+    const periodExpr = month ? 'date(date)' : `strftime('%Y-%m', date)`;
+    const byPeriod = await allAsync(
+      `
+      SELECT ${periodExpr} AS period, SUM(total_price - refunded_amount) AS revenue,
+        SUM(qty - refunded_qty) AS tubs
+      FROM sales
+      ${filter}
+      GROUP BY period
+      ORDER BY period
+    `,
+      params
+    );
+    let chartPoints;
+    if (month) {
+      const [y, m] = month.split('-').map(Number);
+      const days = new Date(y, m, 0).getDate();
+      chartPoints = [];
+      for (let d = 1; d <= days; d++) {
+        const day = month + '-' + String(d).padStart(2, '0');
+        const row = byPeriod.find((r) => r.period === day);
+        chartPoints.push({ label: String(d), value: row ? row.revenue : 0 });
+      }
+    } else {
+      chartPoints = byPeriod.map((r) => ({ label: r.period, value: r.revenue }));
+    }
+
+    const topDays = await allAsync(
+      `
+      SELECT date(date) AS day, SUM(total_price - refunded_amount) AS revenue,
+        SUM(qty - refunded_qty) AS tubs
+      FROM sales
+      ${filter}
+      GROUP BY day
+      ORDER BY revenue DESC
+      LIMIT 5
+    `,
+      params
+    );
+
+    // Sale deductions net of refunds that put stock back
+    const consumption = await allAsync(
+      `
+      SELECT i.name, i.unit, -SUM(l.change) AS used, -SUM(l.change) * i.unit_cost AS cost
+      FROM inventory_logs l
+      JOIN ingredients i ON i.id = l.ingredient_id
+      WHERE l.kind IN ('sale', 'refund')
+        AND ${locationFilter(scope, 'l.location_id').sql}
+        ${month ? `AND strftime('%Y-%m', l.date) = ?` : ''}
+      GROUP BY i.id
+      ORDER BY cost DESC
+    `,
+      params
+    );
+
+    const wastage = await wastageSummary(month, scope);
+
+    const ingredients = await withLocationStock(
+      await allAsync('SELECT * FROM ingredients WHERE archived = 0'),
+      scope
+    );
+
+    // The company-wide report splits sales by location
+    const byLocation = scope
+      ? []
+      : await allAsync(
+          `
+          SELECT l.name, SUM(s.total_price - s.refunded_amount) AS revenue, SUM(s.qty - s.refunded_qty) AS tubs,
+            SUM(${netCostSql('s')}) AS cogs
+          FROM sales s
+          JOIN locations l ON l.id = s.location_id
+          ${month ? `WHERE strftime('%Y-%m', s.date) = ?` : ''}
+          GROUP BY l.id
+          ORDER BY revenue DESC
+        `,
+          month ? [month] : []
+        );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      'attachment; filename="cloofy-report-' +
+        (month || 'all-time') +
+        (scope ? '-' + scope.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') : '') +
+        '.pdf"'
+    );
+
+    const doc = new PDFDocument({ margin: 50, bufferPages: true });
+    doc.pipe(res);
+
+    // Header
+    doc.rect(0, 0, doc.page.width, 90).fill('#ff7eb3');
+    doc
+      .fillColor('white')
+      .font('Helvetica-Bold')
+      .fontSize(22)
+      .text(shopName + ' Monthly Report', 50, 28);
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .text(
+        'Period: ' +
+          (month || 'All Time') +
+          '   ·   ' +
+          (scope ? scope.name : 'All locations') +
+          '   ·   Generated ' +
+          new Date().toLocaleString()
+      );
+    doc.fillColor('black');
+    doc.y = 110;
+
+    const revenue = summary?.revenue || 0;
+    const cogs = summary?.cogs || 0;
+
+    sectionTitle(doc, 'Summary');
+    doc.text('Total Revenue: ' + money(currency, revenue));
+    doc.text('Total Tubs Sold: ' + (summary?.tubs || 0));
+    doc.text('Orders: ' + (summary?.orders || 0));
+
+    sectionTitle(doc, 'Profit & Loss');
+    doc.text('Revenue: ' + money(currency, revenue));
+    doc.text('Cost of Goods Sold: ' + money(currency, cogs));
+    doc.text('Gross Profit: ' + money(currency, revenue - cogs));
+    doc.text('Gross Margin: ' + marginPct(revenue, cogs).toFixed(1) + '%');
+    doc.text('Wastage: ' + money(currency, wastage.total_cost));
+    doc.text('Profit after Wastage: ' + money(currency, revenue - cogs - wastage.total_cost));
+
+    sectionTitle(doc, month ? 'Daily Revenue (' + currency + ')' : 'Monthly Revenue (' + currency + ')');
+    if (chartPoints.length) {
+      drawBarChart(doc, chartPoints, {
+        labelEvery: Math.max(1, Math.ceil(chartPoints.length / 16))
+      });
+    } else {
+      doc.text('No sales in this period.');
+    }
+
+    if (byLocation.length > 1) {
+      sectionTitle(doc, 'Sales by Location');
+      drawTable(
+        doc,
+        [
+          { header: 'Location', width: 170 },
+          { header: 'Units', width: 50, align: 'right' },
+          { header: 'Revenue', width: 90, align: 'right' },
+          { header: 'COGS', width: 90, align: 'right' },
+          { header: 'Margin', width: 60, align: 'right' }
+        ],
+        byLocation.map((l) => [
+          l.name,
+          l.tubs,
+          money(currency, l.revenue),
+          money(currency, l.cogs),
+          marginPct(l.revenue, l.cogs).toFixed(1) + '%'
+        ])
+      );
+    }
+
+    sectionTitle(doc, 'Sales by Product');
+    drawTable(
+      doc,
+      [
+        { header: 'Product', width: 170 },
+        { header: 'Units', width: 50, align: 'right' },
+        { header: 'Revenue', width: 90, align: 'right' },
+        { header: 'COGS', width: 90, align: 'right' },
+        { header: 'Margin', width: 60, align: 'right' }
+      ],
+      margins.map((m) => [
+        m.name,
+        m.tubs,
+        money(currency, m.revenue),
+        money(currency, m.cogs),
+        m.margin_pct.toFixed(1) + '%'
+      ])
+    );
+
+    sectionTitle(doc, 'Top Days');
+    drawTable(
+      doc,
+      [
+        { header: 'Day', width: 150 },
+        { header: 'Tubs', width: 80, align: 'right' },
+        { header: 'Revenue', width: 120, align: 'right' }
+      ],
+      topDays.map((d) => [d.day, d.tubs, money(currency, d.revenue)])
+    );
+
+    sectionTitle(doc, 'Ingredient Consumption');
+    drawTable(
+      doc,
+      [
+        { header: 'Ingredient', width: 200 },
+        { header: 'Used', width: 110, align: 'right' },
+        { header: 'Cost (current)', width: 120, align: 'right' }
+      ],
+      consumption.map((c) => [c.name, c.used.toFixed(1) + ' ' + c.unit, money(currency, c.cost)])
+    );
+
+    sectionTitle(doc, 'Wastage');
+    if (wastage.by_reason.length) {
+      drawTable(
+        doc,
+        [
+          { header: 'Reason', width: 200 },
+          { header: 'Entries', width: 80, align: 'right' },
+          { header: 'Cost', width: 120, align: 'right' }
+        ],
+        wastage.by_reason
+          .map((w) => [w.label, w.entries, money(currency, w.cost)])
+          .concat([['Total', '', money(currency, wastage.total_cost)]])
+      );
+    } else {
+      doc.text('No wastage recorded.');
+    }
+
+    sectionTitle(doc, 'Low Stock Ingredients');
+    const lowStock = ingredients.filter((i) => i.current_stock <= i.reorder_level);
+    if (lowStock.length === 0) {
+      doc.text('- None');
+    } else {
+      lowStock.forEach((i) => {
+        doc.text(
+          '- ' +
+            i.name +
+            ': ' +
+            i.current_stock +
+            ' ' +
+            i.unit +
+            ' (reorder at ' +
+            i.reorder_level +
+            ')'
+        );
+      });
+    }
+
+    // Page numbers, written once every page exists
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc
+        .fontSize(8)
+        .fillColor('#8a7aa8')
+        .text('Page ' + (i + 1) + ' of ' + range.count, 0, doc.page.height - 30, {
+          width: doc.page.width,
+          align: 'center'
+        });
+      doc.page.margins.bottom = bottomMargin;
+    }
+
+    doc.end();
+  } catch (e) {
+    sendError(res, e, 'Failed to generate PDF');
+  }
+});
+
+// ---------- API: EXPORT (CSV) ----------
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  // Spreadsheets run text starting with these as a formula; numbers are left as they are
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+// Builds "date(col) BETWEEN" conditions from ?from=YYYY-MM-DD&to=YYYY-MM-DD.
+function dateRangeFilter(query, column) {
+  const where = [];
+  const params = [];
+  for (const [key, op] of [
+    ['from', '>='],
+    ['to', '<=']
+  ]) {
+    if (!query[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+      throw httpError(400, `'${key}' must be a date in YYYY-MM-DD format`);
+    }
+    where.push(`date(${column}) ${op} date(?)`);
+    params.push(query[key]);
+  }
+  return { where, params };
+}
+
+const CSV_PAGE_SIZE = 500;
+
+// Streams rows to the response a page at a time, so an export never holds the
+// whole history in memory. Pages are keyed on the query's id column, which must
+// be unique. Writing waits for the socket to drain and stops if the client goes
+// away. The BOM makes Excel read it as UTF-8.
+async function streamCsv(res, filename, columns, sql, params) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  const drained = () =>
+    new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="' + filename + '"');
+  res.write('\uFEFF' + csvLine(columns.map((c) => c.header)));
+
+  try {
+    let lastId = 0;
+    while (!closed) {
+      const rows = await allAsync(
+        `SELECT * FROM (${sql}) WHERE id > ? ORDER BY id LIMIT ?`,
+        [...params, lastId, CSV_PAGE_SIZE]
+      );
+      for (const row of rows) {
+        if (closed) return;
+        if (!res.write(csvLine(columns.map((c) => row[c.key])))) await drained();
+      }
+      if (rows.length < CSV_PAGE_SIZE) break;
+      lastId = rows[rows.length - 1].id;
+    }
+    if (!closed) res.end();
+  } catch (err) {
+    console.error(err);
+    // Headers are already sent; cut the download short so it isn't mistaken for complete
+    res.destroy(err);
+  }
+}
+
+app.get('/api/export/sales.csv', requireRole('manager'), (req, res) => {
+  try {
+    const { where, params } = dateRangeFilter(req.query, 's.date');
+    streamCsv(
+      res,
+      'cloofy-sales.csv',
+      [
+        { header: 'sale_id', key: 'id' },
+        { header: 'order_id', key: 'order_id' },
+        { header: 'date', key: 'date' },
+        { header: 'location', key: 'location_name' },
+        { header: 'product', key: 'product_name' },
+        { header: 'qty', key: 'qty' },
+        { header: 'total_price', key: 'total_price' },
+        { header: 'refunded_qty', key: 'refunded_qty' },
+        { header: 'refunded_amount', key: 'refunded_amount' },
+        { header: 'net_total', key: 'net_total' },
+        { header: 'cost_total', key: 'cost_total' }
+      ],
+      `
+      SELECT s.*, p.name AS product_name, s.total_price - s.refunded_amount AS net_total,
+        loc.name AS location_name
+      FROM sales s
+      JOIN products p ON p.id = s.product_id
+      LEFT JOIN locations loc ON loc.id = s.location_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY s.id
+    `,
+      params
+    );
+  } catch (e) {
+    sendError(res, e, 'Failed to export sales');
+  }
+});
+
+app.get('/api/export/inventory-logs.csv', requireRole('manager'), (req, res) => {
+  try {
+    const { where, params } = dateRangeFilter(req.query, 'l.date');
+    streamCsv(
+      res,
+      'cloofy-inventory-logs.csv',
+      [
+        { header: 'log_id', key: 'id' },
+        { header: 'date', key: 'date' },
+        { header: 'location', key: 'location_name' },
+        { header: 'ingredient', key: 'ingredient_name' },
+        { header: 'unit', key: 'unit' },
+        { header: 'change', key: 'change' },
+        { header: 'reason', key: 'reason' }
+      ],
+      `
+      SELECT l.*, i.name AS ingredient_name, i.unit, loc.name AS location_name
+      FROM inventory_logs l
+      JOIN ingredients i ON i.id = l.ingredient_id
+      LEFT JOIN locations loc ON loc.id = l.location_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY l.id
+    `,
+      params
+    );
+  } catch (e) {
+    sendError(res, e, 'Failed to export inventory logs');
+  }
+});
+
+app.get('/api/export/ingredients.csv', requireRole('manager'), (req, res) => {
+  try {
+    streamCsv(
+      res,
+      'cloofy-ingredients.csv',
+      [
+        { header: 'ingredient_id', key: 'id' },
+        { header: 'name', key: 'name' },
+        { header: 'unit', key: 'unit' },
+        { header: 'current_stock', key: 'current_stock' },
+        { header: 'reorder_level', key: 'reorder_level' },
+        { header: 'par_level', key: 'par_level' },
+        { header: 'unit_cost', key: 'unit_cost' },
+        { header: 'stock_value', key: 'stock_value' },
+        { header: 'archived', key: 'archived' }
+      ],
+      `
+      SELECT *, current_stock * unit_cost AS stock_value
+      FROM ingredients
+      ORDER BY id
+    `,
+      []
+    );
+  } catch (e) {
+    sendError(res, e, 'Failed to export ingredients');
+  }
+});
+
+// ---------- API: IMPORT (CSV) ----------
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF/LF and a leading BOM.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+// Returns one object per data row, keyed by lower-cased header; `_row` is the
+// spreadsheet row number (the header is row 1) for error messages.
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text || '');
+  if (!header) throw httpError(400, 'CSV file is empty');
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return rows.map((cells, i) => {
+    const record = { _row: i + 2 };
+    keys.forEach((k, j) => {
+      record[k] = (cells[j] || '').trim();
+    });
+    return record;
+  });
+}
+
+function numberField(record, key, { required = false, min = 0 } = {}) {
+  const raw = record[key];
+  if (raw === undefined || raw === '') {
+    if (required) throw new Error(key + ' is required');
+    return null;
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min) throw new Error(key + ' must be a number >= ' + min);
+  return n;
+}
+
+// Each importer validates one record (throwing an Error with a row-level message)
+// and later inserts the normalized rows inside the import transaction. Stock and
+// sales without a location of their own land at the importing user's location.
+const importers = {
+  ingredients: {
+    async validate(record, seen) {
+      if (!record.name || !record.unit) throw new Error('name and unit are required');
+      const key = record.name.toLowerCase();
+      if (seen.has(key)) throw new Error('duplicate name ' + record.name + ' in file');
+      seen.add(key);
+      const existing = await getAsync('SELECT id FROM ingredients WHERE lower(name) = ?', [key]);
+      if (existing) throw new Error('ingredient ' + record.name + ' already exists');
+      const unit = normalizeUnit(record.unit);
+      if (!isUnit(unit)) throw new Error('unit must be one of: ' + Object.keys(UNITS).join(', '));
+
+      return {
+        name: record.name,
+        unit,
+        current_stock: numberField(record, 'current_stock') || 0,
+        reorder_level: numberField(record, 'reorder_level') || 0,
+        unit_cost: numberField(record, 'unit_cost') || 0,
+        par_level: numberField(record, 'par_level')
+      };
+    },
+    async insert(row, location) {
+      const result = await runAsync(
+        `INSERT INTO ingredients (name, unit, current_stock, reorder_level, unit_cost, par_level)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [row.name, row.unit, row.current_stock, row.reorder_level, row.unit_cost, row.par_level]
+      );
+      await runAsync('INSERT INTO ingredient_stock (ingredient_id, location_id, qty) VALUES (?, ?, ?)', [
+        result.lastID,
+        location.id,
+        row.current_stock
+      ]);
+    }
+  },
+
+  // Recipe columns come in pairs: ingredient_1, qty_1, ingredient_2, qty_2, ...
+  // with an optional unit_N when a quantity isn't in the ingredient's own unit.
+  products: {
+    async validate(record, seen) {
+      if (!record.name) throw new Error('name is required');
+      const key = record.name.toLowerCase();
+      if (seen.has(key)) throw new Error('duplicate name ' + record.name + ' in file');
+      seen.add(key);
+      const existing = await getAsync('SELECT id FROM products WHERE lower(name) = ?', [key]);
+      if (existing) throw new Error('product ' + record.name + ' already exists');
+
+      const price = numberField(record, 'price', { required: true });
+      const recipe = [];
+      for (let n = 1; record['ingredient_' + n] !== undefined; n++) {
+        const ingName = record['ingredient_' + n];
+        if (!ingName) continue;
+        const ing = await getAsync(
+          'SELECT * FROM ingredients WHERE archived = 0 AND lower(name) = ?',
+          [ingName.toLowerCase()]
+        );
+        if (!ing) throw new Error('unknown ingredient ' + ingName);
+        const qty = numberField(record, 'qty_' + n, { required: true });
+        if (!(qty > 0)) throw new Error('qty_' + n + ' must be positive');
+        recipe.push({ ingredientId: ing.id, qty: await toBaseQty(ing, qty, record['unit_' + n]) });
+      }
+      if (!recipe.length) throw new Error('at least one ingredient_N / qty_N pair is required');
+      return { name: record.name, price, recipe };
+    },
+    async insert(row) {
+      const result = await runAsync('INSERT INTO products (name, price) VALUES (?, ?)', [
+        row.name,
+        row.price
+      ]);
+      await setRecipe(result.lastID, row.recipe);
+      await runAsync(
+        `INSERT INTO product_prices (product_id, price, effective_from)
+         VALUES (?, ?, datetime('now','localtime'))`,
+        [result.lastID, row.price]
+      );
+    }
+  },
+
+  // Backdated sales are history: they are recorded (one order each) without touching stock.
+  sales: {
+    async validate(record) {
+      const date = record.date || '';
+      if (
+        !/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(date) ||
+        isNaN(Date.parse(date.replace(' ', 'T')))
+      ) {
+        throw new Error('date must be YYYY-MM-DD or YYYY-MM-DD HH:MM');
+      }
+      const product = await getAsync('SELECT * FROM products WHERE lower(name) = ?', [
+        (record.product || '').toLowerCase()
+      ]);
+      if (!product) throw new Error('unknown product ' + (record.product || '(blank)'));
+      const qty = numberField(record, 'qty', { required: true, min: 1 });
+      if (!Number.isInteger(qty)) throw new Error('qty must be a whole number');
+      const total = numberField(record, 'total_price');
+      let location = null;
+      if (record.location) {
+        location = await getAsync('SELECT id, name FROM locations WHERE lower(name) = ?', [
+          record.location.toLowerCase()
+        ]);
+        if (!location) throw new Error('unknown location ' + record.location);
+      }
+
+      const cost = await getAsync(
+        `SELECT SUM(pi.qty * i.unit_cost) AS unit_cost
+         FROM product_ingredients pi
+         JOIN ingredients i ON i.id = pi.ingredient_id
+         WHERE pi.product_id = ?`,
+        [product.id]
+      );
+      return {
+        // Stored like datetime('now','localtime'); a bare date lands at midday
+        date: date.length === 10 ? date + ' 12:00:00' : date.length === 16 ? date + ':00' : date,
+        product_id: product.id,
+        product: product.name,
+        qty,
+        total_price: total === null ? product.price * qty : total,
+        cost_total: (cost.unit_cost || 0) * qty,
+        location_id: location ? location.id : null,
+        location: location ? location.name : null
+      };
+    },
+    async insert(row, location) {
+      const locationId = row.location_id || location.id;
+      const order = await runAsync('INSERT INTO orders (date, total_price, location_id) VALUES (?, ?, ?)', [
+        row.date,
+        row.total_price,
+        locationId
+      ]);
+      await runAsync(
+        `INSERT INTO sales (date, product_id, qty, total_price, order_id, cost_total, location_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [row.date, row.product_id, row.qty, row.total_price, order.lastID, row.cost_total, locationId]
+      );
+    }
+  }
+};
+
+// POST a CSV body (Content-Type: text/csv). With ?dry_run=1 nothing is written and the
+// response lists row-level errors plus a preview; otherwise all rows commit in one
+// transaction, and any invalid row rejects the whole file.
+app.post('/api/import/:type', requireRole('manager'), async (req, res) => {
+  try {
+    if (!Object.hasOwn(importers, req.params.type)) {
+      return res.status(404).json({ error: 'Unknown import type ' + req.params.type });
+    }
+    const importer = importers[req.params.type];
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({ error: 'Send the CSV file with Content-Type: text/csv' });
+    }
+    const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+
+    const result = await withTransaction(async () => {
+      const records = csvRecords(req.body);
+      const seen = new Set();
+      const rows = [];
+      const errors = [];
+      for (const record of records) {
+        try {
+          rows.push(await importer.validate(record, seen));
+        } catch (e) {
+          errors.push({ row: record._row, error: e.message });
+        }
+      }
+
+      const report = {
+        dry_run: dryRun,
+        total: records.length,
+        valid: rows.length,
+        errors,
+        preview: rows.slice(0, 20)
+      };
+      if (dryRun || errors.length) return report;
+
+      const location = await stockLocation(req);
+      for (const row of rows) {
+        await importer.insert(row, location);
+      }
+      await recordAudit(req, 'import', req.params.type, null, null, { rows: rows.length });
+      return { ...report, imported: rows.length };
+    });
+
+    res.status(result.errors.length && !dryRun ? 400 : 200).json(result);
+  } catch (e) {
+    sendError(res, e, 'Failed to import CSV');
+  }
+});
+
+// ---------- API: SETTINGS ----------
+async function getSettings() {
+  const rows = await allAsync('SELECT key, value FROM settings');
+  const obj = {};
+  rows.forEach((r) => {
+    obj[r.key] = r.value;
+  });
+  return obj;
+}
+
+app.get('/api/settings', requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+app.post('/api/settings', requireRole('owner'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const keys = Object.keys(body);
+    await withTransaction(async () => {
+      const before = {};
+      const after = {};
+      for (const key of keys) {
+        const value = String(body[key] ?? '');
+        const existing = await getAsync('SELECT value FROM settings WHERE key = ?', [key]);
+        if (existing && existing.value === value) continue;
+
+        before[key] = existing ? existing.value : null;
+        after[key] = value;
+        await runAsync(
+          `
+          INSERT INTO settings (key, value)
+          VALUES (?, ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value
+        `,
+          [key, value]
+        );
+      }
+      if (Object.keys(after).length) {
+        await recordAudit(req, 'update', 'settings', null, before, after);
+        publishEvent('settings', { keys: Object.keys(after) });
+      }
+    });
+    res.json({ success: true });
+  } catch (e) {
+    sendError(res, e, 'Failed to save settings');
+  }
+});
+
+// ---------- BACKUP & RESTORE ----------
+const BACKUP_DIR = path.join(path.dirname(dbPath), 'backups');
+const BACKUP_NAME_RE = /^cloofy-\d{8}-\d{6}(-[a-z0-9-]+)?\.db$/;
+const BACKUP_CHECK_MS = 15 * 60 * 1000;
+
+// Tables (and the columns the app reads from them) a file must have before it
+// may replace the live database. Older files are brought up to date by the
+// migrations when initDb runs after the swap.
+const RESTORE_REQUIRED_COLUMNS = {
+  ingredients: ['id', 'name', 'unit', 'current_stock', 'reorder_level', 'unit_cost'],
+  products: ['id', 'name', 'price'],
+  sales: ['id', 'date', 'product_id', 'qty', 'total_price'],
+  inventory_logs: ['id', 'date', 'ingredient_id', 'change', 'reason'],
+  settings: ['key', 'value']
+};
+
+function backupStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+// SQLite online backup: pages are copied while holding the queue, so the file
+// is a consistent snapshot even with sales being recorded.
+function backupTo(file) {
+  return withLock(
+    () =>
+      new Promise((resolve, reject) => {
+        const backup = db.backup(file);
+        backup.step(-1, (err) => {
+          backup.finish((finishErr) => {
+            if (err || finishErr) reject(err || finishErr);
+            else resolve(file);
+          });
+        });
+      })
+  );
+}
+
+async function listBackups() {
+  let names;
+  try {
+    names = await fs.promises.readdir(BACKUP_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const backups = [];
+  for (const name of names.filter((n) => BACKUP_NAME_RE.test(n))) {
+    const stat = await fs.promises.stat(path.join(BACKUP_DIR, name));
+    backups.push({ name, size: stat.size, created_at: stat.mtime.toISOString(), snapshot: isSnapshot(name) });
+  }
+  return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Regular backups rotate by count; labelled safety snapshots (pre-reset,
+// pre-restore, pre-migrate) are kept for a number of days instead, so a burst of
+// scheduled backups can't push out the copy taken just before a reset.
+async function pruneBackups() {
+  const settings = await getSettings();
+  const keep = Math.max(1, Math.floor(Number(settings.backup_retention) || 7));
+  const snapshotDays = Math.max(1, Number(settings.snapshot_retention_days) || 14);
+  const backups = await listBackups();
+
+  const regular = backups.filter((b) => !isSnapshot(b.name));
+  const expired = backups.filter(
+    (b) => isSnapshot(b.name) && Date.now() - Date.parse(b.created_at) > snapshotDays * 86400 * 1000
+  );
+  for (const old of regular.slice(keep).concat(expired)) {
+    await fs.promises.unlink(path.join(BACKUP_DIR, old.name));
+  }
+}
+
+function isSnapshot(name) {
+  return /-pre-[a-z]+(-\d+)?\.db$/.test(name);
+}
+
+async function createLocalBackup(label) {
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+  const base = 'cloofy-' + backupStamp() + (label ? '-' + label : '');
+  let name = base + '.db';
+  for (let n = 2; fs.existsSync(path.join(BACKUP_DIR, name)); n++) name = `${base}-${n}.db`;
+  await backupTo(path.join(BACKUP_DIR, name));
+  await pruneBackups();
+  return name;
+}
+
+async function runScheduledBackup() {
+  const settings = await getSettings();
+  const hours = Number(settings.backup_interval_hours ?? 24);
+  if (!(hours > 0)) return;
+
+  const [latest] = (await listBackups()).filter((b) => !b.snapshot);
+  if (latest && Date.now() - Date.parse(latest.created_at) < hours * 3600 * 1000) return;
+  const name = await createLocalBackup();
+  console.log('Scheduled backup written: ' + name);
+}
+
+function startBackupSchedule() {
+  const tick = () => runScheduledBackup().catch((e) => console.error('Scheduled backup failed:', e));
+  tick();
+  setInterval(tick, BACKUP_CHECK_MS).unref();
+}
+
+function openDatabase(file, mode) {
+  return new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(file, mode, (err) => (err ? reject(err) : resolve(handle)));
+  });
+}
+
+function closeDatabase(handle) {
+  return new Promise((resolve, reject) => handle.close((err) => (err ? reject(err) : resolve())));
+}
+
+async function validateBackupFile(file) {
+  const fd = await fs.promises.open(file, 'r');
+  const header = Buffer.alloc(16);
+  try {
+    await fd.read(header, 0, 16, 0);
+  } finally {
+    await fd.close();
+  }
+  if (header.toString('latin1') !== 'SQLite format 3\0') {
+    throw httpError(400, 'Uploaded file is not a SQLite database');
+  }
+
+  let candidate;
+  try {
+    candidate = await openDatabase(file, sqlite3.OPEN_READONLY);
+  } catch (e) {
+    throw httpError(400, 'Uploaded file could not be opened: ' + e.message);
+  }
+  const query = (sql) =>
+    new Promise((resolve, reject) => candidate.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+  try {
+    const integrity = await query('PRAGMA integrity_check').catch((e) => [{ integrity_check: e.message }]);
+    if (!integrity.length || integrity[0].integrity_check !== 'ok') {
+      throw httpError(400, 'Uploaded database failed its integrity check', {
+        integrity: integrity.map((r) => r.integrity_check)
+      });
+    }
+
+    const problems = [];
+    const versioned = await query('PRAGMA table_info(schema_version)');
+    if (versioned.length) {
+      const [row] = await query('SELECT MAX(version) AS version FROM schema_version');
+      if (row.version > SCHEMA_VERSION) {
+        problems.push(`schema version ${row.version} is newer than this build (${SCHEMA_VERSION})`);
+      }
+    }
+    for (const [table, columns] of Object.entries(RESTORE_REQUIRED_COLUMNS)) {
+      const present = (await query(`PRAGMA table_info(${table})`)).map((c) => c.name);
+      if (!present.length) {
+        problems.push(`missing table ${table}`);
+        continue;
+      }
+      const missing = columns.filter((c) => !present.includes(c));
+      if (missing.length) problems.push(`${table} is missing ${missing.join(', ')}`);
+    }
+    if (problems.length) {
+      throw httpError(400, 'Uploaded file is not a CLOOFY database', { problems });
+    }
+  } finally {
+    await closeDatabase(candidate);
+  }
+}
+
+// Closes the live database, copies file over it, then reopens and migrates it.
+// Callers hold the lock.
+async function replaceLiveDatabase(file) {
+  await closeDatabase(db);
+  try {
+    await fs.promises.copyFile(file, dbPath);
+  } finally {
+    db = new sqlite3.Database(dbPath);
+  }
+  await initDb();
+}
+
+// Swaps a validated file in for the live database. A safety backup is taken
+// first and put back if the file cannot be copied or migrated, and the restoring
+// owner is re-created if the file has no users so the first-run setup cannot be
+// claimed by someone else. Everything from the safety backup to the migrated,
+// reopened database happens under the lock, so no other statement sees a closed
+// or half-migrated database.
+async function restoreDatabase(req, file) {
+  await validateBackupFile(file);
+
+  return withLock(async () => {
+    const safety = await createLocalBackup('pre-restore');
+    const owner = await getAsync('SELECT * FROM users WHERE id = ?', [req.user.id]);
+
+    try {
+      await replaceLiveDatabase(file);
+    } catch (e) {
+      await replaceLiveDatabase(path.join(BACKUP_DIR, safety));
+      throw httpError(400, 'Uploaded database could not be restored; the previous data is back in place', {
+        reason: e.message
+      });
+    }
+
+    await withTransaction(async () => {
+      const users = await getAsync('SELECT COUNT(*) AS count FROM users');
+      if (!users.count && owner) {
+        await runAsync(
+          'INSERT INTO users (id, username, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)',
+          [owner.id, owner.username, owner.password_hash, owner.role, owner.created_at]
+        );
+      }
+      await recordAudit(req, 'restore', 'system', null, null, { safety_backup: safety });
+    });
+    return safety;
+  });
+}
+
+const RESTORE_MAX_BYTES = 200 * 1024 * 1024;
+
+// Writes the request body to file as it arrives instead of buffering it.
+// Resolves to the byte count; larger uploads than limit are cut off with a 413.
+async function saveUpload(req, file, limit) {
+  if (Number(req.headers['content-length']) > limit) {
+    throw httpError(413, 'Backup file is too large');
+  }
+  let size = 0;
+  await pipeline(
+    req,
+    new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(size > limit ? httpError(413, 'Backup file is too large') : null, chunk);
+      }
+    }),
+    fs.createWriteStream(file)
+  );
+  return size;
+}
+
+// ---------- API: BACKUP & RESTORE ----------
+app.get('/api/backup', requireRole('owner'), async (req, res) => {
+  const tmpFile = path.join(os.tmpdir(), `cloofy-download-${process.pid}-${Date.now()}.db`);
+  try {
+    await backupTo(tmpFile);
+    res.download(tmpFile, 'cloofy-' + backupStamp() + '.db', (err) => {
+      if (err) console.error(err);
+      fs.promises.unlink(tmpFile).catch(() => {});
+    });
+  } catch (e) {
+    console.error(e);
+    fs.promises.unlink(tmpFile).catch(() => {});
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+app.get('/api/backups', requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await listBackups());
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+app.post('/api/backups', requireRole('owner'), async (req, res) => {
+  try {
+    res.status(201).json({ name: await createLocalBackup() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+app.get('/api/backups/:name', requireRole('owner'), (req, res) => {
+  if (!BACKUP_NAME_RE.test(req.params.name)) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.download(path.join(BACKUP_DIR, req.params.name), req.params.name, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Backup not found' });
+  });
+});
+
+app.post('/api/backups/:name/restore', requireRole('owner'), async (req, res) => {
+  try {
+    const file = path.join(BACKUP_DIR, req.params.name);
+    if (!BACKUP_NAME_RE.test(req.params.name) || !fs.existsSync(file)) {
+      throw httpError(404, 'Backup not found');
+    }
+    const safety = await restoreDatabase(req, file);
+    res.json({ success: true, safety_backup: safety });
+  } catch (e) {
+    sendError(res, e, 'Failed to restore backup');
+  }
+});
+
+app.post('/api/restore', requireRole('owner'), async (req, res) => {
+  const tmpFile = path.join(os.tmpdir(), `cloofy-restore-${process.pid}-${Date.now()}.db`);
+  try {
+    if (!req.is('application/octet-stream')) {
+      throw httpError(400, 'Upload the backup file as application/octet-stream');
+    }
+    if (!(await saveUpload(req, tmpFile, RESTORE_MAX_BYTES))) {
+      throw httpError(400, 'Upload the backup file as application/octet-stream');
+    }
+    const safety = await restoreDatabase(req, tmpFile);
+    res.json({ success: true, safety_backup: safety });
+  } catch (e) {
+    sendError(res, e, 'Failed to restore backup');
+  } finally {
+    fs.promises.unlink(tmpFile).catch(() => {});
+  }
+});
+
+// ---------- API: RESET ----------
+// Each scope names the tables it clears and the phrase the owner has to type.
+// Users and the audit trail always survive, and a snapshot is taken first.
+const RESET_SCOPES = {
+  sales: {
+    label: 'Sales only',
+    description:
+      'Deletes all orders, payments, refunds, voids and cash drawer shifts. Stock levels are left as they are. ' +
+      'Sales still queued on an offline till will be recorded again when it reconnects.',
+    phrase: 'DELETE ALL SALES',
+    tables: ['sale_refunds', 'sale_ingredients', 'sales', 'order_payments', 'orders', 'cash_sessions']
+  },
+  inventory_logs: {
+    label: 'Inventory logs only',
+    description: 'Deletes the stock movement history. Current stock levels are kept.',
+    phrase: 'DELETE INVENTORY LOGS',
+    tables: ['inventory_logs']
+  },
+  factory: {
+    label: 'Full factory reset',
+    description:
+      'Deletes all sales, stock, wastage, products, suppliers, purchase orders, stocktakes, locations and settings, then reseeds defaults. ' +
+      'Sales still queued on an offline till will be recorded again when it reconnects.',
+    phrase: 'RESET EVERYTHING',
+    tables: [
+      'sale_refunds',
+      'sale_ingredients',
+      'sales',
+      'order_payments',
+      'orders',
+      'cash_sessions',
+      'inventory_logs',
+      'stock_transfers',
+      'product_prices',
+      'product_ingredients',
+      'products',
+      'purchase_order_items',
+      'purchase_orders',
+      'suppliers',
+      'stocktake_items',
+      'stocktakes',
+      'wastage',
+      'ingredient_packs',
+      'ingredient_stock',
+      'ingredients',
+      'locations',
+      'settings'
+    ],
+    reseed: true
+  }
+};
+
+app.get('/api/reset-scopes', requireRole('owner'), (req, res) => {
+  res.json(
+    Object.entries(RESET_SCOPES).map(([scope, s]) => ({
+      scope,
+      label: s.label,
+      description: s.description,
+      phrase: s.phrase
+    }))
+  );
+});
+
+app.post('/api/reset-all', requireRole('owner'), async (req, res) => {
+  try {
+    const { scope, confirm } = req.body || {};
+    const resetScope = Object.hasOwn(RESET_SCOPES, scope) ? RESET_SCOPES[scope] : null;
+    if (!resetScope) {
+      throw httpError(400, 'Unknown reset scope', { scopes: Object.keys(RESET_SCOPES) });
+    }
+    if (String(confirm || '').trim() !== resetScope.phrase) {
+      throw httpError(400, `Type "${resetScope.phrase}" to confirm this reset`);
+    }
+
+    const snapshot = await createLocalBackup('pre-reset');
+    const deleted = await withTransaction(async () => {
+      const counts = {};
+      for (const table of resetScope.tables) {
+        counts[table] = (await runAsync(`DELETE FROM ${table}`)).changes;
+      }
+      if (resetScope.reseed) await seedIngredientsAndProducts();
+      await recordAudit(req, 'reset', 'system', null, null, { scope, snapshot, deleted: counts });
+      return counts;
+    });
+
+    console.log(`Reset (${scope}) by ${req.user.username}; snapshot ${snapshot}`);
+    res.json({ success: true, scope, snapshot, deleted });
+  } catch (e) {
+    sendError(res, e, 'Failed to reset system');
+  }
+});
+
+// ---------- API: EVENTS (SSE) ----------
+app.get('/api/events', requireRole('cashier'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  sseClients.set(res, { token: parseCookies(req.headers.cookie)[SESSION_COOKIE], userId: req.user.id });
+  req.on('close', () => sseClients.delete(res));
+});
+
+// ---------- API: RECENT SALES ----------
+app.get('/api/sales/recent', requireRole('cashier'), async (req, res) => {
+  try {
+    const loc = locationFilter(await locationScope(req), 's.location_id');
+    const rows = await allAsync(
+      `
+      SELECT s.id, s.order_id, s.date, s.qty, s.total_price, s.refunded_qty, s.refunded_amount,
+        p.name AS product_name, l.name AS location_name,
+        (SELECT GROUP_CONCAT(DISTINCT method) FROM order_payments WHERE order_id = s.order_id) AS payment_methods
+      FROM sales s
+      JOIN products p ON p.id = s.product_id
+      LEFT JOIN locations l ON l.id = s.location_id
+      WHERE ${loc.sql}
+      ORDER BY s.date DESC, s.id DESC
+      LIMIT 20
+    `,
+      loc.params
+    );
+    res.json(rows);
+  } catch (e) {
+    sendError(res, e, 'Failed to fetch recent sales');
+  }
+});
+
+// ---------- API: AUDIT ----------
+app.get('/api/audit', requireRole('manager'), async (req, res) => {
+  try {
+    const { entity, actor, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 200, 1000);
+    const where = [];
+    const params = [];
+
+    if (entity) {
+      where.push('entity = ?');
+      params.push(entity);
+    }
+    if (actor) {
+      where.push('actor = ?');
+      params.push(actor);
+    }
+    if (from) {
+      where.push('date(date) >= date(?)');
+      params.push(from);
+    }
+    if (to) {
+      where.push('date(date) <= date(?)');
+      params.push(to);
+    }
+
+    const rows = await allAsync(
+      `
+      SELECT * FROM audit_events
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `,
+      [...params, limit]
+    );
+    res.json(
+      rows.map(({ before_json, after_json, ...r }) => ({
+        ...r,
+        before: before_json ? JSON.parse(before_json) : null,
+        after: after_json ? JSON.parse(after_json) : null
+      }))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+});
+
+// ---------- FRONTEND (INLINE HTML + JS + CSS) ----------
+const htmlPage = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>CLOOFY Dashboard</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="theme-color" content="#ff7eb3" />
+  <link rel="manifest" href="/manifest.webmanifest" />
+  <link rel="icon" href="/icon.svg" type="image/svg+xml" />
+  <link rel="apple-touch-icon" href="/icon.svg" />
+  <style>
+    * {
+      box-sizing: border-box;
+      font-family: system-ui, -apple-system, BlinkMacSystemFont, "SF Pro Text",
+        "Segoe UI", sans-serif;
+    }
+
+    body {
+      margin: 0;
+      min-height: 100vh;
+      background: radial-gradient(circle at top, #ffe3f3 0, #ffeef7 40%, #f4f0ff 100%);
+      color: #26233a;
+    }
+
+    /* App shell */
+    .app-shell {
+      max-width: 1120px;
+      margin: 16px auto;
+      padding: 12px;
+    }
+
+    @media (min-width: 768px) {
+      .app-shell {
+        margin: 32px auto;
+        padding: 0;
+      }
+    }
+
+    .app-card {
+      background: #ffffff;
+      border-radius: 20px;
+      box-shadow: 0 18px 40px rgba(64, 46, 87, 0.16);
+      overflow: hidden;
+    }
+
+    /* Topbar */
+    .topbar {
+      background: linear-gradient(90deg, #ff9ad5, #ff7eb3, #ffc46b);
+      padding: 16px 20px;
+      color: #fff;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+    }
+
+    .topbar-left {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+    }
+
+    .topbar h1 {
+      margin: 0;
+      font-size: 1.4rem;
+      letter-spacing: 0.04em;
+    }
+
+    .topbar span {
+      font-size: 0.8rem;
+      opacity: 0.9;
+    }
+
+    .cloud-pill {
+      background: rgba(255, 255, 255, 0.16);
+      padding: 4px 10px;
+      border-radius: 999px;
+      font-size: 0.75rem;
+      backdrop-filter: blur(6px);
+    }
+
+    .live-pill::before {
+      content: '';
+      display: inline-block;
+      width: 7px;
+      height: 7px;
+      margin-right: 6px;
+      border-radius: 50%;
+      background: #ffd166;
+    }
+
+    .live-pill[data-state="live"]::before {
+      background: #7dffb0;
+    }
+
+    .live-pill[data-state="offline"] {
+      opacity: 0.7;
+    }
+
+    .live-pill[data-state="offline"]::before {
+      background: #ff5c5c;
+    }
+
+    .topbar-right {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .topbar-right button {
+      width: auto;
+      margin: 0;
+      padding: 4px 12px;
+      font-size: 0.75rem;
+      background: rgba(255, 255, 255, 0.2);
+      box-shadow: none;
+    }
+
+    .topbar-right select {
+      width: auto;
+      margin: 0;
+      padding: 4px 10px;
+      font-size: 0.75rem;
+      border-radius: 999px;
+    }
+
+    .hidden {
+      display: none !important;
+    }
+
+    /* Login */
+    .login-card {
+      max-width: 360px;
+      margin: 24px auto;
+    }
+
+    /* Tabs */
+    nav.tabs {
+      display: flex;
+      gap: 4px;
+      padding: 6px 10px 10px;
+      border-bottom: 1px solid #f3e8ff;
+      background: linear-gradient(to right, #fff7fd, #f9f4ff);
+    }
+
+    nav.tabs button {
+      flex: 1;
+      padding: 8px 6px;
+      border-radius: 999px;
+      border: none;
+      background: transparent;
+      font-size: 0.85rem;
+      font-weight: 500;
+      color: #6b5c87;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 6px;
+      transition: background 0.2s ease, color 0.2s ease, transform 0.1s ease;
+    }
+
+    nav.tabs button span.icon {
+      font-size: 1rem;
+    }
+
+    nav.tabs button.active {
+      background: #fff;
+      color: #ff4f9d;
+      box-shadow: 0 6px 14px rgba(255, 79, 157, 0.25);
+      transform: translateY(-1px);
+    }
+
+    nav.tabs button:hover:not(.active) {
+      background: rgba(255, 255, 255, 0.7);
+    }
+
+    /* Main layout */
+    main {
+      padding: 14px 14px 18px;
+      background: linear-gradient(to bottom, #ffffff, #fff8ff);
+    }
+
+    @media (min-width: 900px) {
+      main {
+        padding: 18px 20px 22px;
+      }
+    }
+
+    .tab {
+      display: none;
+      animation: fadeIn 0.18s ease-out;
+    }
 
     .tab.active {
       display: block;
     }
 
-    @keyframes fadeIn {
-      from {
-        opacity: 0;
-        transform: translateY(4px);
+    @keyframes fadeIn {
+      from {
+        opacity: 0;
+        transform: translateY(4px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+      }
+    }
+
+    /* Dashboard cards */
+    .cards {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+      gap: 10px;
+      margin-bottom: 14px;
+    }
+
+    .card {
+      background: #ffffff;
+      border-radius: 16px;
+      padding: 10px 12px;
+      box-shadow: 0 10px 24px rgba(121, 96, 152, 0.08);
+      position: relative;
+      overflow: hidden;
+    }
+
+    .card::after {
+      content: "";
+      position: absolute;
+      right: -30px;
+      top: -30px;
+      width: 80px;
+      height: 80px;
+      border-radius: 40%;
+      background: radial-gradient(circle at 30% 30%, rgba(255, 187, 255, 0.5), transparent);
+      opacity: 0.7;
+      pointer-events: none;
+    }
+
+    .card h3 {
+      margin: 0 0 4px;
+      font-size: 0.8rem;
+      text-transform: uppercase;
+      letter-spacing: 0.12em;
+      color: #a697c7;
+    }
+
+    .card p {
+      margin: 0;
+      font-size: 1.15rem;
+      font-weight: 650;
+      color: #3b3055;
+    }
+
+    .card.wide {
+      grid-column: 1 / -1;
+      display: grid;
+      grid-template-columns: minmax(0, 1.2fr) minmax(0, 1fr);
+      align-items: center;
+      gap: 6px;
+    }
+
+    .card-subline {
+      font-size: 0.8rem;
+      color: #8a7aa8;
+      margin-top: 2px;
+    }
+
+    /* Sections */
+    h2 {
+      margin: 4px 0 12px;
+      font-size: 1.15rem;
+      color: #3b3055;
+    }
+
+    h3 {
+      color: #4a3c68;
+    }
+
+    /* Chart container */
+    #salesChart {
+      max-height: 260px;
+    }
+
+    /* Forms & controls */
+    label {
+      display: block;
+      margin: 8px 0;
+      font-size: 0.9rem;
+      color: #5c4b80;
+    }
+
+    input,
+    select,
+    textarea,
+    button {
+      width: 100%;
+      padding: 8px 10px;
+      margin-top: 4px;
+      border-radius: 10px;
+      border: 1px solid #e1d4ff;
+      font-size: 0.9rem;
+      outline: none;
+    }
+
+    input:focus,
+    select:focus,
+    textarea:focus {
+      border-color: #ff7eb3;
+      box-shadow: 0 0 0 1px rgba(255, 126, 179, 0.2);
+    }
+
+    textarea {
+      font-family: inherit;
+      resize: vertical;
+    }
+
+    button {
+      background: linear-gradient(135deg, #ff7eb3, #ff4f9d);
+      color: #fff;
+      font-weight: 600;
+      border: none;
+      cursor: pointer;
+      box-shadow: 0 10px 24px rgba(255, 79, 157, 0.35);
+      transition: transform 0.1s ease, box-shadow 0.1s ease, opacity 0.1s ease;
+    }
+
+    button:hover {
+      opacity: 0.96;
+      transform: translateY(-1px);
+      box-shadow: 0 14px 30px rgba(255, 79, 157, 0.4);
+    }
+
+    button:active {
+      transform: translateY(0);
+      box-shadow: 0 8px 18px rgba(255, 79, 157, 0.3);
+    }
+
+    /* Ingredient list */
+    .ingredient-row {
+      display: grid;
+      grid-template-columns: minmax(0, 2.3fr) minmax(0, 1.1fr);
+      gap: 8px;
+      padding: 8px 10px;
+      margin-bottom: 6px;
+      background: linear-gradient(135deg, #ffffff, #fdf4ff);
+      border-radius: 14px;
+      box-shadow: 0 8px 18px rgba(120, 88, 155, 0.06);
+    }
+
+    .ingredient-row div:first-child {
+      font-size: 0.85rem;
+    }
+
+    .ingredient-row strong {
+      font-size: 0.92rem;
+      color: #3b3055;
+    }
+
+    .ingredient-row .adj-input {
+      width: 100%;
+      margin-bottom: 4px;
+    }
+
+    .ingredient-row .adj-btn {
+      width: 100%;
+      font-size: 0.8rem;
+      padding-block: 7px;
+    }
+
+    .form-grid {
+      display: grid;
+      grid-template-columns: 1fr;
+      gap: 6px;
+      margin-top: 8px;
+    }
+
+    @media (min-width: 768px) {
+      .form-grid {
+        grid-template-columns: repeat(3, minmax(0, 1fr));
+      }
+    }
+
+    .status {
+      margin-top: 8px;
+      font-size: 0.85rem;
+    }
+
+    .status.success {
+      color: #188a42;
+    }
+
+    .status.error {
+      color: #d93232;
+    }
+
+    .hint {
+      font-size: 0.8rem;
+      color: #8575a5;
+    }
+
+    ul {
+      padding-left: 18px;
+      font-size: 0.85rem;
+    }
+
+    /* Cart */
+    .cart-line {
+      display: grid;
+      grid-template-columns: minmax(0, 1fr) auto auto auto auto;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 10px;
+      margin-bottom: 6px;
+      background: linear-gradient(135deg, #ffffff, #fdf4ff);
+      border-radius: 12px;
+      font-size: 0.85rem;
+    }
+
+    .cart-line button {
+      width: auto;
+      margin: 0;
+      padding: 4px 10px;
+      font-size: 0.8rem;
+      box-shadow: none;
+    }
+
+    .cart-total {
+      font-weight: 650;
+      color: #3b3055;
+      margin: 8px 0;
+    }
+
+    /* Offline sale queue */
+    .sale-queue {
+      padding: 10px 12px;
+      margin-bottom: 12px;
+      border-radius: 12px;
+      background: #fff7e6;
+      font-size: 0.85rem;
+    }
+
+    .sale-queue .cart-line {
+      grid-template-columns: minmax(0, 1fr) auto auto;
+    }
+
+    .sale-queue .cart-line.failed {
+      background: #fdecec;
+    }
+
+    /* Products */
+    .recipe-row {
+      display: grid;
+      grid-template-columns: minmax(0, 2fr) minmax(0, 1fr) minmax(0, 1fr) auto;
+      gap: 6px;
+      align-items: center;
+    }
+
+    .recipe-row button {
+      width: auto;
+      padding: 8px 12px;
+      box-shadow: none;
+    }
+
+    .button-row {
+      display: flex;
+      gap: 8px;
+    }
+
+    /* Activity */
+    .audit-json {
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 0.75rem;
+      white-space: pre-wrap;
+      word-break: break-word;
+      color: #6b5c87;
+      margin: 4px 0 0;
+    }
+
+    /* Settings */
+    #reset-all-btn {
+      background: linear-gradient(135deg, #ff5b6c, #f53d3d);
+      box-shadow: 0 10px 24px rgba(245, 61, 61, 0.35);
+    }
+
+    /* Containers within tabs */
+    .section-card {
+      background: #ffffff;
+      border-radius: 18px;
+      padding: 10px 12px 12px;
+      box-shadow: 0 10px 22px rgba(119, 93, 156, 0.06);
+      margin-bottom: 14px;
+    }
+
+    .section-card h2 {
+      margin-top: 0;
+    }
+  </style>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+</head>
+<body>
+  <div class="app-shell">
+    <div class="app-card">
+      <header class="topbar">
+        <div class="topbar-left">
+          <h1>CLOOFY – Control Panel</h1>
+          <span>Premium drizzle cotton candy kiosk dashboard</span>
+        </div>
+        <div class="topbar-right">
+          <div class="cloud-pill live-pill hidden" id="live-pill" data-state="connecting">
+            Connecting…
+          </div>
+          <select id="location-select" class="hidden" title="Location"></select>
+          <div class="cloud-pill hidden" id="current-user"></div>
+          <button id="logout-btn" class="hidden">Log out</button>
+        </div>
+      </header>
+
+      <!-- data-role is the minimum role allowed to use a tab -->
+      <nav class="tabs hidden">
+        <button data-tab="dashboard" data-role="manager"><span class="icon">📊</span>Dashboard</button>
+        <button data-tab="sales" data-role="cashier"><span class="icon">🧾</span>Record Sale</button>
+        <button data-tab="inventory" data-role="manager"><span class="icon">📦</span>Inventory</button>
+        <button data-tab="products" data-role="manager"><span class="icon">🍭</span>Products</button>
+        <button data-tab="purchasing" data-role="manager"><span class="icon">🚚</span>Purchasing</button>
+        <button data-tab="reports" data-role="manager"><span class="icon">📑</span>Reports</button>
+        <button data-tab="activity" data-role="manager"><span class="icon">🕵️</span>Activity</button>
+        <button data-tab="settings" data-role="owner"><span class="icon">⚙️</span>Settings</button>
+      </nav>
+
+      <main>
+        <!-- LOGIN -->
+        <section id="login-view" class="hidden">
+          <div class="section-card login-card">
+            <h2 id="login-title">Log in</h2>
+            <p id="login-hint" class="hint"></p>
+            <label>
+              Username:
+              <input id="login-username" autocomplete="username" />
+            </label>
+            <label>
+              Password:
+              <input id="login-password" type="password" autocomplete="current-password" />
+            </label>
+            <label id="login-token-row" class="hidden">
+              Setup token:
+              <input id="login-token" autocomplete="off" />
+            </label>
+            <button id="login-submit">Log in</button>
+            <p id="login-status" class="status"></p>
+          </div>
+        </section>
+
+        <!-- DASHBOARD -->
+        <section id="tab-dashboard" class="tab">
+          <div class="cards">
+            <div class="card">
+              <h3>Total Revenue</h3>
+              <p id="dash-revenue">LKR 0</p>
+            </div>
+            <div class="card">
+              <h3>Total Tubs Sold</h3>
+              <p id="dash-tubs">0</p>
+            </div>
+            <div class="card">
+              <h3>Sales Count</h3>
+              <p id="dash-sales-count">0</p>
+            </div>
+            <div class="card">
+              <h3>Gross Profit</h3>
+              <p id="dash-gross-profit">LKR 0</p>
+              <div class="card-subline" id="dash-cogs">COGS LKR 0</div>
+            </div>
+            <div class="card">
+              <h3>Gross Margin</h3>
+              <p id="dash-margin">0%</p>
+            </div>
+            <div class="card">
+              <h3>Wastage</h3>
+              <p id="dash-wastage">LKR 0</p>
+              <div class="card-subline" id="dash-wastage-detail">Today LKR 0</div>
+            </div>
+            <div class="card wide">
+              <div>
+                <h3>Today</h3>
+                <p id="dash-today-tubs">0 / 0 tubs</p>
+                <div class="card-subline" id="dash-today-revenue">0 / 0</div>
+              </div>
+              <div class="card-subline">
+                Track how close you are to today's tub & revenue targets.
+              </div>
+            </div>
+          </div>
+
+          <div class="section-card hidden" id="dash-locations-card">
+            <h2>By Location</h2>
+            <div id="dash-locations"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Sales (Last 30 Days)</h2>
+            <div style="height:260px;">
+              <canvas id="salesChart"></canvas>
+            </div>
+          </div>
+
+          <div class="section-card">
+            <h2>Margin by Product</h2>
+            <div id="product-margins"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Low Stock Alerts</h2>
+            <ul id="low-stock-list"></ul>
+          </div>
+        </section>
+
+        <!-- SALES -->
+        <section id="tab-sales" class="tab">
+          <div class="section-card">
+            <h2>Record Sale</h2>
+
+            <div id="sale-queue" class="sale-queue hidden">
+              <strong id="sale-queue-summary"></strong>
+              <div id="sale-queue-lines"></div>
+              <button id="sale-queue-sync">Sync now</button>
+            </div>
+
+            <h3>Quick Sale (tap a flavour)</h3>
+            <div id="product-cards" class="cards"></div>
+
+            <h3>Cart</h3>
+            <div id="cart-lines"></div>
+            <p id="cart-total" class="cart-total"></p>
+
+            <h3>Payment</h3>
+            <p class="hint">Applies to checkout and custom sales. Split takes card and QR amounts; the rest is cash.</p>
+            <label>
+              Method:
+              <select id="tender-method">
+                <option value="cash">Cash</option>
+                <option value="card">Card</option>
+                <option value="qr">QR</option>
+                <option value="split">Split</option>
+              </select>
+            </label>
+            <div id="tender-split" class="hidden">
+              <label>
+                Card amount:
+                <input type="number" id="tender-card" min="0" step="any" />
+              </label>
+              <label>
+                QR amount:
+                <input type="number" id="tender-qr" min="0" step="any" />
+              </label>
+            </div>
+            <label id="tender-cash-wrap">
+              Cash received:
+              <input type="number" id="tender-cash" min="0" step="any" placeholder="Exact amount" />
+            </label>
+            <p id="tender-change" class="hint"></p>
+
+            <button id="cart-checkout">Checkout</button>
+            <p id="cart-status" class="status"></p>
+
+            <h3>Custom Sale</h3>
+            <label>
+              Product:
+              <select id="sale-product"></select>
+            </label>
+            <label>
+              Quantity:
+              <input type="number" id="sale-qty" min="1" value="1" />
+            </label>
+            <button id="sale-submit">Save Sale</button>
+            <p id="sale-status" class="status"></p>
+          </div>
+
+          <div class="section-card">
+            <h2>Cash Drawer</h2>
+            <div id="drawer-info"></div>
+            <div id="drawer-open-form" class="hidden">
+              <label>
+                Opening float:
+                <input type="number" id="drawer-float" min="0" step="any" value="0" />
+              </label>
+              <button id="drawer-open">Open drawer</button>
+            </div>
+            <div id="drawer-close-form" class="hidden">
+              <label>
+                Counted cash:
+                <input type="number" id="drawer-counted" min="0" step="any" />
+              </label>
+              <label>
+                Notes:
+                <input type="text" id="drawer-notes" placeholder="Optional" />
+              </label>
+              <button id="drawer-close">Close drawer</button>
+            </div>
+            <p id="drawer-status" class="status"></p>
+            <div id="drawer-history" class="hidden">
+              <h3>Recent Shifts</h3>
+              <div id="drawer-sessions"></div>
+            </div>
+          </div>
+
+          <div class="section-card">
+            <h2>Recent Sales</h2>
+            <div id="recent-sales"></div>
+          </div>
+        </section>
+
+        <!-- INVENTORY -->
+        <section id="tab-inventory" class="tab">
+          <div class="section-card">
+            <h2>Ingredients</h2>
+            <p id="inventory-total-value"></p>
+            <div id="ingredients-list"></div>
+          </div>
+
+          <div class="section-card hidden" id="ing-history">
+            <h2 id="ing-history-title">Stock History</h2>
+            <div class="form-grid">
+              <input id="ing-history-from" type="date" />
+              <input id="ing-history-to" type="date" />
+              <button id="ing-history-filter">Filter</button>
+            </div>
+            <div style="height:200px;">
+              <canvas id="ingHistoryChart"></canvas>
+            </div>
+            <p id="ing-history-totals" class="hint"></p>
+            <div id="ing-history-list"></div>
+            <div class="button-row">
+              <button id="ing-history-prev">Newer</button>
+              <button id="ing-history-next">Older</button>
+              <button id="ing-history-close">Close</button>
+            </div>
+          </div>
+
+          <div class="section-card" id="transfer-card">
+            <h2>Transfer Stock</h2>
+            <div class="form-grid">
+              <select id="xfer-item"></select>
+              <select id="xfer-from"></select>
+              <select id="xfer-to"></select>
+              <input id="xfer-qty" type="number" step="any" min="0" placeholder="Quantity" />
+              <select id="xfer-unit"></select>
+              <input id="xfer-notes" placeholder="Notes (optional)" />
+              <button id="xfer-add">Transfer</button>
+            </div>
+            <p id="xfer-status" class="status"></p>
+            <h3>Recent Transfers</h3>
+            <div id="transfer-list"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Log Wastage</h2>
+            <div class="form-grid">
+              <select id="waste-kind">
+                <option value="product">Finished product</option>
+                <option value="ingredient">Ingredient</option>
+              </select>
+              <select id="waste-item"></select>
+              <input id="waste-qty" type="number" step="any" min="0" placeholder="Quantity" />
+              <select id="waste-unit"></select>
+              <select id="waste-reason">
+                <option value="spilled">Spilled</option>
+                <option value="expired">Expired</option>
+                <option value="qa_reject">QA reject</option>
+                <option value="staff_meal">Staff meal</option>
+              </select>
+              <input id="waste-notes" placeholder="Notes (optional)" />
+              <button id="waste-add">Record Wastage</button>
+            </div>
+            <p id="waste-status" class="status"></p>
+            <h3>Recent Wastage</h3>
+            <div id="wastage-list"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Stocktake</h2>
+            <p class="hint" id="stocktake-hint"></p>
+            <div id="stocktake-open"></div>
+            <div class="button-row">
+              <button id="stocktake-start">Start Stocktake</button>
+              <button id="stocktake-save" class="hidden">Save Counts</button>
+              <button id="stocktake-commit" class="hidden">Commit</button>
+              <button id="stocktake-cancel" class="hidden">Cancel Count</button>
+            </div>
+            <p id="stocktake-status" class="status"></p>
+            <h3>Past Stocktakes</h3>
+            <div id="stocktake-history"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Stock-out Forecast</h2>
+            <p class="hint" id="forecast-hint"></p>
+            <div id="forecast-list"></div>
+          </div>
+
+          <div class="section-card">
+            <h2 id="ing-form-title">Add Ingredient</h2>
+            <div class="form-grid">
+              <input id="ing-name" placeholder="Name (e.g. New Syrup)" />
+              <select id="ing-unit"></select>
+              <input id="ing-stock" placeholder="Current Stock" type="number" />
+              <input id="ing-reorder" placeholder="Reorder Level" type="number" />
+              <input id="ing-par" placeholder="Par Level (restock up to)" type="number" />
+              <input id="ing-cost" placeholder="Cost per Unit (LKR)" type="number" />
+              <button id="ing-add">Add</button>
+              <button id="ing-cancel" class="hidden">Cancel</button>
+            </div>
+            <p id="ing-status" class="status"></p>
+            <div id="ing-packs" class="hidden">
+              <h3>Pack Sizes</h3>
+              <div id="ing-packs-list"></div>
+              <div class="form-grid">
+                <input id="pack-name" placeholder="Pack name (e.g. bottle)" />
+                <input id="pack-size" type="number" step="any" min="0" placeholder="Size in ingredient unit" />
+                <button id="pack-add">Add Pack</button>
+              </div>
+            </div>
+          </div>
+
+          <div class="section-card">
+            <h2>Import Ingredients (CSV)</h2>
+            <p class="hint">Columns: name, unit, current_stock, reorder_level, unit_cost, par_level</p>
+            <input type="file" id="inv-import-file" accept=".csv,text/csv" />
+            <div class="button-row">
+              <button id="inv-import-preview">Preview</button>
+              <button id="inv-import-commit">Import</button>
+            </div>
+            <div id="inv-import-result"></div>
+          </div>
+        </section>
+
+        <!-- PRODUCTS -->
+        <section id="tab-products" class="tab">
+          <div class="section-card">
+            <h2>Products</h2>
+            <div id="products-list"></div>
+            <button id="product-new">New Product</button>
+          </div>
+
+          <div class="section-card hidden" id="product-editor">
+            <h2 id="product-editor-title">New Product</h2>
+            <div class="form-grid">
+              <input id="prod-name" placeholder="Name (e.g. Biscoff Cloud)" />
+              <input id="prod-price" type="number" step="any" placeholder="Price (LKR)" />
+            </div>
+            <h3>Recipe (per tub)</h3>
+            <div id="recipe-rows"></div>
+            <button id="recipe-add-row">Add Ingredient</button>
+            <p id="recipe-cost" class="cart-total"></p>
+            <div class="button-row">
+              <button id="product-save">Save Product</button>
+              <button id="product-cancel">Cancel</button>
+            </div>
+            <p id="product-status" class="status"></p>
+          </div>
+        </section>
+
+        <!-- PURCHASING -->
+        <section id="tab-purchasing" class="tab">
+          <div class="section-card">
+            <h2>Purchase Orders</h2>
+            <label>
+              Supplier:
+              <select id="po-supplier"></select>
+            </label>
+            <div class="button-row">
+              <button id="po-draft">Draft PO from Low Stock</button>
+              <button id="po-draft-forecast">Draft PO from Forecast</button>
+            </div>
+            <p id="po-status" class="status"></p>
+            <div id="po-list"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Suppliers</h2>
+            <div id="suppliers-list"></div>
+            <div class="form-grid">
+              <input id="sup-name" placeholder="Name" />
+              <input id="sup-phone" placeholder="Phone" />
+              <input id="sup-email" placeholder="Email" />
+              <button id="sup-add">Add Supplier</button>
+            </div>
+          </div>
+        </section>
+
+        <!-- REPORTS -->
+        <section id="tab-reports" class="tab">
+          <div class="section-card">
+            <h2>Reports</h2>
+            <label>
+              Month (YYYY-MM, optional):
+              <input id="report-month" placeholder="2025-01" />
+            </label>
+            <button id="report-download">Download Monthly PDF</button>
+            <p class="hint">Leave month empty to download report for all time.</p>
+          </div>
+
+          <div class="section-card">
+            <h2>Export to CSV</h2>
+            <div class="form-grid">
+              <label>
+                From (optional):
+                <input id="export-from" type="date" />
+              </label>
+              <label>
+                To (optional):
+                <input id="export-to" type="date" />
+              </label>
+            </div>
+            <div class="form-grid">
+              <button class="export-btn" data-export="sales">Sales CSV</button>
+              <button class="export-btn" data-export="inventory-logs">Inventory Logs CSV</button>
+              <button class="export-btn" data-export="ingredients">Ingredients CSV</button>
+            </div>
+            <p class="hint">CSV files open directly in Excel or Google Sheets.</p>
+          </div>
+        </section>
+
+        <!-- ACTIVITY -->
+        <section id="tab-activity" class="tab">
+          <div class="section-card">
+            <h2>Activity</h2>
+            <div class="form-grid">
+              <select id="audit-entity">
+                <option value="">All entities</option>
+                <option value="ingredient">Ingredients</option>
+                <option value="product">Products</option>
+                <option value="supplier">Suppliers</option>
+                <option value="purchase_order">Purchase orders</option>
+                <option value="order">Orders</option>
+                <option value="sale">Sales (voids/refunds)</option>
+                <option value="settings">Settings</option>
+                <option value="user">Users</option>
+                <option value="system">System</option>
+              </select>
+              <input id="audit-actor" placeholder="User (optional)" />
+              <input id="audit-from" type="date" />
+              <input id="audit-to" type="date" />
+              <button id="audit-load">Show Activity</button>
+            </div>
+            <div id="audit-list" style="margin-top:10px;"></div>
+          </div>
+        </section>
+
+        <!-- SETTINGS -->
+        <section id="tab-settings" class="tab">
+          <div class="section-card">
+            <h2>Business Info</h2>
+            <label>
+              Shop name:
+              <input id="settings-shop-name" placeholder="CLOOFY" />
+            </label>
+            <label>
+              Currency:
+              <input id="settings-currency" placeholder="LKR" />
+            </label>
+          </div>
+
+          <div class="section-card">
+            <h2>Daily Targets</h2>
+            <label>
+              Daily target tubs:
+              <input id="settings-target-tubs" type="number" placeholder="80" />
+            </label>
+            <label>
+              Daily target revenue:
+              <input id="settings-target-revenue" type="number" placeholder="24000" />
+            </label>
+            <label>
+              Supplier lead time (days):
+              <input id="settings-lead-days" type="number" min="0" placeholder="3" />
+            </label>
+            <label>
+              Reorders should cover (days):
+              <input id="settings-cover-days" type="number" min="1" placeholder="14" />
+            </label>
+            <button id="settings-save">Save Settings</button>
+            <p id="settings-status" class="status"></p>
+          </div>
+
+          <div class="section-card">
+            <h2>Receipts</h2>
+            <p class="hint">Shop name and currency come from Business Info.</p>
+            <label>
+              Paper width:
+              <select id="settings-receipt-width">
+                <option value="80">80 mm</option>
+                <option value="58">58 mm</option>
+              </select>
+            </label>
+            <label>
+              Header text (printed under the shop name):
+              <textarea id="settings-receipt-header" rows="3" placeholder="Address, phone number…"></textarea>
+            </label>
+            <label>
+              Footer text:
+              <textarea id="settings-receipt-footer" rows="2" placeholder="Thank you!"></textarea>
+            </label>
+            <button id="receipt-settings-save">Save Receipt Settings</button>
+            <p id="receipt-settings-status" class="status"></p>
+          </div>
+
+          <div class="section-card">
+            <h2>Import Data (CSV)</h2>
+            <label>
+              Data type:
+              <select id="settings-import-type">
+                <option value="ingredients">Ingredients</option>
+                <option value="products">Products (with recipes)</option>
+                <option value="sales">Historical sales</option>
+              </select>
+            </label>
+            <p class="hint" id="settings-import-hint"></p>
+            <input type="file" id="settings-import-file" accept=".csv,text/csv" />
+            <div class="button-row">
+              <button id="settings-import-preview">Preview</button>
+              <button id="settings-import-commit">Import</button>
+            </div>
+            <div id="settings-import-result"></div>
+          </div>
+
+          <div class="section-card">
+            <h2>Locations</h2>
+            <p class="hint">Each stall keeps its own stock. A location can only be archived once its stock has been transferred out.</p>
+            <div id="locations-list"></div>
+            <div class="form-grid">
+              <input id="location-name" placeholder="Location name (e.g. Mall Kiosk)" />
+              <button id="location-add">Add Location</button>
+            </div>
+            <p id="locations-status" class="status"></p>
+          </div>
+
+          <div class="section-card">
+            <h2>Users</h2>
+            <div id="users-list"></div>
+            <div class="form-grid">
+              <input id="user-name" placeholder="Username" />
+              <input id="user-password" type="password" placeholder="Password (min 8 chars)" />
+              <select id="user-role">
+                <option value="cashier">Cashier</option>
+                <option value="manager">Manager</option>
+                <option value="owner">Owner</option>
+              </select>
+              <button id="user-add">Add User</button>
+            </div>
+            <p id="users-status" class="status"></p>
+          </div>
+
+          <div class="section-card">
+            <h2>Backups</h2>
+            <label>
+              Automatic backup every (hours, 0 = off):
+              <input id="settings-backup-interval" type="number" min="0" placeholder="24" />
+            </label>
+            <label>
+              Backups to keep:
+              <input id="settings-backup-retention" type="number" min="1" placeholder="7" />
+            </label>
+            <label>
+              Keep pre-reset/pre-restore snapshots for (days):
+              <input id="settings-snapshot-days" type="number" min="1" placeholder="14" />
+            </label>
+            <div class="button-row">
+              <button id="backup-settings-save">Save Backup Settings</button>
+              <button id="backup-now">Back Up Now</button>
+            </div>
+            <div id="backups-list"></div>
+            <h3>Restore</h3>
+            <p class="hint">Replaces ALL data with the uploaded backup. A safety copy of the current data is kept first.</p>
+            <input type="file" id="restore-file" accept=".db,application/octet-stream" />
+            <button id="restore-btn">Restore Backup</button>
+            <p id="backups-status" class="status"></p>
+          </div>
+
+          <div class="section-card">
+            <h2 style="color:#d93232;">Danger Zone</h2>
+            <button id="download-backup-btn">Download Backup</button>
+            <label>
+              What to reset:
+              <select id="reset-scope"></select>
+            </label>
+            <p class="hint" id="reset-scope-hint"></p>
+            <input id="reset-confirm" placeholder="Type the phrase above to confirm" autocomplete="off" />
+            <button id="reset-all-btn">Reset</button>
+            <p class="hint">A snapshot is taken first and listed under Backups, where it can be restored.</p>
+            <p id="reset-status" class="status"></p>
+          </div>
+        </section>
+      </main>
+    </div>
+  </div>
+
+  <script>
+    // Tab switching
+    const tabs = document.querySelectorAll('nav.tabs button');
+    const sections = document.querySelectorAll('main .tab');
+
+    function showTab(name) {
+      tabs.forEach(function(b) { b.classList.toggle('active', b.dataset.tab === name); });
+      sections.forEach(function(s) { s.classList.remove('active'); });
+      document.getElementById('tab-' + name).classList.add('active');
+    }
+
+    tabs.forEach(function(btn) {
+      btn.addEventListener('click', function() {
+        showTab(btn.dataset.tab);
+      });
+    });
+
+    // Names, notes and messages come from other users: escape anything put into markup
+    function escapeHtml(value) {
+      return String(value == null ? '' : value).replace(/[&<>"']/g, function(ch) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+      });
+    }
+
+    // Auth: the server enforces roles; the UI just hides what the role can't use
+    const ROLE_RANK = { cashier: 1, manager: 2, owner: 3 };
+    let currentUser = null;
+    let setupRequired = false;
+
+    function canUse(role) {
+      return !!currentUser && ROLE_RANK[currentUser.role] >= ROLE_RANK[role];
+    }
+
+    function showLogin() {
+      currentUser = null;
+      localStorage.removeItem('cloofy_user');
+      document.querySelector('nav.tabs').classList.add('hidden');
+      sections.forEach(function(s) { s.classList.remove('active'); });
+      document.getElementById('current-user').classList.add('hidden');
+      document.getElementById('logout-btn').classList.add('hidden');
+      document.getElementById('login-view').classList.remove('hidden');
+      document.getElementById('login-title').textContent = setupRequired ? 'Create owner account' : 'Log in';
+      document.getElementById('login-hint').textContent = setupRequired
+        ? 'No users yet. The first account is the owner and can add staff from Settings. ' +
+          'Enter the setup token from SETUP_TOKEN or the server log.'
+        : '';
+      document.getElementById('login-token-row').classList.toggle('hidden', !setupRequired);
+      document.getElementById('login-submit').textContent = setupRequired ? 'Create account' : 'Log in';
+    }
+
+    async function startApp() {
+      document.getElementById('login-view').classList.add('hidden');
+      document.querySelector('nav.tabs').classList.remove('hidden');
+
+      const userPill = document.getElementById('current-user');
+      userPill.textContent = currentUser.username + ' · ' + currentUser.role;
+      userPill.classList.remove('hidden');
+      document.getElementById('logout-btn').classList.remove('hidden');
+
+      await loadLocations();
+      connectEvents();
+
+      let firstTab = null;
+      tabs.forEach(function(b) {
+        const allowed = canUse(b.dataset.role);
+        b.classList.toggle('hidden', !allowed);
+        if (allowed && !firstTab) firstTab = b.dataset.tab;
+      });
+      showTab(navigator.onLine ? firstTab : 'sales');
+
+      // Record Sale only needs what the service worker caches, so it loads first and
+      // keeps working offline; the other tabs fill in once the connection is back.
+      await loadProductsForSales();
+      renderCart();
+      await renderSaleQueue();
+      try {
+        await loadBackOffice();
+        backOfficePending = false;
+      } catch (e) {
+        console.error(e);
+        backOfficePending = true;
+      }
+      flushSaleQueue();
+    }
+
+    let backOfficePending = false;
+
+    async function loadBackOffice() {
+      if (canUse('manager')) {
+        await loadDashboard();
+        await loadIngredients();
+        await loadProductsAdmin();
+        await loadSuppliers();
+        await loadPurchaseOrders();
+        await loadAudit();
+      }
+      await loadRecentSales();
+      await loadCashDrawer();
+      if (canUse('owner')) {
+        await loadSettings();
+        await loadUsers();
+        await loadBackups();
+        await loadResetScopes();
+        await loadLocationsAdmin();
+      }
+    }
+
+    document.getElementById('login-submit').addEventListener('click', async function() {
+      const status = document.getElementById('login-status');
+      status.textContent = '';
+      status.className = 'status';
+
+      try {
+        const res = await fetch(setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            username: document.getElementById('login-username').value.trim(),
+            password: document.getElementById('login-password').value,
+            setup_token: setupRequired ? document.getElementById('login-token').value.trim() : undefined
+          })
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          status.textContent = 'Error: ' + (data.error || 'Failed');
+          status.className = 'status error';
+          return;
+        }
+        document.getElementById('login-password').value = '';
+        document.getElementById('login-token').value = '';
+        document.getElementById('login-token-row').classList.add('hidden');
+        currentUser = data.user;
+        localStorage.setItem('cloofy_user', JSON.stringify(currentUser));
+        setupRequired = false;
+        await startApp();
+      } catch (e) {
+        console.error(e);
+        status.textContent = 'Error logging in.';
+        status.className = 'status error';
+      }
+    });
+
+    document.getElementById('logout-btn').addEventListener('click', async function() {
+      disconnectEvents();
+      await fetch('/api/auth/logout', { method: 'POST' });
+      // The next person on this till must not see our cached data
+      if (window.caches) {
+        const names = await caches.keys();
+        await Promise.all(names.map(async function(name) {
+          const cache = await caches.open(name);
+          const requests = await cache.keys();
+          return Promise.all(requests.filter(function(r) {
+            return new URL(r.url).pathname.indexOf('/api/') === 0;
+          }).map(function(r) { return cache.delete(r); }));
+        }));
+      }
+      showLogin();
+    });
+
+    // Location switcher: API calls carry the chosen location in X-Location-Id.
+    // "All locations" (managers and up) sends none, so reports are company-wide.
+    let currentLocation = localStorage.getItem('cloofy_location') || 'all';
+    let locationsCache = [];
+    const nativeFetch = window.fetch.bind(window);
+
+    window.fetch = function(url, options) {
+      options = options || {};
+      if (currentLocation !== 'all' && String(url).indexOf('/api/') === 0) {
+        options.headers = Object.assign({}, options.headers, { 'X-Location-Id': currentLocation });
+      }
+      return nativeFetch(url, options);
+    };
+
+    function locationName(id) {
+      const loc = locationsCache.find(function(l) { return String(l.id) === String(id); });
+      return loc ? loc.name : '';
+    }
+
+    async function loadLocations() {
+      const res = await fetch('/api/locations');
+      locationsCache = await res.json();
+      const known = locationsCache.some(function(l) { return String(l.id) === currentLocation; });
+      if (!known && !(currentLocation === 'all' && canUse('manager'))) {
+        currentLocation = canUse('manager') || !locationsCache.length ? 'all' : String(locationsCache[0].id);
+      }
+
+      const select = document.getElementById('location-select');
+      select.innerHTML = '';
+      if (canUse('manager')) select.innerHTML = '<option value="all">All locations</option>';
+      locationsCache.forEach(function(l) {
+        const opt = document.createElement('option');
+        opt.value = l.id;
+        opt.textContent = l.name;
+        select.appendChild(opt);
+      });
+      select.value = currentLocation;
+      select.classList.toggle('hidden', locationsCache.length < 2);
+      document.getElementById('transfer-card').classList.toggle('hidden', locationsCache.length < 2);
+    }
+
+    document.getElementById('location-select').addEventListener('change', async function() {
+      currentLocation = this.value;
+      localStorage.setItem('cloofy_location', currentLocation);
+      if (canUse('manager')) {
+        await loadDashboard();
+        await loadIngredients();
+        await loadPurchaseOrders();
+      }
+      await loadRecentSales();
+    });
+
+    // Live updates: the server pushes an event after each committed sale, stock
+    // change or settings save; the screen refetches whatever that event touches.
+    // Bursts (a busy till) are coalesced into one refresh.
+    const LIVE_LABELS = {
+      connecting: 'Connecting…',
+      live: 'Live · Inventory & Sales',
+      offline: 'Offline · reconnecting'
+    };
+    const LIVE_REFRESH_MS = 400;
+    let eventSource = null;
+    let liveRefreshTimer = null;
+    let liveRefreshParts = {};
+    let liveNoticeTimer = null;
+
+    function setLiveState(state, notice) {
+      const pill = document.getElementById('live-pill');
+      pill.classList.remove('hidden');
+      pill.dataset.state = state;
+      pill.textContent = notice || LIVE_LABELS[state];
+    }
+
+    function connectEvents() {
+      disconnectEvents();
+      setLiveState('connecting');
+      eventSource = new EventSource('/api/events');
+      eventSource.onopen = function() {
+        setLiveState('live');
+        // Anything missed while disconnected
+        queueLiveRefresh(['dashboard', 'inventory', 'recent', 'drawer']);
+        if (backOfficePending) {
+          backOfficePending = false;
+          loadBackOffice().catch(function(e) {
+            console.error(e);
+            backOfficePending = true;
+          });
+        }
+        flushSaleQueue();
+      };
+      eventSource.onerror = function() {
+        // EventSource retries by itself unless the server refused the stream (e.g. logged out)
+        if (eventSource.readyState === EventSource.CLOSED) {
+          setLiveState('offline', 'Offline · reload to reconnect');
+        } else {
+          setLiveState('offline');
+        }
+      };
+      ['sale', 'adjustment', 'low_stock', 'settings'].forEach(function(type) {
+        eventSource.addEventListener(type, function(e) {
+          handleLiveEvent(JSON.parse(e.data));
+        });
+      });
+    }
+
+    function disconnectEvents() {
+      if (eventSource) eventSource.close();
+      eventSource = null;
+      document.getElementById('live-pill').classList.add('hidden');
+    }
+
+    function handleLiveEvent(event) {
+      // Events from other stalls don't change a single-location view
+      const ids = (event.location_ids || []).map(String);
+      if (currentLocation !== 'all' && ids.length && ids.indexOf(currentLocation) === -1) return;
+
+      if (event.type === 'sale') queueLiveRefresh(['dashboard', 'inventory', 'recent', 'drawer']);
+      if (event.type === 'adjustment') queueLiveRefresh(['dashboard', 'inventory']);
+      if (event.type === 'settings') queueLiveRefresh(['dashboard']);
+      if (event.type === 'low_stock') {
+        queueLiveRefresh(['dashboard']);
+        setLiveState('live', 'Low stock: ' + event.name + ' (' + event.current_stock + ' ' + event.unit + ')');
+        clearTimeout(liveNoticeTimer);
+        liveNoticeTimer = setTimeout(function() {
+          if (eventSource && eventSource.readyState === EventSource.OPEN) setLiveState('live');
+        }, 8000);
       }
-      to {
-        opacity: 1;
-        transform: translateY(0);
+    }
+
+    function queueLiveRefresh(parts) {
+      parts.forEach(function(p) { liveRefreshParts[p] = true; });
+      clearTimeout(liveRefreshTimer);
+      liveRefreshTimer = setTimeout(runLiveRefresh, LIVE_REFRESH_MS);
+    }
+
+    async function runLiveRefresh() {
+      const parts = liveRefreshParts;
+      liveRefreshParts = {};
+      if (!currentUser) return;
+
+      // Don't redraw the inventory under someone typing in it; try again shortly
+      const active = document.activeElement;
+      if (parts.inventory && active && /^(INPUT|SELECT|TEXTAREA)$/.test(active.tagName) &&
+          active.closest('#tab-inventory')) {
+        delete parts.inventory;
+        queueLiveRefresh(['inventory']);
+      }
+      try {
+        if (parts.dashboard && canUse('manager')) await loadDashboard();
+        if (parts.inventory && canUse('manager')) await loadIngredients();
+        if (parts.recent) await loadRecentSales();
+        if (parts.drawer) await loadCashDrawer();
+      } catch (e) {
+        console.error('Live refresh failed', e);
+      }
+    }
+
+    let salesChart = null;
+
+    async function loadDashboard() {
+      const res = await fetch('/api/dashboard/summary');
+      const data = await res.json();
+
+      const currency = data.currency || 'LKR';
+
+      document.getElementById('dash-revenue').textContent =
+        currency + ' ' + Number(data.revenue || 0).toLocaleString();
+      document.getElementById('dash-tubs').textContent = data.total_tubs || 0;
+      document.getElementById('dash-sales-count').textContent = data.sales_count || 0;
+      document.getElementById('dash-gross-profit').textContent =
+        currency + ' ' + Number(data.gross_profit || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+      document.getElementById('dash-cogs').textContent =
+        'COGS ' + currency + ' ' + Number(data.cogs || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+      document.getElementById('dash-margin').textContent = Number(data.margin_pct || 0).toFixed(1) + '%';
+      document.getElementById('dash-wastage').textContent = currency + ' ' + Number(data.wastage_cost || 0).toFixed(2);
+      document.getElementById('dash-wastage-detail').textContent =
+        'Today ' + currency + ' ' + Number(data.today_wastage_cost || 0).toFixed(2) +
+        (data.wastage_by_reason || []).map(function(w) {
+          return ' · ' + w.label + ' ' + currency + ' ' + w.cost.toFixed(2);
+        }).join('');
+
+      const shopName = data.shop_name || 'CLOOFY';
+      document.querySelector('.topbar h1').textContent =
+        shopName + ' – Control Panel' + (data.location ? ' · ' + data.location : '');
+
+      // Company-wide view: how each stall contributes
+      const byLocation = data.by_location || [];
+      document.getElementById('dash-locations-card').classList.toggle('hidden', byLocation.length < 2);
+      const locList = document.getElementById('dash-locations');
+      locList.innerHTML = '';
+      byLocation.forEach(function(l) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>' + escapeHtml(l.name) + '</strong><br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">' + l.tubs + ' tubs · today ' +
+          escapeHtml(currency) + ' ' + Number(l.today_revenue).toLocaleString() + '</span></div>' +
+          '<div><p style="margin:0;font-weight:650;">' + escapeHtml(currency) + ' ' + Number(l.revenue).toLocaleString() + '</p></div>';
+        locList.appendChild(div);
+      });
+
+      const todayTubs = data.today_tubs || 0;
+      const targetTubs = data.daily_target_tubs || 0;
+      const todayRev = data.today_revenue || 0;
+      const targetRev = data.daily_target_revenue || 0;
+
+      document.getElementById('dash-today-tubs').textContent =
+        String(todayTubs) + ' / ' + String(targetTubs || 0) + ' tubs';
+
+      document.getElementById('dash-today-revenue').textContent =
+        currency + ' ' + todayRev.toLocaleString() +
+        ' / ' +
+        currency + ' ' + (targetRev || 0).toLocaleString();
+
+      // Low stock now, plus anything the forecast says must be ordered within a week
+      const resForecast = await fetch('/api/inventory/forecast');
+      const forecast = await resForecast.json();
+      const forecastById = {};
+      forecast.items.forEach(function(f) { forecastById[f.ingredient_id] = f; });
+
+      const lowList = document.getElementById('low-stock-list');
+      lowList.innerHTML = '';
+      const upcoming = forecast.items.filter(function(f) {
+        return f.status !== 'ok' && f.current_stock > f.reorder_level;
+      });
+      if ((!data.low_stock || data.low_stock.length === 0) && upcoming.length === 0) {
+        lowList.innerHTML = '<li>No low stock items 🎉</li>';
+      } else {
+        data.low_stock.forEach(function(ing) {
+          const f = forecastById[ing.id];
+          const li = document.createElement('li');
+          li.textContent =
+            ing.name + ' – ' +
+            ing.current_stock + ' ' + ing.unit +
+            ' (reorder at ' + ing.reorder_level + ')' +
+            (f && f.days_remaining != null ? ' · ~' + f.days_remaining + ' days left' : '');
+          lowList.appendChild(li);
+        });
+        upcoming.forEach(function(f) {
+          const li = document.createElement('li');
+          li.textContent =
+            f.name + ' – runs out in ~' + f.days_remaining + ' days' +
+            ' (order ' + f.suggested_qty + ' ' + f.unit + ' by ' + f.reorder_by + ')';
+          lowList.appendChild(li);
+        });
+      }
+
+      const resChart = await fetch('/api/dashboard/sales-by-day');
+      const daysData = await resChart.json();
+      const labels = daysData.map(function(r) { return r.day; });
+      const revenue = daysData.map(function(r) { return r.revenue; });
+      const grossProfit = daysData.map(function(r) { return r.gross_profit; });
+      const margin = daysData.map(function(r) { return Number(r.margin_pct.toFixed(1)); });
+
+      const ctx = document.getElementById('salesChart').getContext('2d');
+      if (salesChart) salesChart.destroy();
+      salesChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: labels,
+          datasets: [{
+            label: 'Revenue (' + currency + ')',
+            data: revenue
+          }, {
+            label: 'Gross profit (' + currency + ')',
+            data: grossProfit
+          }, {
+            label: 'Margin %',
+            data: margin,
+            yAxisID: 'margin'
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            // Selling below cost gives negative margins, so only suggest 0 as the floor
+            margin: { position: 'right', suggestedMin: 0, max: 100, grid: { drawOnChartArea: false } }
+          }
+        }
+      });
+
+      const resMargins = await fetch('/api/dashboard/product-margins');
+      const margins = await resMargins.json();
+      const marginsEl = document.getElementById('product-margins');
+      marginsEl.innerHTML = '';
+      if (!margins.length) {
+        marginsEl.innerHTML = '<p class="hint">No sales yet.</p>';
+      }
+      margins.forEach(function(m) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>' + escapeHtml(m.name) + '</strong><br/>' +
+          m.tubs + ' tubs · Revenue ' + escapeHtml(currency) + ' ' + m.revenue.toFixed(2) + '<br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">COGS ' + escapeHtml(currency) + ' ' + m.cogs.toFixed(2) +
+          ' · Profit ' + escapeHtml(currency) + ' ' + m.gross_profit.toFixed(2) + '</span></div>' +
+          '<div><p style="font-size:1.1rem;font-weight:650;margin:0;">' + m.margin_pct.toFixed(1) + '%</p></div>';
+        marginsEl.appendChild(div);
+      });
+    }
+
+    var FORECAST_LABELS = { order_now: 'Order now', soon: 'Order soon', ok: 'OK' };
+    var FORECAST_COLORS = { order_now: '#d93232', soon: '#d98a00', ok: '#2e9b5f' };
+
+    async function loadForecast() {
+      const res = await fetch('/api/inventory/forecast');
+      const forecast = await res.json();
+      document.getElementById('forecast-hint').textContent =
+        'Based on sales over the last ' + forecast.lookback_days + ' days, by weekday. ' +
+        'Lead time ' + forecast.lead_days + ' days; reorders cover ' + forecast.cover_days + ' days.';
+
+      const container = document.getElementById('forecast-list');
+      container.innerHTML = '';
+      forecast.items.forEach(function(f) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+
+        var inner = '';
+        inner += '<div>';
+        inner += '<strong>' + escapeHtml(f.name) + '</strong><br/>';
+        if (f.avg_daily_usage > 0) {
+          inner += 'Uses ~' + f.avg_daily_usage + ' ' + escapeHtml(f.unit) + '/day · ';
+          inner += f.days_remaining != null
+            ? '~' + f.days_remaining + ' days left (runs out ' + escapeHtml(f.stockout_date) + ')'
+            : 'no stock-out within 120 days';
+        } else {
+          inner += 'No sales usage recorded';
+        }
+        if (f.reorder_by) {
+          inner += '<br/><span style="font-size:0.8rem; opacity:0.8;">Order ' + f.suggested_qty + ' ' + escapeHtml(f.unit) +
+            ' by ' + escapeHtml(f.reorder_by) + '</span>';
+        }
+        inner += '</div>';
+        inner += '<div><p style="font-weight:650;margin:0;color:' + FORECAST_COLORS[f.status] + ';">' +
+          FORECAST_LABELS[f.status] + '</p></div>';
+        div.innerHTML = inner;
+        container.appendChild(div);
+      });
+    }
+
+    // Units: quantities can be entered in any compatible unit or a pack of the
+    // ingredient; the server converts them to the ingredient's own unit
+    let unitsCache = [];
+
+    async function loadUnits() {
+      if (unitsCache.length) return;
+      const res = await fetch('/api/units');
+      unitsCache = await res.json();
+      const select = document.getElementById('ing-unit');
+      select.innerHTML = '';
+      unitsCache.forEach(function(u) {
+        const opt = document.createElement('option');
+        opt.value = u.code;
+        opt.textContent = u.code;
+        select.appendChild(opt);
+      });
+    }
+
+    function unitChoices(ing) {
+      const base = unitsCache.find(function(u) { return u.code === ing.unit; });
+      const choices = [{ code: ing.unit, label: ing.unit, factor: 1 }];
+      unitsCache.forEach(function(u) {
+        if (base && u.code !== base.code && u.dimension === base.dimension) {
+          choices.push({ code: u.code, label: u.code, factor: u.factor / base.factor });
+        }
+      });
+      (ing.packs || []).forEach(function(p) {
+        choices.push({ code: p.name, label: p.name + ' (' + p.size + ' ' + ing.unit + ')', factor: p.size });
+      });
+      return choices;
+    }
+
+    function unitFactor(ing, code) {
+      const choice = unitChoices(ing).find(function(c) { return c.code === code; });
+      return choice ? choice.factor : 1;
+    }
+
+    function fillUnitSelect(select, ing) {
+      select.innerHTML = '';
+      unitChoices(ing).forEach(function(c) {
+        const opt = document.createElement('option');
+        opt.value = c.code;
+        opt.textContent = c.label;
+        select.appendChild(opt);
+      });
+    }
+
+    let ingredientsCache = [];
+
+    async function loadIngredients() {
+      await loadUnits();
+      const res = await fetch('/api/ingredients');
+      const ingredients = await res.json();
+      ingredientsCache = ingredients;
+      const container = document.getElementById('ingredients-list');
+      const totalValEl = document.getElementById('inventory-total-value');
+      container.innerHTML = '';
+
+      let totalValue = 0;
+
+      ingredients.forEach(function(ing) {
+        totalValue += ing.current_stock * ing.unit_cost;
+
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        const low = ing.current_stock <= ing.reorder_level;
+
+        var inner = '';
+        inner += '<div>';
+        inner += '<strong>' + escapeHtml(ing.name) + '</strong><br/>';
+        inner += 'Stock: ' + ing.current_stock + ' ' + escapeHtml(ing.unit) +
+                 ' (Reorder at ' + ing.reorder_level + ')<br/>';
+        if (ing.stock_by_location.length > 1) {
+          inner += '<span style="font-size:0.8rem; opacity:0.8;">' +
+                   ing.stock_by_location.map(function(st) { return escapeHtml(st.location_name) + ': ' + st.qty; }).join(' · ') +
+                   '</span><br/>';
+        }
+        inner += 'Cost per ' + escapeHtml(ing.unit) + ': LKR ' + ing.unit_cost + '<br/>';
+        if (ing.packs.length) {
+          inner += 'Packs: ' + ing.packs.map(function(p) { return escapeHtml(p.name) + ' = ' + p.size + ' ' + escapeHtml(ing.unit); }).join(', ') +
+                   '<br/>';
+        }
+        inner += '<span style="font-size:0.8rem; opacity:0.8;">';
+        inner += 'Value: LKR ' + (ing.current_stock * ing.unit_cost).toFixed(2);
+        inner += '</span>';
+        if (low) {
+          inner += '<br/><span style="color:#d93232;font-size:0.8rem;">Low stock!</span>';
+        }
+        inner += '</div>';
+        inner += '<div>';
+        inner += '<input type="number" step="any" placeholder="Adjust stock (+/-)" class="adj-input" />';
+        inner += '<select class="adj-input adj-unit"></select>';
+        inner += '<button class="adj-btn apply-btn">Apply</button>';
+        inner += '<button class="adj-btn edit-btn">Edit</button>';
+        inner += '<button class="adj-btn history-btn">History</button>';
+        inner += '<button class="adj-btn delete-btn">Delete</button>';
+        inner += '</div>';
+
+        div.innerHTML = inner;
+
+        div.querySelector('.edit-btn').addEventListener('click', function() {
+          editIngredient(ing);
+        });
+        div.querySelector('.history-btn').addEventListener('click', function() {
+          openIngredientHistory(ing);
+        });
+        div.querySelector('.delete-btn').addEventListener('click', async function() {
+          if (!confirm('Delete ' + ing.name + '?')) return;
+          const res = await fetch('/api/ingredients/' + ing.id, { method: 'DELETE' });
+          const data = await res.json();
+          if (!res.ok) {
+            alert('Error: ' + (data.error || 'Failed to delete ingredient'));
+            return;
+          }
+          if (data.archived) alert(ing.name + ' has stock history, so it was archived instead.');
+          await loadIngredients();
+          await loadDashboard();
+        });
+
+        const input = div.querySelector('.adj-input');
+        const unitSelect = div.querySelector('.adj-unit');
+        fillUnitSelect(unitSelect, ing);
+        const button = div.querySelector('.apply-btn');
+        button.addEventListener('click', async function() {
+          const change = Number(input.value);
+          if (!change) return;
+          const res = await fetch('/api/ingredients/' + ing.id + '/adjust', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ change: change, unit: unitSelect.value, reason: 'Manual adjust' })
+          });
+          if (!res.ok) {
+            const data = await res.json();
+            alert('Error: ' + (data.error || 'Failed to adjust stock'));
+            return;
+          }
+          await loadIngredients();
+          await loadDashboard();
+        });
+
+        container.appendChild(div);
+      });
+
+      totalValEl.textContent =
+        'Total inventory value (approx): LKR ' + totalValue.toFixed(2);
+      await loadForecast();
+      await loadStocktakes();
+      await loadWastage();
+      await loadTransfers();
+    }
+
+    // Transfers: deduct at one location, add at another
+    function renderTransferForm() {
+      const item = document.getElementById('xfer-item');
+      const selected = item.value;
+      item.innerHTML = '';
+      ingredientsCache.forEach(function(ing) {
+        const opt = document.createElement('option');
+        opt.value = ing.id;
+        opt.textContent = ing.name;
+        item.appendChild(opt);
+      });
+      if (selected) item.value = selected;
+
+      ['xfer-from', 'xfer-to'].forEach(function(id, i) {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        locationsCache.forEach(function(l) {
+          const opt = document.createElement('option');
+          opt.value = l.id;
+          opt.textContent = (i === 0 ? 'From ' : 'To ') + l.name;
+          select.appendChild(opt);
+        });
+      });
+      if (currentLocation !== 'all') document.getElementById('xfer-from').value = currentLocation;
+      const other = locationsCache.find(function(l) {
+        return String(l.id) !== document.getElementById('xfer-from').value;
+      });
+      if (other) document.getElementById('xfer-to').value = other.id;
+      renderTransferUnits();
+    }
+
+    function renderTransferUnits() {
+      const ing = ingredientsCache.find(function(i) { return i.id === Number(document.getElementById('xfer-item').value); });
+      if (ing) fillUnitSelect(document.getElementById('xfer-unit'), ing);
+    }
+
+    async function loadTransfers() {
+      renderTransferForm();
+      if (locationsCache.length < 2) return;
+      const res = await fetch('/api/transfers');
+      const transfers = await res.json();
+      const list = document.getElementById('transfer-list');
+      list.innerHTML = '';
+      if (!transfers.length) {
+        list.innerHTML = '<p class="hint">No transfers yet.</p>';
+      }
+      transfers.forEach(function(t) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>' + t.qty + ' ' + escapeHtml(t.unit) + ' ' + escapeHtml(t.ingredient_name) + '</strong><br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">' + escapeHtml(t.from_location) + ' → ' + escapeHtml(t.to_location) +
+          ' · ' + escapeHtml(t.date) + (t.notes ? ' · ' + escapeHtml(t.notes) : '') + ' · by ' + escapeHtml(t.created_by || '-') + '</span></div>';
+        list.appendChild(div);
+      });
+    }
+
+    document.getElementById('xfer-item').addEventListener('change', renderTransferUnits);
+
+    document.getElementById('xfer-add').addEventListener('click', async function() {
+      const status = document.getElementById('xfer-status');
+      status.textContent = '';
+      status.className = 'status';
+
+      const res = await fetch('/api/transfers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ingredient_id: Number(document.getElementById('xfer-item').value),
+          from_location_id: Number(document.getElementById('xfer-from').value),
+          to_location_id: Number(document.getElementById('xfer-to').value),
+          qty: Number(document.getElementById('xfer-qty').value),
+          unit: document.getElementById('xfer-unit').value,
+          notes: document.getElementById('xfer-notes').value.trim()
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed to transfer stock');
+        status.className = 'status error';
+        return;
+      }
+      document.getElementById('xfer-qty').value = '';
+      document.getElementById('xfer-notes').value = '';
+      status.textContent = 'Transferred.';
+      status.className = 'status success';
+      await loadIngredients();
+    });
+
+    // Wastage: a quantity of one ingredient, or whole products (recipe is deducted)
+    let wasteProducts = [];
+
+    function renderWasteItems() {
+      const kind = document.getElementById('waste-kind').value;
+      const select = document.getElementById('waste-item');
+      const items = kind === 'product' ? wasteProducts : ingredientsCache;
+      select.innerHTML = '';
+      items.forEach(function(item) {
+        const opt = document.createElement('option');
+        opt.value = item.id;
+        opt.textContent = item.name + (item.unit ? ' (' + item.unit + ')' : '');
+        select.appendChild(opt);
+      });
+      document.getElementById('waste-qty').placeholder = kind === 'product' ? 'Quantity (tubs)' : 'Quantity';
+      renderWasteUnits();
+    }
+
+    function renderWasteUnits() {
+      const unitSelect = document.getElementById('waste-unit');
+      const ing = ingredientsCache.find(function(i) { return i.id === Number(document.getElementById('waste-item').value); });
+      unitSelect.classList.toggle('hidden', document.getElementById('waste-kind').value === 'product' || !ing);
+      if (ing) fillUnitSelect(unitSelect, ing);
+    }
+
+    async function loadWastage() {
+      const productsRes = await fetch('/api/products');
+      wasteProducts = await productsRes.json();
+      renderWasteItems();
+
+      const res = await fetch('/api/wastage?limit=20');
+      const entries = await res.json();
+      const list = document.getElementById('wastage-list');
+      list.innerHTML = '';
+      if (!entries.length) {
+        list.innerHTML = '<p class="hint">No wastage recorded.</p>';
+      }
+      entries.forEach(function(w) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        const what = w.product_id
+          ? w.qty + ' × ' + escapeHtml(w.product_name)
+          : w.qty + ' ' + escapeHtml(w.unit) + ' ' + escapeHtml(w.ingredient_name);
+        div.innerHTML =
+          '<div><strong>' + what + '</strong><br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">' + escapeHtml(w.date) + ' · ' + escapeHtml(w.reason_label) +
+          (w.notes ? ' · ' + escapeHtml(w.notes) : '') + ' · by ' + escapeHtml(w.recorded_by || '-') + '</span></div>' +
+          '<div><p style="margin:0;font-weight:650;color:#d93232;">LKR ' + w.cost.toFixed(2) + '</p></div>';
+        list.appendChild(div);
+      });
+    }
+
+    document.getElementById('waste-kind').addEventListener('change', renderWasteItems);
+    document.getElementById('waste-item').addEventListener('change', renderWasteUnits);
+
+    document.getElementById('waste-add').addEventListener('click', async function() {
+      const status = document.getElementById('waste-status');
+      status.textContent = '';
+      status.className = 'status';
+
+      const kind = document.getElementById('waste-kind').value;
+      const body = {
+        qty: Number(document.getElementById('waste-qty').value),
+        reason_code: document.getElementById('waste-reason').value,
+        notes: document.getElementById('waste-notes').value.trim()
+      };
+      body[kind === 'product' ? 'product_id' : 'ingredient_id'] = Number(document.getElementById('waste-item').value);
+      if (kind === 'ingredient') body.unit = document.getElementById('waste-unit').value;
+
+      const res = await fetch('/api/wastage', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed to record wastage');
+        status.className = 'status error';
+        return;
+      }
+      document.getElementById('waste-qty').value = '';
+      document.getElementById('waste-notes').value = '';
+      status.textContent = 'Wastage recorded (LKR ' + data.cost.toFixed(2) + ')';
+      status.className = 'status success';
+      await loadIngredients();
+      await loadDashboard();
+    });
+
+    // Stocktake: counts are typed in, variance is previewed live and saved on Save/Commit
+    let openStocktake = null;
+
+    function stocktakeMoney(value) {
+      return (value < 0 ? '-' : '') + 'LKR ' + Math.abs(value).toFixed(2);
+    }
+
+    async function loadStocktakes() {
+      const res = await fetch('/api/stocktakes');
+      const stocktakes = await res.json();
+      const open = stocktakes.find(function(st) { return st.status === 'open'; });
+
+      openStocktake = null;
+      if (open) {
+        const detailRes = await fetch('/api/stocktakes/' + open.id);
+        openStocktake = await detailRes.json();
+      }
+      renderOpenStocktake();
+
+      const history = document.getElementById('stocktake-history');
+      history.innerHTML = '';
+      const past = stocktakes.filter(function(st) { return st.status !== 'open'; });
+      if (!past.length) {
+        history.innerHTML = '<p class="hint">No stocktakes yet.</p>';
       }
+      past.forEach(function(st) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>Stocktake #' + st.id + '</strong> (' + st.status + ')<br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">' + escapeHtml(st.committed_at || st.started_at) +
+          ' · ' + escapeHtml(st.location_name || '-') + ' · ' + st.counted_items + ' items counted · by ' +
+          escapeHtml(st.started_by || '-') + '</span></div>' +
+          '<div><p style="margin:0;font-weight:650;color:#d93232;">Shrinkage ' + stocktakeMoney(st.shrinkage_value) +
+          '</p><span style="font-size:0.8rem; opacity:0.8;">Net ' + stocktakeMoney(st.net_variance_value) + '</span></div>';
+        history.appendChild(div);
+      });
     }
 
-    /* Dashboard cards */
-    .cards {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-      gap: 10px;
-      margin-bottom: 14px;
-    }
+    function renderOpenStocktake() {
+      const st = openStocktake;
+      document.getElementById('stocktake-start').classList.toggle('hidden', !!st);
+      ['stocktake-save', 'stocktake-commit', 'stocktake-cancel'].forEach(function(id) {
+        document.getElementById(id).classList.toggle('hidden', !st);
+      });
+      document.getElementById('stocktake-hint').textContent = st
+        ? 'Stocktake #' + st.id + ' at ' + st.location_name + ' started ' + st.started_at +
+          '. Leave a field blank to skip that ingredient.'
+        : 'Count what is on the shelf; committing sets stock to the counts and logs the differences.';
+
+      // Counts typed but not saved yet survive a re-render (e.g. a live refresh)
+      const container = document.getElementById('stocktake-open');
+      const typed = {};
+      if (st && container.dataset.stocktakeId === String(st.id)) {
+        container.querySelectorAll('input').forEach(function(i) { typed[i.dataset.ingredientId] = i.value; });
+      }
+      container.innerHTML = '';
+      container.dataset.stocktakeId = st ? st.id : '';
+      if (!st) return;
 
-    .card {
-      background: #ffffff;
-      border-radius: 16px;
-      padding: 10px 12px;
-      box-shadow: 0 10px 24px rgba(121, 96, 152, 0.08);
-      position: relative;
-      overflow: hidden;
-    }
+      st.items.forEach(function(item) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>' + escapeHtml(item.ingredient_name) + '</strong><br/>' +
+          'System: ' + item.system_qty + ' ' + escapeHtml(item.unit) + '<br/>' +
+          '<span class="stocktake-variance" style="font-size:0.8rem;"></span></div>' +
+          '<div><input type="number" step="any" min="0" class="adj-input" placeholder="Counted (' + escapeHtml(item.unit) + ')" /></div>';
+
+        const input = div.querySelector('input');
+        const varianceEl = div.querySelector('.stocktake-variance');
+        input.dataset.ingredientId = item.ingredient_id;
+        if (typed[item.ingredient_id] !== undefined) input.value = typed[item.ingredient_id];
+        else if (item.counted_qty != null) input.value = item.counted_qty;
+
+        function showVariance() {
+          if (input.value === '') {
+            varianceEl.textContent = 'Not counted';
+            varianceEl.style.color = '';
+            return;
+          }
+          const variance = Number(input.value) - item.system_qty;
+          varianceEl.textContent = 'Variance: ' + (variance > 0 ? '+' : '') + Number(variance.toFixed(2)) + ' ' +
+            item.unit + ' (' + stocktakeMoney(variance * item.unit_cost) + ')';
+          varianceEl.style.color = variance < 0 ? '#d93232' : (variance > 0 ? '#2e9b5f' : '');
+        }
+        input.addEventListener('input', showVariance);
+        showVariance();
+        container.appendChild(div);
+      });
 
-    .card::after {
-      content: "";
-      position: absolute;
-      right: -30px;
-      top: -30px;
-      width: 80px;
-      height: 80px;
-      border-radius: 40%;
-      background: radial-gradient(circle at 30% 30%, rgba(255, 187, 255, 0.5), transparent);
-      opacity: 0.7;
-      pointer-events: none;
+      const totals = document.createElement('p');
+      totals.innerHTML = '<strong>Counted ' + st.counted_items + ' of ' + st.items.length + '</strong> · Shrinkage ' +
+        stocktakeMoney(st.shrinkage_value) + ' · Net ' + stocktakeMoney(st.net_variance_value) + ' (as last saved)';
+      container.appendChild(totals);
     }
 
-    .card h3 {
-      margin: 0 0 4px;
-      font-size: 0.8rem;
-      text-transform: uppercase;
-      letter-spacing: 0.12em;
-      color: #a697c7;
-    }
+    async function stocktakeAction(url, method, body) {
+      const status = document.getElementById('stocktake-status');
+      status.textContent = '';
+      status.className = 'status';
 
-    .card p {
-      margin: 0;
-      font-size: 1.15rem;
-      font-weight: 650;
-      color: #3b3055;
+      const res = await fetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed');
+        status.className = 'status error';
+        return null;
+      }
+      return data;
     }
 
-    .card.wide {
-      grid-column: 1 / -1;
-      display: grid;
-      grid-template-columns: minmax(0, 1.2fr) minmax(0, 1fr);
-      align-items: center;
-      gap: 6px;
+    function stocktakeCounts() {
+      const inputs = document.querySelectorAll('#stocktake-open input');
+      return Array.prototype.map.call(inputs, function(input) {
+        return {
+          ingredient_id: Number(input.dataset.ingredientId),
+          counted_qty: input.value === '' ? null : Number(input.value)
+        };
+      });
     }
 
-    .card-subline {
-      font-size: 0.8rem;
-      color: #8a7aa8;
-      margin-top: 2px;
-    }
+    document.getElementById('stocktake-start').addEventListener('click', async function() {
+      if (await stocktakeAction('/api/stocktakes', 'POST')) await loadStocktakes();
+    });
 
-    /* Sections */
-    h2 {
-      margin: 4px 0 12px;
-      font-size: 1.15rem;
-      color: #3b3055;
-    }
+    document.getElementById('stocktake-save').addEventListener('click', async function() {
+      const data = await stocktakeAction('/api/stocktakes/' + openStocktake.id + '/counts', 'PUT', {
+        counts: stocktakeCounts()
+      });
+      if (!data) return;
+      openStocktake = data;
+      renderOpenStocktake();
+      const status = document.getElementById('stocktake-status');
+      status.textContent = 'Counts saved';
+      status.className = 'status success';
+    });
 
-    h3 {
-      color: #4a3c68;
-    }
+    document.getElementById('stocktake-commit').addEventListener('click', async function() {
+      const id = openStocktake.id;
+      const saved = await stocktakeAction('/api/stocktakes/' + id + '/counts', 'PUT', { counts: stocktakeCounts() });
+      if (!saved) return;
+      if (!confirm('Commit stocktake #' + id + '? Shrinkage ' + stocktakeMoney(saved.shrinkage_value) +
+        ', net ' + stocktakeMoney(saved.net_variance_value) + '. Stock will be set to the counted quantities.')) {
+        openStocktake = saved;
+        renderOpenStocktake();
+        return;
+      }
+      if (!(await stocktakeAction('/api/stocktakes/' + id + '/commit', 'POST'))) return;
+      await loadIngredients();
+      await loadDashboard();
+    });
 
-    /* Chart container */
-    #salesChart {
-      max-height: 260px;
-    }
+    document.getElementById('stocktake-cancel').addEventListener('click', async function() {
+      if (!confirm('Cancel stocktake #' + openStocktake.id + '? Entered counts are discarded.')) return;
+      if (await stocktakeAction('/api/stocktakes/' + openStocktake.id + '/cancel', 'POST')) await loadStocktakes();
+    });
 
-    /* Forms & controls */
-    label {
-      display: block;
-      margin: 8px 0;
-      font-size: 0.9rem;
-      color: #5c4b80;
+    // Stock history drill-down: a running-balance ledger plus closing stock per day
+    let historyIngredient = null;
+    let historyPage = 1;
+    let historyChart = null;
+
+    function openIngredientHistory(ing) {
+      historyIngredient = ing;
+      historyPage = 1;
+      document.getElementById('ing-history-from').value = '';
+      document.getElementById('ing-history-to').value = '';
+      document.getElementById('ing-history').classList.remove('hidden');
+      loadIngredientHistory();
+      document.getElementById('ing-history').scrollIntoView({ behavior: 'smooth' });
     }
 
-    input,
-    select,
-    button {
-      width: 100%;
-      padding: 8px 10px;
-      margin-top: 4px;
-      border-radius: 10px;
-      border: 1px solid #e1d4ff;
-      font-size: 0.9rem;
-      outline: none;
-    }
+    async function loadIngredientHistory() {
+      const params = new URLSearchParams({ page: historyPage, page_size: 25 });
+      const from = document.getElementById('ing-history-from').value;
+      const to = document.getElementById('ing-history-to').value;
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
 
-    input:focus,
-    select:focus {
-      border-color: #ff7eb3;
-      box-shadow: 0 0 0 1px rgba(255, 126, 179, 0.2);
-    }
+      const res = await fetch('/api/ingredients/' + historyIngredient.id + '/logs?' + params.toString());
+      const data = await res.json();
+      const list = document.getElementById('ing-history-list');
+      if (!res.ok) {
+        list.innerHTML = '<p class="status error">Error: ' + escapeHtml(data.error || 'Failed to load history') + '</p>';
+        return;
+      }
+      const unit = data.ingredient.unit;
+      const pages = Math.max(1, Math.ceil(data.total / data.page_size));
+
+      document.getElementById('ing-history-title').textContent = 'Stock History – ' + data.ingredient.name;
+      document.getElementById('ing-history-totals').textContent =
+        data.total + ' movements · In ' + data.total_in + ' ' + unit + ' · Out ' + data.total_out + ' ' + unit +
+        ' · Page ' + data.page + ' of ' + pages;
+      document.getElementById('ing-history-prev').disabled = data.page <= 1;
+      document.getElementById('ing-history-next').disabled = data.page >= pages;
+
+      list.innerHTML = '';
+      if (!data.logs.length) {
+        list.innerHTML = '<p class="hint">No stock movements in this range.</p>';
+      }
+      data.logs.forEach(function(log) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        const color = log.change < 0 ? '#d93232' : '#2e9b5f';
+        div.innerHTML =
+          '<div><strong>' + escapeHtml(log.reason || 'Adjustment') + '</strong><br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">' + escapeHtml(log.date) + '</span></div>' +
+          '<div><p style="margin:0;font-weight:650;color:' + color + ';">' +
+          (log.change > 0 ? '+' : '') + log.change + ' ' + escapeHtml(unit) + '</p>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">Balance ' + Number(log.balance_after.toFixed(2)) + '</span></div>';
+        list.appendChild(div);
+      });
 
-    button {
-      background: linear-gradient(135deg, #ff7eb3, #ff4f9d);
-      color: #fff;
-      font-weight: 600;
-      border: none;
-      cursor: pointer;
-      box-shadow: 0 10px 24px rgba(255, 79, 157, 0.35);
-      transition: transform 0.1s ease, box-shadow 0.1s ease, opacity 0.1s ease;
+      const ctx = document.getElementById('ingHistoryChart').getContext('2d');
+      if (historyChart) historyChart.destroy();
+      historyChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: data.daily_balance.map(function(d) { return d.day; }),
+          datasets: [{
+            label: 'Closing stock (' + unit + ')',
+            data: data.daily_balance.map(function(d) { return d.balance; }),
+            stepped: true
+          }]
+        },
+        options: { responsive: true, maintainAspectRatio: false }
+      });
     }
 
-    button:hover {
-      opacity: 0.96;
-      transform: translateY(-1px);
-      box-shadow: 0 14px 30px rgba(255, 79, 157, 0.4);
+    document.getElementById('ing-history-filter').addEventListener('click', function() {
+      historyPage = 1;
+      loadIngredientHistory();
+    });
+    document.getElementById('ing-history-prev').addEventListener('click', function() {
+      historyPage--;
+      loadIngredientHistory();
+    });
+    document.getElementById('ing-history-next').addEventListener('click', function() {
+      historyPage++;
+      loadIngredientHistory();
+    });
+    document.getElementById('ing-history-close').addEventListener('click', function() {
+      document.getElementById('ing-history').classList.add('hidden');
+    });
+
+    // The add form doubles as the edit form; stock is only changed via adjustments
+    let editingIngredientId = null;
+
+    function editIngredient(ing) {
+      editingIngredientId = ing ? ing.id : null;
+      document.getElementById('ing-form-title').textContent = ing ? 'Edit ' + ing.name : 'Add Ingredient';
+      document.getElementById('ing-add').textContent = ing ? 'Save' : 'Add';
+      document.getElementById('ing-cancel').classList.toggle('hidden', !ing);
+      document.getElementById('ing-stock').classList.toggle('hidden', !!ing);
+      document.getElementById('ing-name').value = ing ? ing.name : '';
+      document.getElementById('ing-unit').value = ing ? ing.unit : 'g';
+      document.getElementById('ing-stock').value = '';
+      document.getElementById('ing-reorder').value = ing ? ing.reorder_level : '';
+      document.getElementById('ing-par').value = ing && ing.par_level != null ? ing.par_level : '';
+      document.getElementById('ing-cost').value = ing ? ing.unit_cost : '';
+      document.getElementById('ing-status').textContent = '';
+      document.getElementById('ing-packs').classList.toggle('hidden', !ing);
+      if (ing) renderPacks(ing);
+      if (ing) document.getElementById('ing-name').scrollIntoView({ behavior: 'smooth' });
     }
 
-    button:active {
-      transform: translateY(0);
-      box-shadow: 0 8px 18px rgba(255, 79, 157, 0.3);
+    function renderPacks(ing) {
+      const list = document.getElementById('ing-packs-list');
+      list.innerHTML = '';
+      if (!ing.packs.length) {
+        list.innerHTML = '<p class="hint">No pack sizes yet.</p>';
+      }
+      ing.packs.forEach(function(p) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML = '<div><strong>' + escapeHtml(p.name) + '</strong> = ' + p.size + ' ' + escapeHtml(ing.unit) + '</div>' +
+          '<div><button class="adj-btn">Remove</button></div>';
+        div.querySelector('button').addEventListener('click', async function() {
+          await fetch('/api/ingredients/' + ing.id + '/packs/' + p.id, { method: 'DELETE' });
+          await reloadPacks(ing.id);
+        });
+        list.appendChild(div);
+      });
     }
 
-    /* Ingredient list */
-    .ingredient-row {
-      display: grid;
-      grid-template-columns: minmax(0, 2.3fr) minmax(0, 1.1fr);
-      gap: 8px;
-      padding: 8px 10px;
-      margin-bottom: 6px;
-      background: linear-gradient(135deg, #ffffff, #fdf4ff);
-      border-radius: 14px;
-      box-shadow: 0 8px 18px rgba(120, 88, 155, 0.06);
+    async function reloadPacks(id) {
+      await loadIngredients();
+      const ing = ingredientsCache.find(function(i) { return i.id === id; });
+      if (ing) renderPacks(ing);
     }
 
-    .ingredient-row div:first-child {
-      font-size: 0.85rem;
+    document.getElementById('pack-add').addEventListener('click', async function() {
+      const status = document.getElementById('ing-status');
+      const res = await fetch('/api/ingredients/' + editingIngredientId + '/packs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: document.getElementById('pack-name').value.trim(),
+          size: Number(document.getElementById('pack-size').value)
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed to add pack');
+        status.className = 'status error';
+        return;
+      }
+      document.getElementById('pack-name').value = '';
+      document.getElementById('pack-size').value = '';
+      status.textContent = '';
+      await reloadPacks(editingIngredientId);
+    });
+
+    document.getElementById('ing-cancel').addEventListener('click', function() {
+      editIngredient(null);
+    });
+
+    document.getElementById('ing-add').addEventListener('click', async function() {
+      const name = document.getElementById('ing-name').value;
+      const unit = document.getElementById('ing-unit').value;
+      const stock = Number(document.getElementById('ing-stock').value || 0);
+      const reorder = Number(document.getElementById('ing-reorder').value || 0);
+      const cost = Number(document.getElementById('ing-cost').value || 0);
+      const par = document.getElementById('ing-par').value;
+      const status = document.getElementById('ing-status');
+      status.textContent = '';
+      status.className = 'status';
+
+      if (!name || !unit) {
+        alert('Name and unit are required');
+        return;
+      }
+
+      const res = await fetch(
+        editingIngredientId ? '/api/ingredients/' + editingIngredientId : '/api/ingredients',
+        {
+          method: editingIngredientId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: name,
+            unit: unit,
+            current_stock: stock,
+            reorder_level: reorder,
+            unit_cost: cost,
+            par_level: par === '' ? null : Number(par)
+          })
+        }
+      );
+      if (!res.ok) {
+        const data = await res.json();
+        status.textContent = 'Error: ' + (data.error || 'Failed');
+        status.className = 'status error';
+        return;
+      }
+
+      editIngredient(null);
+
+      await loadIngredients();
+      await loadDashboard();
+    });
+
+    let productsForSale = [];
+
+    async function loadProductsForSales() {
+      const res = await fetch('/api/products');
+      const products = await res.json();
+      productsForSale = products;
+
+      const select = document.getElementById('sale-product');
+      const cardsContainer = document.getElementById('product-cards');
+      select.innerHTML = '';
+      cardsContainer.innerHTML = '';
+
+      products.forEach(function(p) {
+        var opt = document.createElement('option');
+        opt.value = p.id;
+        opt.textContent = p.name + ' (LKR ' + p.price + ')';
+        select.appendChild(opt);
+
+        var card = document.createElement('div');
+        card.className = 'card';
+        card.style.cursor = 'pointer';
+        card.innerHTML =
+          '<h3>' + escapeHtml(p.name) + '</h3>' +
+          '<p>LKR ' + p.price + '</p>' +
+          '<p style="font-size:0.8rem; opacity:0.8;">Tap to add to cart</p>';
+        card.addEventListener('click', function() {
+          addToCart(p, 1);
+        });
+        cardsContainer.appendChild(card);
+      });
     }
 
-    .ingredient-row strong {
-      font-size: 0.92rem;
-      color: #3b3055;
+    // Cart: items picked from the quick-sale cards, checked out as one order
+    let cart = [];
+
+    function addToCart(product, qty) {
+      const existing = cart.find(function(l) { return l.product.id === product.id; });
+      if (existing) {
+        existing.qty += qty;
+      } else {
+        cart.push({ product: product, qty: qty });
+      }
+      renderCart();
     }
 
-    .ingredient-row .adj-input {
-      width: 100%;
-      margin-bottom: 4px;
+    function changeCartQty(productId, delta) {
+      cart.forEach(function(l) {
+        if (l.product.id === productId) l.qty += delta;
+      });
+      cart = cart.filter(function(l) { return l.qty > 0; });
+      renderCart();
     }
 
-    .ingredient-row .adj-btn {
-      width: 100%;
-      font-size: 0.8rem;
-      padding-block: 7px;
+    function renderCart() {
+      const container = document.getElementById('cart-lines');
+      const totalEl = document.getElementById('cart-total');
+      container.innerHTML = '';
+
+      renderTender();
+      if (!cart.length) {
+        container.innerHTML = '<p class="hint">Cart is empty. Tap a flavour above to add it.</p>';
+        totalEl.textContent = '';
+        return;
+      }
+
+      let total = 0;
+      cart.forEach(function(l) {
+        const lineTotal = l.product.price * l.qty;
+        total += lineTotal;
+
+        const div = document.createElement('div');
+        div.className = 'cart-line';
+        div.innerHTML =
+          '<span>' + escapeHtml(l.product.name) + '</span>' +
+          '<button class="cart-minus">−</button>' +
+          '<strong>' + l.qty + '</strong>' +
+          '<button class="cart-plus">+</button>' +
+          '<span>LKR ' + lineTotal + '</span>';
+        div.querySelector('.cart-minus').addEventListener('click', function() {
+          changeCartQty(l.product.id, -1);
+        });
+        div.querySelector('.cart-plus').addEventListener('click', function() {
+          changeCartQty(l.product.id, 1);
+        });
+        container.appendChild(div);
+      });
+
+      totalEl.textContent = 'Total: LKR ' + total;
     }
 
-    .form-grid {
-      display: grid;
-      grid-template-columns: 1fr;
-      gap: 6px;
-      margin-top: 8px;
+    // Tender: how the next sale is paid. The server checks the payments add up to
+    // the order total, so this only has to split it and work out the change.
+    const PAYMENT_LABELS = { cash: 'Cash', card: 'Card', qr: 'QR' };
+
+    function roundMoney(n) {
+      return Math.round(n * 100) / 100;
     }
 
-    @media (min-width: 768px) {
-      .form-grid {
-        grid-template-columns: repeat(3, minmax(0, 1fr));
+    // The cart when it has anything in it, otherwise the custom sale
+    function tenderTotal() {
+      if (cart.length) {
+        return cart.reduce(function(sum, l) { return sum + l.product.price * l.qty; }, 0);
       }
+      const productId = Number(document.getElementById('sale-product').value);
+      const product = productsForSale.find(function(p) { return p.id === productId; });
+      return product ? product.price * Number(document.getElementById('sale-qty').value || 1) : 0;
     }
 
-    .status {
-      margin-top: 8px;
-      font-size: 0.85rem;
+    // Throws with a message for the till when the tender doesn't cover the total
+    function tenderPayments(total) {
+      const method = document.getElementById('tender-method').value;
+      if (method === 'card' || method === 'qr') return [{ method: method, amount: total }];
+
+      const payments = [];
+      let cashDue = total;
+      if (method === 'split') {
+        ['card', 'qr'].forEach(function(m) {
+          const amount = roundMoney(Number(document.getElementById('tender-' + m).value || 0));
+          if (amount > 0) payments.push({ method: m, amount: amount });
+          cashDue -= amount;
+        });
+        cashDue = roundMoney(cashDue);
+        if (cashDue < 0) throw new Error('Card and QR amounts come to more than the total of LKR ' + total);
+      }
+      if (cashDue > 0) {
+        const received = document.getElementById('tender-cash').value;
+        if (received !== '' && Number(received) < cashDue) {
+          throw new Error('Cash received is less than the LKR ' + cashDue + ' due in cash');
+        }
+        payments.push({ method: 'cash', amount: cashDue, tendered: received === '' ? null : Number(received) });
+      }
+      return payments;
     }
 
-    .status.success {
-      color: #188a42;
+    // The PDF opens in the browser's viewer to print; ESC/POS is for raw thermal printing
+    function receiptLink(orderId) {
+      return '<a href="/api/orders/' + orderId + '/receipt.pdf" target="_blank">Print receipt</a>';
     }
 
-    .status.error {
-      color: #d93232;
+    function changeText(payments) {
+      const cash = payments.find(function(p) { return p.method === 'cash' && p.tendered != null; });
+      return cash ? ' · Change: LKR ' + roundMoney(cash.tendered - cash.amount) : '';
     }
 
-    .hint {
-      font-size: 0.8rem;
-      color: #8575a5;
-    }
+    function renderTender() {
+      const method = document.getElementById('tender-method').value;
+      document.getElementById('tender-split').classList.toggle('hidden', method !== 'split');
+      document.getElementById('tender-cash-wrap').classList.toggle('hidden', method === 'card' || method === 'qr');
 
-    ul {
-      padding-left: 18px;
-      font-size: 0.85rem;
+      const hint = document.getElementById('tender-change');
+      hint.className = 'hint';
+      try {
+        const payments = tenderPayments(tenderTotal());
+        const cash = payments.find(function(p) { return p.method === 'cash'; });
+        hint.textContent = cash ? 'Cash due: LKR ' + cash.amount + changeText(payments) : '';
+      } catch (e) {
+        hint.textContent = e.message;
+        hint.className = 'status error';
+      }
     }
 
-    /* Settings */
-    #reset-all-btn {
-      background: linear-gradient(135deg, #ff5b6c, #f53d3d);
-      box-shadow: 0 10px 24px rgba(245, 61, 61, 0.35);
+    function resetTender() {
+      document.getElementById('tender-method').value = 'cash';
+      ['tender-card', 'tender-qr', 'tender-cash'].forEach(function(id) {
+        document.getElementById(id).value = '';
+      });
+      renderTender();
     }
 
-    /* Containers within tabs */
-    .section-card {
-      background: #ffffff;
-      border-radius: 18px;
-      padding: 10px 12px 12px;
-      box-shadow: 0 10px 22px rgba(119, 93, 156, 0.06);
-      margin-bottom: 14px;
+    ['tender-method', 'tender-card', 'tender-qr', 'tender-cash', 'sale-product', 'sale-qty'].forEach(function(id) {
+      document.getElementById(id).addEventListener('input', renderTender);
+    });
+
+    // Cash drawer: one shift at a time per location, counted against the Z-report at close
+    async function loadCashDrawer() {
+      const res = await fetch('/api/cash-sessions/current');
+      const data = await res.json();
+      const report = data.report;
+      const info = document.getElementById('drawer-info');
+
+      if (report) {
+        const byMethod = report.by_method.filter(function(m) { return m.method !== 'cash'; }).map(function(m) {
+          return m.label + ' LKR ' + m.net;
+        });
+        info.innerHTML =
+          '<p>Shift #' + report.session.id + ' open at ' + escapeHtml(data.location.name) + ' since ' +
+          escapeHtml(report.session.opened_at.slice(11, 16)) + ' (' + escapeHtml(report.session.opened_by) + ')</p>' +
+          '<p>Float LKR ' + report.cash.opening_float + ' + cash sales LKR ' + report.cash.cash_sales +
+          ' − cash refunds LKR ' + report.cash.cash_refunds + ' = <strong>LKR ' + report.cash.expected +
+          ' expected in drawer</strong></p>' +
+          '<p class="hint">' + report.orders + ' orders · ' + byMethod.join(' · ') + '</p>';
+        document.getElementById('drawer-close').dataset.sessionId = report.session.id;
+      } else {
+        info.innerHTML = '<p class="hint">No drawer open at ' + escapeHtml(data.location.name) +
+          '. Sales still go through but won’t belong to a shift.</p>';
+      }
+      document.getElementById('drawer-open-form').classList.toggle('hidden', !!report);
+      document.getElementById('drawer-close-form').classList.toggle('hidden', !report);
+
+      document.getElementById('drawer-history').classList.toggle('hidden', !canUse('manager'));
+      if (canUse('manager')) await loadCashSessions();
     }
 
-    .section-card h2 {
-      margin-top: 0;
+    async function loadCashSessions() {
+      const res = await fetch('/api/cash-sessions');
+      const sessions = await res.json();
+      const container = document.getElementById('drawer-sessions');
+      container.innerHTML = '';
+      if (!sessions.length) {
+        container.innerHTML = '<p class="hint">No shifts yet.</p>';
+        return;
+      }
+      sessions.slice(0, 10).forEach(function(cs) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        let result = 'Open';
+        if (cs.over_short != null) {
+          result = cs.over_short === 0
+            ? 'Balanced'
+            : (cs.over_short > 0 ? 'Over' : 'Short') + ' LKR ' + roundMoney(Math.abs(cs.over_short));
+        }
+        div.innerHTML =
+          '<div><strong>Shift #' + cs.id + '</strong> <span class="hint">' + escapeHtml(cs.location_name) + '</span><br/>' +
+          escapeHtml(cs.opened_at) + (cs.closed_at ? ' → ' + escapeHtml(cs.closed_at.slice(11, 16)) : '') + '<br/>' +
+          '<span class="hint">' + cs.orders + ' orders · LKR ' + cs.gross_sales + ' · ' + result + '</span></div>' +
+          '<div><a href="/api/cash-sessions/' + cs.id + '/z-report.pdf" target="_blank">Z-report</a></div>';
+        container.appendChild(div);
+      });
     }
-  </style>
-  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-</head>
-<body>
-  <div class="app-shell">
-    <div class="app-card">
-      <header class="topbar">
-        <div class="topbar-left">
-          <h1>CLOOFY – Control Panel</h1>
-          <span>Premium drizzle cotton candy kiosk dashboard</span>
-        </div>
-        <div class="cloud-pill">
-          Live · Inventory & Sales
-        </div>
-      </header>
 
-      <nav class="tabs">
-        <button data-tab="dashboard" class="active"><span class="icon">📊</span>Dashboard</button>
-        <button data-tab="sales"><span class="icon">🧾</span>Record Sale</button>
-        <button data-tab="inventory"><span class="icon">📦</span>Inventory</button>
-        <button data-tab="reports"><span class="icon">📑</span>Reports</button>
-        <button data-tab="settings"><span class="icon">⚙️</span>Settings</button>
-      </nav>
+    document.getElementById('drawer-open').addEventListener('click', async function() {
+      const status = document.getElementById('drawer-status');
+      const res = await fetch('/api/cash-sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ opening_float: document.getElementById('drawer-float').value })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed');
+        status.className = 'status error';
+      } else {
+        status.textContent = 'Drawer opened with a float of LKR ' + data.cash.opening_float + '.';
+        status.className = 'status success';
+      }
+      await loadCashDrawer();
+    });
 
-      <main>
-        <!-- DASHBOARD -->
-        <section id="tab-dashboard" class="tab active">
-          <div class="cards">
-            <div class="card">
-              <h3>Total Revenue</h3>
-              <p id="dash-revenue">LKR 0</p>
-            </div>
-            <div class="card">
-              <h3>Total Tubs Sold</h3>
-              <p id="dash-tubs">0</p>
-            </div>
-            <div class="card">
-              <h3>Sales Count</h3>
-              <p id="dash-sales-count">0</p>
-            </div>
-            <div class="card wide">
-              <div>
-                <h3>Today</h3>
-                <p id="dash-today-tubs">0 / 0 tubs</p>
-                <div class="card-subline" id="dash-today-revenue">0 / 0</div>
-              </div>
-              <div class="card-subline">
-                Track how close you are to today's tub & revenue targets.
-              </div>
-            </div>
-          </div>
+    document.getElementById('drawer-close').addEventListener('click', async function() {
+      const status = document.getElementById('drawer-status');
+      const counted = document.getElementById('drawer-counted').value;
+      if (counted === '') {
+        status.textContent = 'Count the cash in the drawer first.';
+        status.className = 'status error';
+        return;
+      }
+      const id = this.dataset.sessionId;
+      const res = await fetch('/api/cash-sessions/' + id + '/close', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ counted_cash: counted, notes: document.getElementById('drawer-notes').value.trim() })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed');
+        status.className = 'status error';
+        return;
+      }
+      const diff = data.cash.over_short;
+      status.innerHTML = 'Shift #' + id + ' closed. Expected LKR ' + data.cash.expected + ', counted LKR ' +
+        data.cash.counted + ': ' +
+        (diff === 0 ? 'balanced' : (diff > 0 ? 'over' : 'short') + ' by LKR ' + roundMoney(Math.abs(diff))) +
+        '. <a href="/api/cash-sessions/' + id + '/z-report.pdf" target="_blank">Download Z-report</a>';
+      status.className = 'status ' + (diff === 0 ? 'success' : 'error');
+      document.getElementById('drawer-counted').value = '';
+      document.getElementById('drawer-notes').value = '';
+      await loadCashDrawer();
+    });
 
-          <div class="section-card">
-            <h2>Sales (Last 30 Days)</h2>
-            <div style="height:260px;">
-              <canvas id="salesChart"></canvas>
-            </div>
-          </div>
+    // Offline sales: every sale is sent with an Idempotency-Key made when it is rung
+    // up. Without a network it waits in IndexedDB and is replayed later under the
+    // same key, so a retry whose first response was lost is never counted twice.
+    const SALE_QUEUE_DB = 'cloofy-offline';
+    const SALE_SYNC_MS = 30000;
+    let syncingSales = false;
 
-          <div class="section-card">
-            <h2>Low Stock Alerts</h2>
-            <ul id="low-stock-list"></ul>
-          </div>
-        </section>
+    function newIdempotencyKey() {
+      if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+      return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+    }
 
-        <!-- SALES -->
-        <section id="tab-sales" class="tab">
-          <div class="section-card">
-            <h2>Record Sale</h2>
+    function localTimestamp(d) {
+      function pad(n) { return String(n).padStart(2, '0'); }
+      return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + ' ' +
+        pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+    }
 
-            <h3>Quick Sale (tap a flavour)</h3>
-            <div id="product-cards" class="cards"></div>
+    // Runs work(store) in one transaction and resolves with its request's result
+    function saleQueue(mode, work) {
+      return new Promise(function(resolve, reject) {
+        const open = indexedDB.open(SALE_QUEUE_DB, 1);
+        open.onupgradeneeded = function() {
+          open.result.createObjectStore('sales', { keyPath: 'key' });
+        };
+        open.onerror = function() { reject(open.error); };
+        open.onsuccess = function() {
+          const db = open.result;
+          const tx = db.transaction('sales', mode);
+          const request = work(tx.objectStore('sales'));
+          tx.oncomplete = function() { db.close(); resolve(request.result); };
+          tx.onerror = function() { db.close(); reject(tx.error); };
+        };
+      });
+    }
 
-            <h3>Custom Sale</h3>
-            <label>
-              Product:
-              <select id="sale-product"></select>
-            </label>
-            <label>
-              Quantity:
-              <input type="number" id="sale-qty" min="1" value="1" />
-            </label>
-            <button id="sale-submit">Save Sale</button>
-            <p id="sale-status" class="status"></p>
-          </div>
+    async function queuedSales() {
+      const entries = await saleQueue('readonly', function(store) { return store.getAll(); });
+      return entries.sort(function(a, b) { return a.created - b.created; });
+    }
 
-          <div class="section-card">
-            <h2>Recent Sales</h2>
-            <div id="recent-sales"></div>
-          </div>
-        </section>
+    function postSale(entry) {
+      return fetch(entry.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.key },
+        body: JSON.stringify(entry.body)
+      });
+    }
 
-        <!-- INVENTORY -->
-        <section id="tab-inventory" class="tab">
-          <div class="section-card">
-            <h2>Ingredients</h2>
-            <p id="inventory-total-value"></p>
-            <div id="ingredients-list"></div>
-          </div>
+    // Resolves to { res, data } when the server answered, or { queued, waiting }
+    // when the sale was kept on this device instead.
+    async function submitSale(url, body, label) {
+      const entry = {
+        key: newIdempotencyKey(),
+        url: url,
+        // Pin the stall now; the location switcher may have moved on by replay time
+        body: Object.assign({}, body, currentLocation !== 'all' ? { location_id: Number(currentLocation) } : {}),
+        label: label,
+        created: Date.now(),
+        error: null
+      };
+      if (navigator.onLine) {
+        try {
+          const res = await postSale(entry);
+          return { res: res, data: await res.json() };
+        } catch (e) {
+          // Queue it; if this attempt did reach the server the replay just finds the same order
+          console.error(e);
+        }
+      }
+      entry.body.sold_at = localTimestamp(new Date(entry.created));
+      await saleQueue('readwrite', function(store) { return store.put(entry); });
+      return { queued: true, waiting: await renderSaleQueue() };
+    }
 
-          <div class="section-card">
-            <h2>Add Ingredient</h2>
-            <div class="form-grid">
-              <input id="ing-name" placeholder="Name (e.g. New Syrup)" />
-              <input id="ing-unit" placeholder="Unit (g / ml / unit)" />
-              <input id="ing-stock" placeholder="Current Stock" type="number" />
-              <input id="ing-reorder" placeholder="Reorder Level" type="number" />
-              <input id="ing-cost" placeholder="Cost per Unit (LKR)" type="number" />
-              <button id="ing-add">Add</button>
-            </div>
-          </div>
-        </section>
+    async function renderSaleQueue() {
+      const entries = await queuedSales();
+      const rejected = entries.filter(function(e) { return e.error; }).length;
+      document.getElementById('sale-queue').classList.toggle('hidden', !entries.length);
+      document.getElementById('sale-queue-summary').textContent =
+        entries.length + (entries.length === 1 ? ' sale' : ' sales') + ' waiting to sync' +
+        (rejected ? ' · ' + rejected + ' rejected by the server' : '');
 
-        <!-- REPORTS -->
-        <section id="tab-reports" class="tab">
-          <div class="section-card">
-            <h2>Reports</h2>
-            <label>
-              Month (YYYY-MM, optional):
-              <input id="report-month" placeholder="2025-01" />
-            </label>
-            <button id="report-download">Download Monthly PDF</button>
-            <p class="hint">Leave month empty to download report for all time.</p>
-          </div>
-        </section>
+      const container = document.getElementById('sale-queue-lines');
+      container.innerHTML = '';
+      entries.forEach(function(entry) {
+        const div = document.createElement('div');
+        div.className = 'cart-line' + (entry.error ? ' failed' : '');
+        div.innerHTML =
+          '<span>' + entry.body.sold_at.slice(11, 16) + ' · ' + escapeHtml(entry.label) +
+          (entry.error ? ' · ' + escapeHtml(entry.error) : '') + '</span>' +
+          (entry.error ? '<button class="queue-retry">Retry</button><button class="queue-discard">Discard</button>' : '');
+        if (entry.error) {
+          div.querySelector('.queue-retry').addEventListener('click', async function() {
+            entry.error = null;
+            await saleQueue('readwrite', function(store) { return store.put(entry); });
+            await flushSaleQueue();
+          });
+          div.querySelector('.queue-discard').addEventListener('click', async function() {
+            if (!confirm('Discard this sale? It will not be recorded.')) return;
+            await saleQueue('readwrite', function(store) { return store.delete(entry.key); });
+            await renderSaleQueue();
+          });
+        }
+        container.appendChild(div);
+      });
+      return entries.length;
+    }
 
-        <!-- SETTINGS -->
-        <section id="tab-settings" class="tab">
-          <div class="section-card">
-            <h2>Business Info</h2>
-            <label>
-              Shop name:
-              <input id="settings-shop-name" placeholder="CLOOFY" />
-            </label>
-            <label>
-              Currency:
-              <input id="settings-currency" placeholder="LKR" />
-            </label>
-          </div>
+    // Replays queued sales oldest first. A sale the server rejects (e.g. out of
+    // stock) is parked for the user to retry or discard; anything that looks like
+    // being offline, a server fault or an expired login stops the run for later.
+    async function flushSaleQueue() {
+      if (syncingSales || !currentUser) return;
+      syncingSales = true;
+      let synced = 0;
+      try {
+        const entries = await queuedSales();
+        for (let i = 0; i < entries.length; i++) {
+          const entry = entries[i];
+          if (entry.error) continue;
+          let res;
+          try {
+            res = await postSale(entry);
+          } catch (e) {
+            break;
+          }
+          if (res.status >= 500 || res.status === 401) break;
+          if (res.ok) {
+            await saleQueue('readwrite', function(store) { return store.delete(entry.key); });
+            synced++;
+          } else {
+            const data = await res.json().catch(function() { return {}; });
+            entry.error = data.error || 'HTTP ' + res.status;
+            await saleQueue('readwrite', function(store) { return store.put(entry); });
+          }
+        }
+        await renderSaleQueue();
+      } catch (e) {
+        console.error('Sale sync failed', e);
+      } finally {
+        syncingSales = false;
+      }
+      if (synced) queueLiveRefresh(['dashboard', 'inventory', 'recent', 'drawer']);
+    }
 
-          <div class="section-card">
-            <h2>Daily Targets</h2>
-            <label>
-              Daily target tubs:
-              <input id="settings-target-tubs" type="number" placeholder="80" />
-            </label>
-            <label>
-              Daily target revenue:
-              <input id="settings-target-revenue" type="number" placeholder="24000" />
-            </label>
-            <button id="settings-save">Save Settings</button>
-            <p id="settings-status" class="status"></p>
-          </div>
+    window.addEventListener('online', flushSaleQueue);
+    setInterval(flushSaleQueue, SALE_SYNC_MS);
+    document.getElementById('sale-queue-sync').addEventListener('click', flushSaleQueue);
 
-          <div class="section-card">
-            <h2 style="color:#d93232;">Danger Zone</h2>
-            <button id="reset-all-btn">Reset EVERYTHING</button>
-            <p class="hint">This will clear all sales, inventory logs and data, and reseed defaults.</p>
-          </div>
-        </section>
-      </main>
-    </div>
-  </div>
+    document.getElementById('cart-checkout').addEventListener('click', async function() {
+      const status = document.getElementById('cart-status');
+      status.textContent = '';
+      status.className = 'status';
 
-  <script>
-    // Tab switching
-    const tabs = document.querySelectorAll('nav.tabs button');
-    const sections = document.querySelectorAll('main .tab');
+      if (!cart.length) {
+        status.textContent = 'Add at least one item to the cart.';
+        status.className = 'status error';
+        return;
+      }
+
+      let payments;
+      try {
+        payments = tenderPayments(tenderTotal());
+      } catch (e) {
+        status.textContent = e.message;
+        status.className = 'status error';
+        return;
+      }
 
-    tabs.forEach(function(btn) {
-      btn.addEventListener('click', function() {
-        tabs.forEach(function(b) { b.classList.remove('active'); });
-        sections.forEach(function(s) { s.classList.remove('active'); });
-        btn.classList.add('active');
-        document.getElementById('tab-' + btn.dataset.tab).classList.add('active');
-      });
+      try {
+        const result = await submitSale('/api/orders', {
+          items: cart.map(function(l) { return { product_id: l.product.id, qty: l.qty }; }),
+          payments: payments
+        }, cart.map(function(l) { return l.qty + ' × ' + l.product.name; }).join(', '));
+        if (result.queued) {
+          status.textContent = 'Offline: order saved on this device (' + result.waiting + ' waiting to sync).' +
+            changeText(payments);
+          status.className = 'status success';
+          cart = [];
+          resetTender();
+          renderCart();
+          return;
+        }
+        const res = result.res;
+        const data = result.data;
+        if (!res.ok) {
+          status.textContent = 'Error: ' + (data.error || 'Failed');
+          status.className = 'status error';
+        } else {
+          status.innerHTML = 'Order #' + data.orderId + ' recorded. Total: LKR ' + data.totalPrice +
+            changeText(payments) + ' · ' + receiptLink(data.orderId);
+          status.className = 'status success';
+          cart = [];
+          resetTender();
+          renderCart();
+          if (canUse('manager')) {
+            await loadDashboard();
+            await loadIngredients();
+          }
+          await loadRecentSales();
+          await loadCashDrawer();
+        }
+      } catch (e) {
+        console.error(e);
+        status.textContent = 'Error recording order.';
+        status.className = 'status error';
+      }
     });
 
-    let salesChart = null;
-
-    async function loadDashboard() {
-      const res = await fetch('/api/dashboard/summary');
-      const data = await res.json();
+    async function createSale(product_id, qty) {
+      const status = document.getElementById('sale-status');
+      status.textContent = '';
+      status.className = 'status';
 
-      const currency = data.currency || 'LKR';
+      const product = productsForSale.find(function(p) { return p.id === product_id; });
+      let payments;
+      try {
+        payments = tenderPayments(product ? product.price * qty : 0);
+      } catch (e) {
+        status.textContent = e.message;
+        status.className = 'status error';
+        return;
+      }
 
-      document.getElementById('dash-revenue').textContent =
-        currency + ' ' + Number(data.revenue || 0).toLocaleString();
-      document.getElementById('dash-tubs').textContent = data.total_tubs || 0;
-      document.getElementById('dash-sales-count').textContent = data.sales_count || 0;
+      try {
+        const result = await submitSale('/api/sales', { product_id: product_id, qty: qty, payments: payments },
+          qty + ' × ' + (product ? product.name : 'product #' + product_id));
+        if (result.queued) {
+          status.textContent = 'Offline: sale saved on this device (' + result.waiting + ' waiting to sync).' +
+            changeText(payments);
+          status.className = 'status success';
+          resetTender();
+          return;
+        }
+        const res = result.res;
+        const data = result.data;
+        if (!res.ok) {
+          status.textContent = 'Error: ' + (data.error || 'Failed');
+          status.className = 'status error';
+        } else {
+          status.innerHTML = 'Sale recorded. Total: LKR ' + data.totalPrice + changeText(payments) +
+            ' · ' + receiptLink(data.orderId);
+          status.className = 'status success';
+          resetTender();
+          if (canUse('manager')) {
+            await loadDashboard();
+            await loadIngredients();
+          }
+          await loadRecentSales();
+          await loadCashDrawer();
+        }
+      } catch (e) {
+        console.error(e);
+        status.textContent = 'Error recording sale.';
+        status.className = 'status error';
+      }
+    }
 
-      const shopName = data.shop_name || 'CLOOFY';
-      document.querySelector('.topbar h1').textContent = shopName + ' – Control Panel';
+    document.getElementById('sale-submit').addEventListener('click', async function() {
+      const product_id = Number(document.getElementById('sale-product').value);
+      const qty = Number(document.getElementById('sale-qty').value || 1);
+      const status = document.getElementById('sale-status');
+      status.textContent = '';
+      status.className = 'status';
 
-      const todayTubs = data.today_tubs || 0;
-      const targetTubs = data.daily_target_tubs || 0;
-      const todayRev = data.today_revenue || 0;
-      const targetRev = data.daily_target_revenue || 0;
+      if (!product_id || qty <= 0) {
+        status.textContent = 'Select a product and valid quantity.';
+        status.className = 'status error';
+        return;
+      }
 
-      document.getElementById('dash-today-tubs').textContent =
-        String(todayTubs) + ' / ' + String(targetTubs || 0) + ' tubs';
+      await createSale(product_id, qty);
+    });
 
-      document.getElementById('dash-today-revenue').textContent =
-        currency + ' ' + todayRev.toLocaleString() +
-        ' / ' +
-        currency + ' ' + (targetRev || 0).toLocaleString();
+    async function loadRecentSales() {
+      const res = await fetch('/api/sales/recent');
+      const sales = await res.json();
+      const container = document.getElementById('recent-sales');
+      container.innerHTML = '';
 
-      const lowList = document.getElementById('low-stock-list');
-      lowList.innerHTML = '';
-      if (!data.low_stock || data.low_stock.length === 0) {
-        lowList.innerHTML = '<li>No low stock items 🎉</li>';
-      } else {
-        data.low_stock.forEach(function(ing) {
-          const li = document.createElement('li');
-          li.textContent =
-            ing.name + ' – ' +
-            ing.current_stock + ' ' + ing.unit +
-            ' (reorder at ' + ing.reorder_level + ')';
-          lowList.appendChild(li);
-        });
+      if (!sales.length) {
+        container.textContent = 'No sales yet.';
+        return;
       }
 
-      const resChart = await fetch('/api/dashboard/sales-by-day');
-      const daysData = await resChart.json();
-      const labels = daysData.map(function(r) { return r.day; });
-      const revenue = daysData.map(function(r) { return r.revenue; });
+      sales.forEach(function(s) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        const dateStr = new Date(s.date).toLocaleString();
 
-      const ctx = document.getElementById('salesChart').getContext('2d');
-      if (salesChart) salesChart.destroy();
-      salesChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-          labels: labels,
-          datasets: [{
-            label: 'Revenue (' + currency + ')',
-            data: revenue
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false
+        var inner = '';
+        inner += '<div>';
+        inner += '<strong>' + escapeHtml(s.product_name) + '</strong>';
+        if (s.order_id) inner += ' <span class="hint">Order #' + s.order_id + '</span>';
+        inner += '<br/>';
+        inner += 'Qty: ' + s.qty + ' – Total: LKR ' + s.total_price;
+        if (s.payment_methods) {
+          inner += ' · ' + s.payment_methods.split(',').map(function(m) { return escapeHtml(PAYMENT_LABELS[m] || m); }).join(' + ');
+        }
+        inner += '<br/>';
+        if (s.refunded_qty >= s.qty) {
+          inner += '<span style="color:#d93232;font-size:0.8rem;">Voided</span><br/>';
+        } else if (s.refunded_qty > 0) {
+          inner += '<span style="color:#d93232;font-size:0.8rem;">Refunded ' + s.refunded_qty +
+                   ' (LKR ' + s.refunded_amount + ')</span><br/>';
+        }
+        inner += '<span style="font-size:0.8rem; opacity:0.8;">' + dateStr +
+                 (locationsCache.length > 1 && s.location_name ? ' · ' + escapeHtml(s.location_name) : '') + '</span>';
+        if (s.order_id) {
+          inner += '<br/><span style="font-size:0.8rem;">' + receiptLink(s.order_id) + ' · ' +
+                   '<a href="/api/orders/' + s.order_id + '/receipt.escpos">ESC/POS</a></span>';
+        }
+        inner += '</div>';
+        if (s.refunded_qty < s.qty && canUse('manager')) {
+          inner += '<div><button class="adj-btn void-btn">Void</button></div>';
+        }
+
+        div.innerHTML = inner;
+
+        const voidBtn = div.querySelector('.void-btn');
+        if (voidBtn) {
+          voidBtn.addEventListener('click', async function() {
+            const reason = prompt('Reason for voiding this sale?');
+            if (reason === null) return;
+            const res = await fetch('/api/sales/' + s.id + '/void', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ reason: reason, restock: true })
+            });
+            if (!res.ok) {
+              const data = await res.json();
+              alert('Error: ' + (data.error || 'Failed to void sale'));
+              return;
+            }
+            await loadDashboard();
+            await loadIngredients();
+            await loadRecentSales();
+          });
         }
+
+        container.appendChild(div);
       });
     }
 
-    async function loadIngredients() {
-      const res = await fetch('/api/ingredients');
-      const ingredients = await res.json();
-      const container = document.getElementById('ingredients-list');
-      const totalValEl = document.getElementById('inventory-total-value');
-      container.innerHTML = '';
+    // Reports / PDF
+    document.getElementById('report-download').addEventListener('click', function() {
+      const month = document.getElementById('report-month').value.trim();
+      if (month && !/^\\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        alert('Month must look like 2025-01');
+        return;
+      }
+      // window.open bypasses fetch, so the location goes in the query string
+      const params = [];
+      if (month) params.push('month=' + encodeURIComponent(month));
+      if (currentLocation !== 'all') params.push('location_id=' + currentLocation);
+      window.open('/api/reports/monthly-pdf' + (params.length ? '?' + params.join('&') : ''), '_blank');
+    });
 
-      let totalValue = 0;
+    // Products & recipe editor
+    let editingProductId = null;
 
-      ingredients.forEach(function(ing) {
-        totalValue += ing.current_stock * ing.unit_cost;
+    async function loadProductsAdmin() {
+      const res = await fetch('/api/products?include_archived=1');
+      const products = await res.json();
+      const container = document.getElementById('products-list');
+      container.innerHTML = '';
 
+      products.forEach(function(p) {
         const div = document.createElement('div');
         div.className = 'ingredient-row';
-        const low = ing.current_stock <= ing.reorder_level;
 
         var inner = '';
         inner += '<div>';
-        inner += '<strong>' + ing.name + '</strong><br/>';
-        inner += 'Stock: ' + ing.current_stock + ' ' + ing.unit +
-                 ' (Reorder at ' + ing.reorder_level + ')<br/>';
-        inner += 'Cost per ' + ing.unit + ': LKR ' + ing.unit_cost + '<br/>';
-        inner += '<span style="font-size:0.8rem; opacity:0.8;">';
-        inner += 'Value: LKR ' + (ing.current_stock * ing.unit_cost).toFixed(2);
-        inner += '</span>';
-        if (low) {
-          inner += '<br/><span style="color:#d93232;font-size:0.8rem;">Low stock!</span>';
-        }
+        inner += '<strong>' + escapeHtml(p.name) + '</strong>';
+        if (p.archived) inner += ' <span class="hint">(archived)</span>';
+        inner += '<br/>Price: LKR ' + p.price + '<br/>';
+        inner += '<span style="font-size:0.8rem; opacity:0.8;">Cost per tub: LKR ' +
+                 recipeCost(p.recipe).toFixed(2) + '</span>';
         inner += '</div>';
         inner += '<div>';
-        inner += '<input type="number" step="any" placeholder="Adjust stock (+/-)" class="adj-input" />';
-        inner += '<button class="adj-btn">Apply</button>';
+        inner += '<button class="adj-btn edit-btn">Edit</button>';
+        inner += '<button class="adj-btn archive-btn">' + (p.archived ? 'Restore' : 'Archive') + '</button>';
         inner += '</div>';
-
         div.innerHTML = inner;
 
-        const input = div.querySelector('.adj-input');
-        const button = div.querySelector('.adj-btn');
-        button.addEventListener('click', async function() {
-          const change = Number(input.value);
-          if (!change) return;
-          await fetch('/api/ingredients/' + ing.id + '/adjust', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ change: change, reason: 'Manual adjust' })
-          });
-          await loadIngredients();
-          await loadDashboard();
+        div.querySelector('.edit-btn').addEventListener('click', function() {
+          openProductEditor(p);
+        });
+        div.querySelector('.archive-btn').addEventListener('click', async function() {
+          const action = p.archived ? 'unarchive' : 'archive';
+          const res = await fetch('/api/products/' + p.id + '/' + action, { method: 'POST' });
+          if (!res.ok) {
+            const data = await res.json();
+            alert('Error: ' + (data.error || 'Failed'));
+            return;
+          }
+          await loadProductsAdmin();
+          await loadProductsForSales();
         });
-
         container.appendChild(div);
       });
+    }
 
-      totalValEl.textContent =
-        'Total inventory value (approx): LKR ' + totalValue.toFixed(2);
+    function recipeCost(recipe) {
+      return recipe.reduce(function(sum, item) {
+        const ing = ingredientsCache.find(function(i) { return i.id === Number(item.ingredientId); });
+        return sum + (ing ? ing.unit_cost * Number(item.qty || 0) * unitFactor(ing, item.unit) : 0);
+      }, 0);
     }
 
-    document.getElementById('ing-add').addEventListener('click', async function() {
-      const name = document.getElementById('ing-name').value;
-      const unit = document.getElementById('ing-unit').value;
-      const stock = Number(document.getElementById('ing-stock').value || 0);
-      const reorder = Number(document.getElementById('ing-reorder').value || 0);
-      const cost = Number(document.getElementById('ing-cost').value || 0);
+    function addRecipeRow(item) {
+      const row = document.createElement('div');
+      row.className = 'recipe-row';
 
-      if (!name || !unit) {
-        alert('Name and unit are required');
-        return;
+      const select = document.createElement('select');
+      ingredientsCache.forEach(function(ing) {
+        const opt = document.createElement('option');
+        opt.value = ing.id;
+        opt.textContent = ing.name + ' (' + ing.unit + ')';
+        select.appendChild(opt);
+      });
+      if (item) select.value = item.ingredientId;
+
+      const qty = document.createElement('input');
+      qty.type = 'number';
+      qty.step = 'any';
+      qty.min = '0';
+      qty.placeholder = 'Qty';
+      if (item) qty.value = item.qty;
+
+      const unit = document.createElement('select');
+      unit.className = 'recipe-unit';
+      function fillUnits() {
+        const ing = ingredientsCache.find(function(i) { return i.id === Number(select.value); });
+        if (ing) fillUnitSelect(unit, ing);
       }
+      fillUnits();
 
-      await fetch('/api/ingredients', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name: name,
-          unit: unit,
-          current_stock: stock,
-          reorder_level: reorder,
-          unit_cost: cost
-        })
+      const remove = document.createElement('button');
+      remove.textContent = '✕';
+      remove.addEventListener('click', function() {
+        row.remove();
+        updateRecipeCost();
       });
 
-      document.getElementById('ing-name').value = '';
-      document.getElementById('ing-unit').value = '';
-      document.getElementById('ing-stock').value = '';
-      document.getElementById('ing-reorder').value = '';
-      document.getElementById('ing-cost').value = '';
-
-      await loadIngredients();
-      await loadDashboard();
-    });
-
-    async function loadProductsForSales() {
-      const res = await fetch('/api/products');
-      const products = await res.json();
+      select.addEventListener('change', function() {
+        fillUnits();
+        updateRecipeCost();
+      });
+      qty.addEventListener('input', updateRecipeCost);
+      unit.addEventListener('change', updateRecipeCost);
+
+      row.appendChild(select);
+      row.appendChild(qty);
+      row.appendChild(unit);
+      row.appendChild(remove);
+      document.getElementById('recipe-rows').appendChild(row);
+      updateRecipeCost();
+    }
 
-      const select = document.getElementById('sale-product');
-      const cardsContainer = document.getElementById('product-cards');
-      select.innerHTML = '';
-      cardsContainer.innerHTML = '';
+    function readRecipe() {
+      const rows = document.querySelectorAll('#recipe-rows .recipe-row');
+      return Array.prototype.map.call(rows, function(row) {
+        return {
+          ingredientId: Number(row.querySelector('select').value),
+          qty: Number(row.querySelector('input').value || 0),
+          unit: row.querySelector('.recipe-unit').value
+        };
+      });
+    }
 
-      products.forEach(function(p) {
-        var opt = document.createElement('option');
-        opt.value = p.id;
-        opt.textContent = p.name + ' (LKR ' + p.price + ')';
-        select.appendChild(opt);
+    function updateRecipeCost() {
+      const cost = recipeCost(readRecipe());
+      const price = Number(document.getElementById('prod-price').value || 0);
+      var text = 'Cost per tub: LKR ' + cost.toFixed(2);
+      if (price > 0) {
+        text += ' · Margin: ' + (((price - cost) / price) * 100).toFixed(1) + '%';
+      }
+      document.getElementById('recipe-cost').textContent = text;
+    }
 
-        var card = document.createElement('div');
-        card.className = 'card';
-        card.style.cursor = 'pointer';
-        card.innerHTML =
-          '<h3>' + p.name + '</h3>' +
-          '<p>LKR ' + p.price + '</p>' +
-          '<p style="font-size:0.8rem; opacity:0.8;">Tap to add 1 sale</p>';
-        card.addEventListener('click', function() {
-          createSale(p.id, 1);
-        });
-        cardsContainer.appendChild(card);
-      });
+    function openProductEditor(product) {
+      editingProductId = product ? product.id : null;
+      document.getElementById('product-editor-title').textContent =
+        product ? 'Edit ' + product.name : 'New Product';
+      document.getElementById('prod-name').value = product ? product.name : '';
+      document.getElementById('prod-price').value = product ? product.price : '';
+      document.getElementById('recipe-rows').innerHTML = '';
+      document.getElementById('product-status').textContent = '';
+      (product ? product.recipe : [null]).forEach(addRecipeRow);
+      document.getElementById('product-editor').classList.remove('hidden');
     }
 
-    async function createSale(product_id, qty) {
-      const status = document.getElementById('sale-status');
+    document.getElementById('product-new').addEventListener('click', function() {
+      openProductEditor(null);
+    });
+    document.getElementById('recipe-add-row').addEventListener('click', function() {
+      addRecipeRow(null);
+    });
+    document.getElementById('prod-price').addEventListener('input', updateRecipeCost);
+    document.getElementById('product-cancel').addEventListener('click', function() {
+      document.getElementById('product-editor').classList.add('hidden');
+    });
+
+    document.getElementById('product-save').addEventListener('click', async function() {
+      const status = document.getElementById('product-status');
       status.textContent = '';
       status.className = 'status';
 
+      const body = {
+        name: document.getElementById('prod-name').value.trim(),
+        price: Number(document.getElementById('prod-price').value),
+        recipe: readRecipe()
+      };
+
       try {
-        const res = await fetch('/api/sales', {
-          method: 'POST',
+        const res = await fetch(editingProductId ? '/api/products/' + editingProductId : '/api/products', {
+          method: editingProductId ? 'PUT' : 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ product_id: product_id, qty: qty })
+          body: JSON.stringify(body)
         });
         const data = await res.json();
         if (!res.ok) {
           status.textContent = 'Error: ' + (data.error || 'Failed');
           status.className = 'status error';
-        } else {
-          status.textContent = 'Sale recorded. Total: LKR ' + data.totalPrice;
-          status.className = 'status success';
-          await loadDashboard();
-          await loadIngredients();
-          await loadRecentSales();
+          return;
         }
+        document.getElementById('product-editor').classList.add('hidden');
+        await loadProductsAdmin();
+        await loadProductsForSales();
       } catch (e) {
         console.error(e);
-        status.textContent = 'Error recording sale.';
+        status.textContent = 'Error saving product.';
         status.className = 'status error';
       }
+    });
+
+    // Purchasing: suppliers and purchase orders
+    async function loadSuppliers() {
+      const res = await fetch('/api/suppliers');
+      const suppliers = await res.json();
+      const list = document.getElementById('suppliers-list');
+      const select = document.getElementById('po-supplier');
+      list.innerHTML = '';
+      select.innerHTML = '<option value="">(no supplier)</option>';
+
+      suppliers.forEach(function(s) {
+        const opt = document.createElement('option');
+        opt.value = s.id;
+        opt.textContent = s.name;
+        select.appendChild(opt);
+
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>' + escapeHtml(s.name) + '</strong><br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">' +
+          escapeHtml([s.phone, s.email].filter(Boolean).join(' · ')) + '</span></div>';
+        list.appendChild(div);
+      });
     }
 
-    document.getElementById('sale-submit').addEventListener('click', async function() {
-      const product_id = Number(document.getElementById('sale-product').value);
-      const qty = Number(document.getElementById('sale-qty').value || 1);
-      const status = document.getElementById('sale-status');
+    document.getElementById('sup-add').addEventListener('click', async function() {
+      const name = document.getElementById('sup-name').value.trim();
+      if (!name) {
+        alert('Supplier name is required');
+        return;
+      }
+      await fetch('/api/suppliers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: name,
+          phone: document.getElementById('sup-phone').value.trim(),
+          email: document.getElementById('sup-email').value.trim()
+        })
+      });
+      document.getElementById('sup-name').value = '';
+      document.getElementById('sup-phone').value = '';
+      document.getElementById('sup-email').value = '';
+      await loadSuppliers();
+    });
+
+    async function poAction(url, body) {
+      const status = document.getElementById('po-status');
       status.textContent = '';
       status.className = 'status';
 
-      if (!product_id || qty <= 0) {
-        status.textContent = 'Select a product and valid quantity.';
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed');
         status.className = 'status error';
+        return false;
+      }
+      await loadPurchaseOrders();
+      return true;
+    }
+
+    document.getElementById('po-draft-forecast').addEventListener('click', async function() {
+      const supplierId = document.getElementById('po-supplier').value;
+      const res = await fetch('/api/inventory/forecast');
+      const forecast = await res.json();
+      const items = forecast.items
+        .filter(function(f) { return f.status !== 'ok' && f.suggested_qty > 0; })
+        .map(function(f) { return { ingredient_id: f.ingredient_id, qty: f.suggested_qty }; });
+      if (!items.length) {
+        const status = document.getElementById('po-status');
+        status.textContent = 'Nothing needs ordering in the next week.';
+        status.className = 'status success';
         return;
       }
+      await poAction('/api/purchase-orders', {
+        supplier_id: supplierId ? Number(supplierId) : null,
+        items: items,
+        notes: 'Drafted from stock-out forecast'
+      });
+    });
 
-      await createSale(product_id, qty);
+    document.getElementById('po-draft').addEventListener('click', async function() {
+      const supplierId = document.getElementById('po-supplier').value;
+      await poAction('/api/purchase-orders/draft', {
+        supplier_id: supplierId ? Number(supplierId) : null
+      });
     });
 
-    async function loadRecentSales() {
-      const res = await fetch('/api/sales/recent');
-      const sales = await res.json();
-      const container = document.getElementById('recent-sales');
+    async function loadPurchaseOrders() {
+      const res = await fetch('/api/purchase-orders');
+      const orders = await res.json();
+      const container = document.getElementById('po-list');
       container.innerHTML = '';
 
-      if (!sales.length) {
-        container.textContent = 'No sales yet.';
+      if (!orders.length) {
+        container.innerHTML = '<p class="hint">No purchase orders yet.</p>';
         return;
       }
 
-      sales.forEach(function(s) {
+      for (const summary of orders) {
+        const poRes = await fetch('/api/purchase-orders/' + summary.id);
+        const po = await poRes.json();
+        const receivable = po.status === 'sent' || po.status === 'partial';
+
         const div = document.createElement('div');
         div.className = 'ingredient-row';
-        const dateStr = new Date(s.date).toLocaleString();
+        div.style.gridTemplateColumns = '1fr';
 
         var inner = '';
-        inner += '<div>';
-        inner += '<strong>' + s.product_name + '</strong><br/>';
-        inner += 'Qty: ' + s.qty + ' – Total: LKR ' + s.total_price + '<br/>';
-        inner += '<span style="font-size:0.8rem; opacity:0.8;">' + dateStr + '</span>';
+        inner += '<div><strong>PO #' + po.id + '</strong> · ' + po.status +
+                 (po.supplier_name ? ' · ' + escapeHtml(po.supplier_name) : '') +
+                 (po.location_name ? ' · for ' + escapeHtml(po.location_name) : '') +
+                 ' · LKR ' + Number(po.total_cost || 0).toFixed(2) + '</div>';
+        po.items.forEach(function(item) {
+          const outstanding = item.qty_ordered - item.qty_received;
+          inner += '<div class="recipe-row" data-item="' + item.id + '">';
+          inner += '<span style="font-size:0.85rem;">' + escapeHtml(item.ingredient_name) + ': ' +
+                   item.qty_received + ' / ' + item.qty_ordered + ' ' + escapeHtml(item.unit) +
+                   ' @ LKR ' + item.unit_cost + '</span>';
+          if (receivable && outstanding > 0) {
+            inner += '<input type="number" step="any" class="rcv-qty" value="' + outstanding + '" />';
+            inner += '<select class="rcv-unit"></select>';
+            inner += '<input type="number" step="any" class="rcv-cost" value="' + item.unit_cost + '" />';
+          }
+          inner += '</div>';
+        });
+        inner += '<div class="button-row">';
+        if (po.status === 'draft') inner += '<button class="adj-btn send-btn">Mark Sent</button>';
+        if (receivable) inner += '<button class="adj-btn receive-btn">Receive</button>';
+        if (po.status === 'draft' || po.status === 'sent') {
+          inner += '<button class="adj-btn cancel-btn">Cancel</button>';
+        }
         inner += '</div>';
-
         div.innerHTML = inner;
+
+        // Switching the receive unit rescales the outstanding qty and the cost per unit
+        po.items.forEach(function(item) {
+          const row = div.querySelector('[data-item="' + item.id + '"]');
+          const unitSelect = row.querySelector('.rcv-unit');
+          const ing = ingredientsCache.find(function(i) { return i.id === item.ingredient_id; });
+          if (!unitSelect || !ing) return;
+          row.style.gridTemplateColumns = 'minmax(0, 2fr) repeat(3, minmax(0, 1fr))';
+          fillUnitSelect(unitSelect, ing);
+          unitSelect.addEventListener('change', function() {
+            const factor = unitFactor(ing, unitSelect.value);
+            row.querySelector('.rcv-qty').value = Number(((item.qty_ordered - item.qty_received) / factor).toFixed(3));
+            row.querySelector('.rcv-cost').value = Number((item.unit_cost * factor).toFixed(4));
+          });
+        });
+
+        const sendBtn = div.querySelector('.send-btn');
+        if (sendBtn) {
+          sendBtn.addEventListener('click', function() {
+            poAction('/api/purchase-orders/' + po.id + '/send');
+          });
+        }
+        const cancelBtn = div.querySelector('.cancel-btn');
+        if (cancelBtn) {
+          cancelBtn.addEventListener('click', function() {
+            if (!confirm('Cancel PO #' + po.id + '?')) return;
+            poAction('/api/purchase-orders/' + po.id + '/cancel');
+          });
+        }
+        const receiveBtn = div.querySelector('.receive-btn');
+        if (receiveBtn) {
+          receiveBtn.addEventListener('click', async function() {
+            const items = [];
+            div.querySelectorAll('[data-item]').forEach(function(row) {
+              const qty = row.querySelector('.rcv-qty');
+              if (!qty) return;
+              items.push({
+                item_id: Number(row.dataset.item),
+                qty: Number(qty.value || 0),
+                unit: row.querySelector('.rcv-unit').value,
+                unit_cost: Number(row.querySelector('.rcv-cost').value || 0)
+              });
+            });
+            if (await poAction('/api/purchase-orders/' + po.id + '/receive', { items: items })) {
+              await loadIngredients();
+              await loadDashboard();
+            }
+          });
+        }
+        container.appendChild(div);
+      }
+    }
+
+    // Activity (audit trail)
+    async function loadAudit() {
+      const params = new URLSearchParams();
+      ['entity', 'actor', 'from', 'to'].forEach(function(key) {
+        const value = document.getElementById('audit-' + key).value.trim();
+        if (value) params.set(key, value);
+      });
+
+      const res = await fetch('/api/audit?' + params.toString());
+      const events = await res.json();
+      const container = document.getElementById('audit-list');
+      container.innerHTML = '';
+
+      if (!events.length) {
+        container.textContent = 'No activity found.';
+        return;
+      }
+
+      events.forEach(function(ev) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.style.gridTemplateColumns = '1fr';
+
+        const title = document.createElement('div');
+        title.innerHTML =
+          '<strong>' + escapeHtml(ev.action) + ' ' + escapeHtml(ev.entity) + (ev.entity_id ? ' #' + escapeHtml(ev.entity_id) : '') + '</strong>' +
+          '<br/><span style="font-size:0.8rem; opacity:0.8;">' +
+          new Date(ev.date).toLocaleString() + ' · ' + escapeHtml(ev.actor || 'system') + '</span>';
+        div.appendChild(title);
+
+        if (ev.before || ev.after) {
+          const details = document.createElement('p');
+          details.className = 'audit-json';
+          details.textContent =
+            (ev.before ? 'Before: ' + JSON.stringify(ev.before) + '\\n' : '') +
+            (ev.after ? 'After: ' + JSON.stringify(ev.after) : '');
+          div.appendChild(details);
+        }
         container.appendChild(div);
       });
     }
 
-    // Reports / PDF
-    document.getElementById('report-download').addEventListener('click', function() {
-      const month = document.getElementById('report-month').value.trim();
-      const url = month
-        ? '/api/reports/monthly-pdf?month=' + encodeURIComponent(month)
-        : '/api/reports/monthly-pdf';
-      window.open(url, '_blank');
+    document.getElementById('audit-load').addEventListener('click', loadAudit);
+
+    document.querySelectorAll('.export-btn').forEach(function(btn) {
+      btn.addEventListener('click', function() {
+        const params = new URLSearchParams();
+        const from = document.getElementById('export-from').value;
+        const to = document.getElementById('export-to').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        const query = params.toString();
+        window.open('/api/export/' + btn.dataset.export + '.csv' + (query ? '?' + query : ''), '_blank');
+      });
+    });
+
+    // CSV import: preview (dry run) first, then import everything in one go
+    const IMPORT_HINTS = {
+      ingredients: 'Columns: name, unit, current_stock, reorder_level, unit_cost, par_level',
+      products: 'Columns: name, price, ingredient_1, qty_1, unit_1 (optional), ingredient_2, qty_2, ... (ingredient names)',
+      sales: 'Columns: date (YYYY-MM-DD), product, qty, total_price (optional), location (optional). Stock is not deducted.'
+    };
+
+    function setupImporter(prefix, getType) {
+      const result = document.getElementById(prefix + '-result');
+
+      async function send(dryRun) {
+        const file = document.getElementById(prefix + '-file').files[0];
+        result.innerHTML = '';
+        if (!file) {
+          result.innerHTML = '<p class="status error">Choose a CSV file first.</p>';
+          return;
+        }
+
+        const type = getType();
+        const res = await fetch('/api/import/' + type + (dryRun ? '?dry_run=1' : ''), {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/csv' },
+          body: await file.text()
+        });
+        const data = await res.json();
+
+        const status = document.createElement('p');
+        if (data.error) {
+          status.className = 'status error';
+          status.textContent = 'Error: ' + data.error;
+        } else if (data.imported) {
+          status.className = 'status success';
+          status.textContent = 'Imported ' + data.imported + ' ' + type + '.';
+        } else {
+          status.className = 'status ' + (data.errors.length ? 'error' : 'success');
+          status.textContent = data.valid + ' of ' + data.total + ' rows are valid' +
+            (data.errors.length ? '; fix the errors below before importing.' : '. Ready to import.');
+        }
+        result.appendChild(status);
+
+        const list = document.createElement('ul');
+        (data.errors || []).forEach(function(err) {
+          const li = document.createElement('li');
+          li.textContent = 'Row ' + err.row + ': ' + err.error;
+          list.appendChild(li);
+        });
+        if (dryRun) {
+          (data.preview || []).forEach(function(row) {
+            const li = document.createElement('li');
+            li.textContent = JSON.stringify(row);
+            list.appendChild(li);
+          });
+        }
+        result.appendChild(list);
+
+        if (data.imported) {
+          await loadIngredients();
+          await loadProductsAdmin();
+          await loadProductsForSales();
+          await loadDashboard();
+        }
+      }
+
+      document.getElementById(prefix + '-preview').addEventListener('click', function() { send(true); });
+      document.getElementById(prefix + '-commit').addEventListener('click', function() { send(false); });
+    }
+
+    setupImporter('inv-import', function() { return 'ingredients'; });
+    setupImporter('settings-import', function() {
+      return document.getElementById('settings-import-type').value;
     });
 
+    const importTypeSelect = document.getElementById('settings-import-type');
+    function updateImportHint() {
+      document.getElementById('settings-import-hint').textContent = IMPORT_HINTS[importTypeSelect.value];
+    }
+    importTypeSelect.addEventListener('change', updateImportHint);
+    updateImportHint();
+
     // Settings
     async function loadSettings() {
       const res = await fetch('/api/settings');
@@ -1336,14 +8749,40 @@ const htmlPage = `
       document.getElementById('settings-currency').value = data.currency || 'LKR';
       document.getElementById('settings-target-tubs').value = data.daily_target_tubs || '';
       document.getElementById('settings-target-revenue').value = data.daily_target_revenue || '';
+      document.getElementById('settings-lead-days').value = data.forecast_lead_days || '3';
+      document.getElementById('settings-cover-days').value = data.forecast_cover_days || '14';
+      document.getElementById('settings-backup-interval').value = data.backup_interval_hours || '24';
+      document.getElementById('settings-backup-retention').value = data.backup_retention || '7';
+      document.getElementById('settings-snapshot-days').value = data.snapshot_retention_days || '14';
+      document.getElementById('settings-receipt-width').value = data.receipt_width === '58' ? '58' : '80';
+      document.getElementById('settings-receipt-header').value = data.receipt_header || '';
+      document.getElementById('settings-receipt-footer').value =
+        data.receipt_footer == null ? 'Thank you!' : data.receipt_footer;
     }
 
+    document.getElementById('receipt-settings-save').addEventListener('click', async function() {
+      const status = document.getElementById('receipt-settings-status');
+      const res = await fetch('/api/settings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          receipt_width: document.getElementById('settings-receipt-width').value,
+          receipt_header: document.getElementById('settings-receipt-header').value.trim(),
+          receipt_footer: document.getElementById('settings-receipt-footer').value.trim()
+        })
+      });
+      status.textContent = res.ok ? 'Receipt settings saved' : 'Failed to save receipt settings';
+      status.className = 'status ' + (res.ok ? 'success' : 'error');
+    });
+
     document.getElementById('settings-save').addEventListener('click', async function() {
       const body = {
         shop_name: document.getElementById('settings-shop-name').value.trim(),
         currency: document.getElementById('settings-currency').value.trim(),
         daily_target_tubs: document.getElementById('settings-target-tubs').value.trim(),
-        daily_target_revenue: document.getElementById('settings-target-revenue').value.trim()
+        daily_target_revenue: document.getElementById('settings-target-revenue').value.trim(),
+        forecast_lead_days: document.getElementById('settings-lead-days').value.trim(),
+        forecast_cover_days: document.getElementById('settings-cover-days').value.trim()
       };
       const status = document.getElementById('settings-status');
       status.textContent = '';
@@ -1370,34 +8809,322 @@ const htmlPage = `
       }
     });
 
+    // Reset (owner only): the server checks the typed phrase for the chosen scope
+    var resetScopes = [];
+
+    async function loadResetScopes() {
+      const res = await fetch('/api/reset-scopes');
+      resetScopes = await res.json();
+      const select = document.getElementById('reset-scope');
+      select.innerHTML = '';
+      resetScopes.forEach(function(s) {
+        const opt = document.createElement('option');
+        opt.value = s.scope;
+        opt.textContent = s.label;
+        select.appendChild(opt);
+      });
+      renderResetHint();
+    }
+
+    function renderResetHint() {
+      const scope = document.getElementById('reset-scope').value;
+      const info = resetScopes.find(function(s) { return s.scope === scope; });
+      document.getElementById('reset-scope-hint').innerHTML = info
+        ? escapeHtml(info.description) + '<br/>Type <strong>' + escapeHtml(info.phrase) + '</strong> to confirm.'
+        : '';
+    }
+
+    document.getElementById('reset-scope').addEventListener('change', renderResetHint);
+
     document.getElementById('reset-all-btn').addEventListener('click', async function() {
-      if (!confirm('Are you sure you want to reset EVERYTHING? This will delete all sales, inventory logs and data.')) {
-        return;
-      }
+      const status = document.getElementById('reset-status');
+      status.textContent = '';
+      status.className = 'status';
+
       try {
-        const res = await fetch('/api/reset-all', { method: 'POST' });
+        const res = await fetch('/api/reset-all', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            scope: document.getElementById('reset-scope').value,
+            confirm: document.getElementById('reset-confirm').value
+          })
+        });
+        const data = await res.json();
         if (!res.ok) {
-          alert('Failed to reset system.');
+          status.textContent = 'Error: ' + (data.error || 'Failed to reset system');
+          status.className = 'status error';
           return;
         }
-        alert('System reset. Everything is back to defaults.');
+        document.getElementById('reset-confirm').value = '';
+        status.textContent = 'Reset done. Snapshot saved as ' + data.snapshot;
+        status.className = 'status success';
         await loadDashboard();
         await loadIngredients();
         await loadProductsForSales();
+        await loadProductsAdmin();
+        await loadSuppliers();
+        await loadPurchaseOrders();
+        cart = [];
+        renderCart();
         await loadRecentSales();
         await loadSettings();
+        await loadBackups();
       } catch (e) {
         console.error(e);
-        alert('Error resetting system.');
+        status.textContent = 'Error resetting system.';
+        status.className = 'status error';
       }
     });
 
-    (async function init() {
-      await loadDashboard();
+    // Users (owner only)
+    async function loadUsers() {
+      const res = await fetch('/api/users');
+      const users = await res.json();
+      const container = document.getElementById('users-list');
+      container.innerHTML = '';
+
+      users.forEach(function(u) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+
+        var inner = '';
+        inner += '<div>';
+        inner += '<strong>' + escapeHtml(u.username) + '</strong><br/>';
+        inner += '<span style="font-size:0.8rem; opacity:0.8;">' + escapeHtml(u.role) + '</span>';
+        inner += '</div>';
+        if (u.id !== currentUser.id) {
+          inner += '<div><button class="adj-btn">Remove</button></div>';
+        }
+        div.innerHTML = inner;
+
+        const removeBtn = div.querySelector('.adj-btn');
+        if (removeBtn) {
+          removeBtn.addEventListener('click', async function() {
+            if (!confirm('Remove user ' + u.username + '?')) return;
+            await fetch('/api/users/' + u.id, { method: 'DELETE' });
+            await loadUsers();
+          });
+        }
+        container.appendChild(div);
+      });
+    }
+
+    async function loadLocationsAdmin() {
+      const res = await fetch('/api/locations?include_archived=1');
+      const locations = await res.json();
+      const container = document.getElementById('locations-list');
+      container.innerHTML = '';
+
+      locations.forEach(function(l) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+        div.innerHTML =
+          '<div><strong>' + escapeHtml(l.name) + '</strong>' + (l.archived ? ' (archived)' : '') + '<br/>' +
+          '<span style="font-size:0.8rem; opacity:0.8;">Stock value: LKR ' + l.stock_value.toFixed(2) + '</span></div>' +
+          '<div><button class="adj-btn rename-btn">Rename</button>' +
+          '<button class="adj-btn archive-btn">' + (l.archived ? 'Restore' : 'Archive') + '</button></div>';
+
+        div.querySelector('.rename-btn').addEventListener('click', function() {
+          const name = prompt('New name for ' + l.name, l.name);
+          if (name && name.trim() !== l.name) updateLocation(l.id, { name: name.trim() });
+        });
+        div.querySelector('.archive-btn').addEventListener('click', function() {
+          updateLocation(l.id, { archived: !l.archived });
+        });
+        container.appendChild(div);
+      });
+    }
+
+    async function updateLocation(id, changes) {
+      const status = document.getElementById('locations-status');
+      const res = await fetch('/api/locations/' + id, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed to update location');
+        status.className = 'status error';
+        return;
+      }
+      status.textContent = '';
+      await loadLocationsAdmin();
+      await loadLocations();
+    }
+
+    document.getElementById('location-add').addEventListener('click', async function() {
+      const status = document.getElementById('locations-status');
+      status.textContent = '';
+      status.className = 'status';
+
+      const res = await fetch('/api/locations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: document.getElementById('location-name').value.trim() })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed to add location');
+        status.className = 'status error';
+        return;
+      }
+      document.getElementById('location-name').value = '';
+      status.textContent = 'Location added.';
+      status.className = 'status success';
+      await loadLocationsAdmin();
+      await loadLocations();
       await loadIngredients();
-      await loadProductsForSales();
-      await loadRecentSales();
-      await loadSettings();
+    });
+
+    document.getElementById('user-add').addEventListener('click', async function() {
+      const status = document.getElementById('users-status');
+      status.textContent = '';
+      status.className = 'status';
+
+      const res = await fetch('/api/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('user-name').value.trim(),
+          password: document.getElementById('user-password').value,
+          role: document.getElementById('user-role').value
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = 'Error: ' + (data.error || 'Failed');
+        status.className = 'status error';
+        return;
+      }
+      document.getElementById('user-name').value = '';
+      document.getElementById('user-password').value = '';
+      status.textContent = 'User added';
+      status.className = 'status success';
+      await loadUsers();
+    });
+
+    // Backups (owner only)
+    function setBackupStatus(text, ok) {
+      const status = document.getElementById('backups-status');
+      status.textContent = text;
+      status.className = 'status ' + (ok ? 'success' : 'error');
+    }
+
+    async function loadBackups() {
+      const res = await fetch('/api/backups');
+      const backups = await res.json();
+      const container = document.getElementById('backups-list');
+      container.innerHTML = '';
+
+      if (!backups.length) {
+        container.innerHTML = '<p class="hint">No local backups yet.</p>';
+        return;
+      }
+      backups.forEach(function(b) {
+        const div = document.createElement('div');
+        div.className = 'ingredient-row';
+
+        var inner = '';
+        inner += '<div>';
+        inner += '<strong>' + escapeHtml(b.name) + '</strong><br/>';
+        inner += '<span style="font-size:0.8rem; opacity:0.8;">' + new Date(b.created_at).toLocaleString() +
+          ' · ' + (b.size / 1024).toFixed(0) + ' KB</span>';
+        inner += '</div>';
+        inner += '<div>';
+        inner += '<button class="adj-btn backup-download">Download</button>';
+        inner += '<button class="adj-btn backup-restore">Restore</button>';
+        inner += '</div>';
+        div.innerHTML = inner;
+
+        div.querySelector('.backup-download').addEventListener('click', function() {
+          window.location.href = '/api/backups/' + encodeURIComponent(b.name);
+        });
+        div.querySelector('.backup-restore').addEventListener('click', async function() {
+          if (!confirm('Restore ' + b.name + '? ALL current data will be replaced.')) return;
+          const res = await fetch('/api/backups/' + encodeURIComponent(b.name) + '/restore', { method: 'POST' });
+          const data = await res.json();
+          if (!res.ok) {
+            setBackupStatus('Error: ' + (data.error || 'Failed'), false);
+            return;
+          }
+          alert('Backup restored. Safety copy of the previous data: ' + data.safety_backup);
+          window.location.reload();
+        });
+        container.appendChild(div);
+      });
+    }
+
+    document.getElementById('backup-settings-save').addEventListener('click', async function() {
+      const res = await fetch('/api/settings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          backup_interval_hours: document.getElementById('settings-backup-interval').value.trim(),
+          backup_retention: document.getElementById('settings-backup-retention').value.trim(),
+          snapshot_retention_days: document.getElementById('settings-snapshot-days').value.trim()
+        })
+      });
+      setBackupStatus(res.ok ? 'Backup settings saved' : 'Failed to save backup settings', res.ok);
+    });
+
+    document.getElementById('backup-now').addEventListener('click', async function() {
+      const res = await fetch('/api/backups', { method: 'POST' });
+      const data = await res.json();
+      setBackupStatus(res.ok ? 'Backup written: ' + data.name : 'Error: ' + (data.error || 'Failed'), res.ok);
+      await loadBackups();
+    });
+
+    document.getElementById('download-backup-btn').addEventListener('click', function() {
+      window.location.href = '/api/backup';
+    });
+
+    document.getElementById('restore-btn').addEventListener('click', async function() {
+      const file = document.getElementById('restore-file').files[0];
+      if (!file) {
+        setBackupStatus('Choose a backup file first', false);
+        return;
+      }
+      if (!confirm('Restore ' + file.name + '? ALL current data will be replaced.')) return;
+
+      const res = await fetch('/api/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setBackupStatus('Error: ' + (data.error || 'Failed') +
+          (data.problems ? ' (' + data.problems.join('; ') + ')' : ''), false);
+        return;
+      }
+      alert('Backup restored. Safety copy of the previous data: ' + data.safety_backup);
+      window.location.reload();
+    });
+
+    (async function init() {
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(function(e) {
+          console.error('Service worker registration failed', e);
+        });
+      }
+      let data;
+      try {
+        const res = await fetch('/api/auth/me');
+        data = await res.json();
+      } catch (e) {
+        // Offline: carry on as whoever signed in last on this device, until they log out
+        data = { user: JSON.parse(localStorage.getItem('cloofy_user') || 'null') };
+      }
+      setupRequired = data.setup_required;
+      if (!data.user) {
+        showLogin();
+        return;
+      }
+      currentUser = data.user;
+      localStorage.setItem('cloofy_user', JSON.stringify(currentUser));
+      await startApp();
     })();
   </script>
 </body>
@@ -1408,7 +9135,107 @@ app.get('/', (req, res) => {
   res.send(htmlPage);
 });
 
-// ---------- START SERVER ----------
-app.listen(PORT, () => {
-  console.log('CLOOFY system running at http://localhost:' + PORT);
+// ---------- PWA (MANIFEST + SERVICE WORKER) ----------
+// The page installs as an app and the Record Sale tab keeps working offline:
+// the service worker serves the shell and the data it needs from cache, and the
+// page queues sales in IndexedDB until they can be replayed to POST /api/sales.
+const APP_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+  <rect width="512" height="512" rx="96" fill="#ff7eb3"/>
+  <g fill="#fff">
+    <circle cx="190" cy="280" r="90"/>
+    <circle cx="290" cy="230" r="110"/>
+    <circle cx="360" cy="300" r="70"/>
+    <rect x="110" y="290" width="300" height="80" rx="40"/>
+  </g>
+</svg>`;
+
+const APP_MANIFEST = {
+  name: 'CLOOFY Dashboard',
+  short_name: 'CLOOFY',
+  start_url: '/',
+  scope: '/',
+  display: 'standalone',
+  background_color: '#ffeef7',
+  theme_color: '#ff7eb3',
+  icons: [{ src: '/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }]
+};
+
+// Bump CACHE when the shell changes shape so old copies are dropped on activate.
+const SERVICE_WORKER = `
+const CACHE = 'cloofy-v2';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+// Exact URLs the Record Sale tab needs to start without a network. Who is signed in
+// is never cached: the page remembers that itself and forgets it on logout.
+const CACHED_API = ['/api/products', '/api/locations', '/api/units'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
 });
+
+// Network first so an online till always sees fresh prices; the cache is only a fallback.
+// Sales themselves are never cached or retried here: the page owns the offline queue.
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  const sameOrigin = url.origin === self.location.origin;
+  const cacheable = req.mode === 'navigate' ||
+    (sameOrigin && SHELL.includes(url.pathname)) ||
+    (sameOrigin && !url.search && CACHED_API.includes(url.pathname)) ||
+    url.hostname === 'cdn.jsdelivr.net';
+  if (!cacheable) return;
+
+  event.respondWith(
+    fetch(req)
+      .then((res) => {
+        if (res.ok || res.type === 'opaque') {
+          const copy = res.clone();
+          caches.open(CACHE).then((cache) => cache.put(req, copy));
+        }
+        return res;
+      })
+      .catch(() => caches.match(req).then((hit) => hit || (req.mode === 'navigate' ? caches.match('/') : Response.error())))
+  );
+});
+`;
+
+app.get('/manifest.webmanifest', (req, res) => {
+  res.type('application/manifest+json').send(JSON.stringify(APP_MANIFEST));
+});
+
+app.get('/icon.svg', (req, res) => {
+  res.type('image/svg+xml').send(APP_ICON);
+});
+
+app.get('/sw.js', (req, res) => {
+  // Browsers revalidate the worker themselves, but never let a proxy pin an old one
+  res.set('Cache-Control', 'no-cache');
+  res.type('application/javascript').send(SERVICE_WORKER);
+});
+
+// ---------- START SERVER ----------
+initDb()
+  .then(() => {
+    startBackupSchedule();
+    startEventHeartbeat();
+    app.listen(PORT, () => {
+      console.log('CLOOFY system running at http://localhost:' + PORT);
+    });
+    return getAsync('SELECT COUNT(*) AS c FROM users').then((row) => {
+      if (row.c === 0 && !process.env.SETUP_TOKEN) {
+        console.log('No users yet. Create the owner account with setup token ' + SETUP_TOKEN);
+      }
+    });
+  })
+  .catch((e) => {
+    console.error('Failed to initialise database:', e);
+    process.exit(1);
+  });
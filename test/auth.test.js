@@ -0,0 +1,59 @@
+// Input checks and brute-force limits on the auth routes.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, OWNER } = require('./helpers');
+
+test('setup needs the bootstrap token and passwords must be strings', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const noToken = await app.request('POST', '/api/auth/setup', {
+    username: 'intruder',
+    password: 'whatever-pass'
+  });
+  assert.strictEqual(noToken.status, 403);
+
+  const arrayPassword = await app.request('POST', '/api/users', {
+    username: 'cashier1',
+    password: [1, 2, 3, 4, 5, 6, 7, 8],
+    role: 'cashier'
+  });
+  assert.strictEqual(arrayPassword.status, 400);
+
+  const objectLogin = await app.request('POST', '/api/auth/login', {
+    username: OWNER.username,
+    password: { length: 99 }
+  });
+  assert.strictEqual(objectLogin.status, 401);
+});
+
+test('repeated failed logins are locked out, even with the right password', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  for (let i = 0; i < 5; i++) {
+    const res = await app.request('POST', '/api/auth/login', {
+      username: OWNER.username,
+      password: 'wrong-password'
+    });
+    assert.strictEqual(res.status, 401);
+  }
+  const locked = await app.request('POST', '/api/auth/login', OWNER);
+  assert.strictEqual(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+});
+
+test('a lockout only applies to the address that failed', async (t) => {
+  const app = await startServer({ TRUST_PROXY: '1' });
+  t.after(app.stop);
+
+  const attacker = { 'X-Forwarded-For': '203.0.113.9' };
+  for (let i = 0; i < 5; i++) {
+    await app.request('POST', '/api/auth/login', { username: OWNER.username, password: 'wrong-password' }, attacker);
+  }
+  const locked = await app.request('POST', '/api/auth/login', OWNER, attacker);
+  assert.strictEqual(locked.status, 429);
+
+  const owner = await app.request('POST', '/api/auth/login', OWNER, { 'X-Forwarded-For': '198.51.100.4' });
+  assert.strictEqual(owner.status, 200);
+});
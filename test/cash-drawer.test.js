@@ -0,0 +1,114 @@
+// Cash drawer shifts: the Z-report adds up every tender, and replayed sales never
+// land in a shift that was open before they were rung up.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+function soldAt(hoursAgo) {
+  const d = new Date(Date.now() - hoursAgo * 3600 * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+  );
+}
+
+async function setUp(app) {
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Berry',
+    unit: 'g',
+    current_stock: 1000,
+    reorder_level: 0,
+    unit_cost: 1
+  });
+  const product = await app.request('POST', '/api/products', {
+    name: 'Test Berry Cloud',
+    price: 80,
+    recipe: [{ ingredientId: ingredient.data.id, qty: 5 }]
+  });
+  return product.data;
+}
+
+test('the Z-report totals sales, refunds and the cash expected in the drawer', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+  const product = await setUp(app);
+
+  const opened = await app.request('POST', '/api/cash-sessions', { opening_float: 100 });
+  assert.strictEqual(opened.status, 200);
+  const shift = opened.data.session.id;
+
+  const cash = await app.request('POST', '/api/sales', {
+    product_id: product.id,
+    qty: 1,
+    payments: [{ method: 'cash', amount: 80, tendered: 100 }]
+  });
+  assert.strictEqual(cash.data.change, 20);
+  await app.request('POST', '/api/sales', {
+    product_id: product.id,
+    qty: 2,
+    payments: [{ method: 'card', amount: 160 }]
+  });
+  await app.request('POST', '/api/sales', {
+    product_id: product.id,
+    qty: 1,
+    payments: [
+      { method: 'cash', amount: 30 },
+      { method: 'qr', amount: 50 }
+    ]
+  });
+  const short = await app.request('POST', '/api/sales', {
+    product_id: product.id,
+    qty: 1,
+    payments: [{ method: 'cash', amount: 70 }]
+  });
+  assert.strictEqual(short.status, 400);
+
+  const order = await app.request('GET', '/api/orders/' + cash.data.orderId);
+  const refund = await app.request('POST', '/api/sales/' + order.data.items[0].id + '/refund', { qty: 1 });
+  assert.strictEqual(refund.data.method, 'cash');
+
+  const closed = await app.request('POST', '/api/cash-sessions/' + shift + '/close', { counted_cash: 125 });
+  assert.strictEqual(closed.status, 200);
+  const report = closed.data;
+  assert.strictEqual(report.orders, 3);
+  assert.strictEqual(report.gross_sales, 320);
+  assert.strictEqual(report.refunds_total, 80);
+  assert.strictEqual(report.net_sales, 240);
+  const byMethod = Object.fromEntries(report.by_method.map((m) => [m.method, m.net]));
+  assert.deepStrictEqual(byMethod, { cash: 30, card: 160, qr: 50 });
+  assert.strictEqual(report.cash.change_given, 20);
+  assert.strictEqual(report.cash.expected, 130);
+  assert.strictEqual(report.cash.over_short, -5);
+
+  const twice = await app.request('POST', '/api/cash-sessions/' + shift + '/close', { counted_cash: 125 });
+  assert.strictEqual(twice.status, 400);
+});
+
+test('a replayed sale joins the open shift only if it was rung up during it', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+  const product = await setUp(app);
+
+  const opened = await app.request('POST', '/api/cash-sessions', { opening_float: 0 });
+  const shift = opened.data.session.id;
+
+  const before = await app.request(
+    'POST',
+    '/api/sales',
+    { product_id: product.id, qty: 1, sold_at: soldAt(5) },
+    { 'Idempotency-Key': 'till-2-sale-0001' }
+  );
+  assert.strictEqual(before.status, 200);
+  const during = await app.request(
+    'POST',
+    '/api/sales',
+    { product_id: product.id, qty: 1, sold_at: soldAt(0) },
+    { 'Idempotency-Key': 'till-2-sale-0002' }
+  );
+  assert.strictEqual(during.status, 200);
+
+  const report = await app.request('GET', '/api/cash-sessions/' + shift + '/z-report');
+  assert.strictEqual(report.data.orders, 1);
+  assert.strictEqual(report.data.gross_sales, 80);
+});
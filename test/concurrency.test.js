@@ -0,0 +1,74 @@
+// Many parallel sales against an ingredient with stock for only a few of them:
+// stock must never go negative and every successful sale must be paid for.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, OWNER } = require('./helpers');
+
+const STOCK = 50;
+const PER_SALE = 7;
+const ATTEMPTS = 30;
+
+test('parallel sales never oversell a nearly-empty ingredient', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Sugar',
+    unit: 'g',
+    current_stock: STOCK,
+    reorder_level: 0,
+    unit_cost: 1
+  });
+  assert.strictEqual(ingredient.status, 200);
+  const product = await app.request('POST', '/api/products', {
+    name: 'Test Cloud',
+    price: 100,
+    recipe: [{ ingredientId: ingredient.data.id, qty: PER_SALE }]
+  });
+  assert.strictEqual(product.status, 200);
+
+  const results = await Promise.all(
+    Array.from({ length: ATTEMPTS }, () =>
+      app.request('POST', '/api/sales', { product_id: product.data.id, qty: 1 })
+    )
+  );
+  const sold = results.filter((r) => r.status === 200).length;
+  assert.ok(
+    results.every((r) => r.status === 200 || r.status === 400),
+    'unexpected statuses: ' + results.map((r) => r.status).join(',')
+  );
+
+  const list = await app.request('GET', '/api/ingredients');
+  const stock = list.data.find((i) => i.id === ingredient.data.id).current_stock;
+  assert.ok(stock >= 0, 'stock went negative: ' + stock);
+  assert.strictEqual(STOCK - stock, sold * PER_SALE);
+  assert.strictEqual(sold, Math.floor(STOCK / PER_SALE));
+
+  const recent = await app.request('GET', '/api/sales/recent');
+  assert.strictEqual(recent.data.filter((s) => s.product_name === 'Test Cloud').length, sold);
+});
+
+// A statement outside a transaction must not be swept into (and rolled back
+// with) a sale that fails at the same moment.
+test('a login alongside failing sales keeps its session', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  for (let round = 0; round < 5; round++) {
+    const failing = Array.from({ length: 5 }, () =>
+      app.request('POST', '/api/sales', { product_id: 1, qty: 100000 })
+    );
+    const login = fetch(app.base + '/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(OWNER)
+    });
+    const [res] = await Promise.all([login, ...failing]);
+    assert.strictEqual(res.status, 200);
+
+    const me = await fetch(app.base + '/api/auth/me', {
+      headers: { Cookie: res.headers.get('set-cookie').split(';')[0] }
+    });
+    assert.strictEqual((await me.json()).user?.username, OWNER.username);
+  }
+});
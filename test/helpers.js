@@ -0,0 +1,100 @@
+// Starts server.js as a child process on a throwaway database, for the tests.
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const OWNER = { username: 'owner', password: 'test-password' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves to { base, request(method, url, body?, headers?), stop() } once the
+// app answers and the owner account exists; request() carries its session.
+// A Buffer body is sent as is; every response also comes back as raw bytes.
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloofy-test-'));
+  const port = await freePort();
+  const childEnv = {
+    ...process.env,
+    DB_PATH: dir,
+    // Uploads and downloads are staged in the temp dir; keep them with the database
+    TMPDIR: dir,
+    PORT: String(port),
+    SETUP_TOKEN: 'test-setup-token',
+    ...env
+  };
+  delete childEnv.DATABASE_URL;
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: childEnv,
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  const base = 'http://127.0.0.1:' + port;
+
+  let up = false;
+  for (let i = 0; i < 100 && child.exitCode === null; i++) {
+    try {
+      await fetch(base + '/api/auth/me');
+      up = true;
+      break;
+    } catch (e) {
+      await sleep(100);
+    }
+  }
+
+  const stop = async () => {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  if (!up) {
+    await stop();
+    throw new Error('server.js did not start');
+  }
+
+  let cookie = '';
+  const request = async (method, url, body, headers = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie, ...headers },
+      body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+    });
+    const raw = Buffer.from(await res.arrayBuffer());
+    const text = raw.toString();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      // not JSON (PDF, CSV, ...)
+    }
+    return { status: res.status, headers: res.headers, data, raw };
+  };
+
+  const setup = await fetch(base + '/api/auth/setup', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...OWNER, setup_token: childEnv.SETUP_TOKEN })
+  });
+  if (setup.status !== 200) {
+    await stop();
+    throw new Error('owner setup failed with HTTP ' + setup.status);
+  }
+  cookie = setup.headers.get('set-cookie').split(';')[0];
+
+  return { base, request, stop };
+}
+
+module.exports = { startServer, OWNER };
@@ -0,0 +1,60 @@
+// Refunds and voids: stock goes back only when asked, in the amounts the sale took.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+async function stockOf(app, ingredientId) {
+  const list = await app.request('GET', '/api/ingredients');
+  return list.data.find((i) => i.id === ingredientId).current_stock;
+}
+
+test('refunds restock what the sale deducted, even after the recipe changes', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Vanilla',
+    unit: 'g',
+    current_stock: 100,
+    reorder_level: 0,
+    unit_cost: 1
+  });
+  const product = await app.request('POST', '/api/products', {
+    name: 'Test Scoop',
+    price: 50,
+    recipe: [{ ingredientId: ingredient.data.id, qty: 10 }]
+  });
+  const sold = await app.request('POST', '/api/sales', { product_id: product.data.id, qty: 3 });
+  assert.strictEqual(sold.status, 200);
+  const order = await app.request('GET', '/api/orders/' + sold.data.orderId);
+  const saleId = order.data.items[0].id;
+  assert.strictEqual(await stockOf(app, ingredient.data.id), 70);
+
+  const edited = await app.request('PUT', '/api/products/' + product.data.id, {
+    name: 'Test Scoop',
+    price: 50,
+    recipe: [{ ingredientId: ingredient.data.id, qty: 25 }]
+  });
+  assert.strictEqual(edited.status, 200);
+
+  const refund = await app.request('POST', '/api/sales/' + saleId + '/refund', { qty: 1, reason: 'Dropped' });
+  assert.strictEqual(refund.status, 200);
+  assert.strictEqual(refund.data.amount, 50);
+  assert.strictEqual(await stockOf(app, ingredient.data.id), 80);
+
+  // "false" as a string must not restock
+  const noRestock = await app.request('POST', '/api/sales/' + saleId + '/refund', { qty: 1, restock: 'false' });
+  assert.strictEqual(noRestock.status, 200);
+  assert.strictEqual(await stockOf(app, ingredient.data.id), 80);
+
+  const tooMany = await app.request('POST', '/api/sales/' + saleId + '/refund', { qty: 2 });
+  assert.strictEqual(tooMany.status, 400);
+
+  const voided = await app.request('POST', '/api/sales/' + saleId + '/void', {});
+  assert.strictEqual(voided.status, 200);
+  assert.strictEqual(voided.data.qty, 1);
+  assert.strictEqual(await stockOf(app, ingredient.data.id), 90);
+
+  const again = await app.request('POST', '/api/sales/' + saleId + '/void', {});
+  assert.strictEqual(again.status, 400);
+});
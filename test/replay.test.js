@@ -0,0 +1,92 @@
+// Offline sales replayed by the till: a key is recorded once, and sold_at is
+// only trusted within the last 48 hours.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, OWNER } = require('./helpers');
+
+// The server's local "YYYY-MM-DD HH:MM:SS", hours ago
+function soldAt(hoursAgo) {
+  const d = new Date(Date.now() - hoursAgo * 3600 * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+  );
+}
+
+async function setUp(app) {
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Matcha',
+    unit: 'g',
+    current_stock: 100,
+    reorder_level: 0,
+    unit_cost: 1
+  });
+  const product = await app.request('POST', '/api/products', {
+    name: 'Test Matcha Cloud',
+    price: 80,
+    recipe: [{ ingredientId: ingredient.data.id, qty: 5 }]
+  });
+  return { ingredient: ingredient.data, product: product.data };
+}
+
+test('a replayed key records the sale once and keeps the cashier on the receipt', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+  const { ingredient, product } = await setUp(app);
+
+  const key = { 'Idempotency-Key': 'till-1-sale-0001' };
+  const body = { product_id: product.id, qty: 2, sold_at: soldAt(3) };
+  const first = await app.request('POST', '/api/sales', body, key);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.data.replayed, false);
+  const second = await app.request('POST', '/api/sales', body, key);
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.data.replayed, true);
+  assert.strictEqual(second.data.orderId, first.data.orderId);
+
+  const list = await app.request('GET', '/api/ingredients');
+  assert.strictEqual(list.data.find((i) => i.id === ingredient.id).current_stock, 90);
+
+  const receipt = await app.request('GET', '/api/orders/' + first.data.orderId + '/receipt');
+  assert.strictEqual(receipt.status, 200);
+  assert.strictEqual(receipt.data.served_by, OWNER.username);
+  assert.strictEqual(receipt.data.date, body.sold_at);
+
+  const audit = await app.request('GET', '/api/audit?entity=order');
+  assert.deepStrictEqual(
+    audit.data.filter((e) => e.entity_id === String(first.data.orderId)).map((e) => e.action),
+    ['replay']
+  );
+});
+
+test('sold_at must be well formed and within the last 48 hours', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+  const { product } = await setUp(app);
+
+  const stale = await app.request(
+    'POST',
+    '/api/sales',
+    { product_id: product.id, qty: 1, sold_at: soldAt(49) },
+    { 'Idempotency-Key': 'till-1-sale-0002' }
+  );
+  assert.strictEqual(stale.status, 400);
+  assert.match(stale.data.error, /48 hours/);
+
+  const malformed = await app.request(
+    'POST',
+    '/api/sales',
+    { product_id: product.id, qty: 1, sold_at: 'yesterday' },
+    { 'Idempotency-Key': 'till-1-sale-0003' }
+  );
+  assert.strictEqual(malformed.status, 400);
+
+  const badKey = await app.request(
+    'POST',
+    '/api/sales',
+    { product_id: product.id, qty: 1 },
+    { 'Idempotency-Key': 'x' }
+  );
+  assert.strictEqual(badKey.status, 400);
+});
@@ -0,0 +1,66 @@
+// Restoring a backup: bad uploads are turned away, and a file that cannot be
+// migrated leaves the previous data in place.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+const { startServer } = require('./helpers');
+
+const UPLOAD = { 'Content-Type': 'application/octet-stream' };
+
+function exec(file, sql) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => {
+      if (err) return reject(err);
+      db.exec(sql, (execErr) => db.close(() => (execErr ? reject(execErr) : resolve())));
+    });
+  });
+}
+
+test('uploads that are not CLOOFY databases are rejected', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const text = await app.request('POST', '/api/restore', Buffer.from('hello, not a database'), UPLOAD);
+  assert.strictEqual(text.status, 400);
+
+  const file = path.join(os.tmpdir(), `cloofy-foreign-${process.pid}.db`);
+  t.after(() => fs.rmSync(file, { force: true }));
+  await exec(file, 'CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+  const foreign = await app.request('POST', '/api/restore', fs.readFileSync(file), UPLOAD);
+  assert.strictEqual(foreign.status, 400);
+  assert.ok(foreign.data.problems.includes('missing table ingredients'));
+});
+
+test('a backup that fails to migrate puts the previous data back', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const backup = await app.request('GET', '/api/backup');
+  assert.strictEqual(backup.status, 200);
+  const file = path.join(os.tmpdir(), `cloofy-broken-${process.pid}.db`);
+  t.after(() => fs.rmSync(file, { force: true }));
+  fs.writeFileSync(file, backup.raw);
+  // Re-running migration 18 needs audit_events, which this file no longer has
+  await exec(file, 'DELETE FROM schema_version WHERE version >= 18; DROP TABLE audit_events;');
+
+  const added = await app.request('POST', '/api/ingredients', {
+    name: 'Made After Backup',
+    unit: 'g',
+    current_stock: 10,
+    reorder_level: 0,
+    unit_cost: 1
+  });
+  assert.strictEqual(added.status, 200);
+
+  const restore = await app.request('POST', '/api/restore', fs.readFileSync(file), UPLOAD);
+  assert.strictEqual(restore.status, 400);
+
+  const me = await app.request('GET', '/api/auth/me');
+  assert.strictEqual(me.data.user.username, 'owner');
+  const ingredients = await app.request('GET', '/api/ingredients');
+  assert.strictEqual(ingredients.status, 200);
+  assert.ok(ingredients.data.some((i) => i.name === 'Made After Backup'));
+});
@@ -0,0 +1,100 @@
+// Moving stock between stalls, and the archived ingredients and locations it must refuse.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+async function setUp(app) {
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Cream',
+    unit: 'ml',
+    current_stock: 1000,
+    reorder_level: 0,
+    unit_cost: 2
+  });
+  assert.strictEqual(ingredient.status, 200);
+  const locations = await app.request('GET', '/api/locations');
+  const kiosk = await app.request('POST', '/api/locations', { name: 'Beach Kiosk' });
+  assert.strictEqual(kiosk.status, 201);
+  return { ingredient: ingredient.data, main: locations.data[0], kiosk: kiosk.data };
+}
+
+function stockAt(ingredients, ingredientId, locationId) {
+  const ing = ingredients.find((i) => i.id === ingredientId);
+  const row = ing.stock_by_location.find((st) => st.location_id === locationId);
+  return row ? row.qty : 0;
+}
+
+test('a transfer moves stock from one location to the other', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+  const { ingredient, main, kiosk } = await setUp(app);
+
+  const moved = await app.request('POST', '/api/transfers', {
+    ingredient_id: ingredient.id,
+    from_location_id: main.id,
+    to_location_id: kiosk.id,
+    qty: 0.25,
+    unit: 'l'
+  });
+  assert.strictEqual(moved.status, 201);
+  assert.strictEqual(moved.data.qty, 250);
+
+  const tooMuch = await app.request('POST', '/api/transfers', {
+    ingredient_id: ingredient.id,
+    from_location_id: kiosk.id,
+    to_location_id: main.id,
+    qty: 251
+  });
+  assert.strictEqual(tooMuch.status, 400);
+
+  const ingredients = (await app.request('GET', '/api/ingredients')).data;
+  assert.strictEqual(stockAt(ingredients, ingredient.id, main.id), 750);
+  assert.strictEqual(stockAt(ingredients, ingredient.id, kiosk.id), 250);
+});
+
+test('archived ingredients and locations cannot be transferred or ordered', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+  const { ingredient, main, kiosk } = await setUp(app);
+  // There and back, so the ingredient has stock history and the kiosk ends up empty
+  for (const [from, to] of [[main, kiosk], [kiosk, main]]) {
+    const moved = await app.request('POST', '/api/transfers', {
+      ingredient_id: ingredient.id,
+      from_location_id: from.id,
+      to_location_id: to.id,
+      qty: 10
+    });
+    assert.strictEqual(moved.status, 201);
+  }
+
+  const closed = await app.request('PUT', '/api/locations/' + kiosk.id, { archived: true });
+  assert.strictEqual(closed.status, 200);
+  const fromArchived = await app.request('POST', '/api/transfers', {
+    ingredient_id: ingredient.id,
+    from_location_id: kiosk.id,
+    to_location_id: main.id,
+    qty: 1
+  });
+  assert.strictEqual(fromArchived.status, 400);
+  assert.match(fromArchived.data.error, /archived/);
+
+  const removed = await app.request('DELETE', '/api/ingredients/' + ingredient.id);
+  assert.strictEqual(removed.data.archived, true);
+  const reopened = await app.request('PUT', '/api/locations/' + kiosk.id, { archived: false });
+  assert.strictEqual(reopened.status, 200);
+
+  const transfer = await app.request('POST', '/api/transfers', {
+    ingredient_id: ingredient.id,
+    from_location_id: main.id,
+    to_location_id: kiosk.id,
+    qty: 1
+  });
+  assert.strictEqual(transfer.status, 400);
+  assert.match(transfer.data.error, /archived/);
+
+  const order = await app.request('POST', '/api/purchase-orders', {
+    items: [{ ingredient_id: ingredient.id, qty: 500 }]
+  });
+  assert.strictEqual(order.status, 400);
+  assert.match(order.data.error, /archived/);
+});
@@ -0,0 +1,92 @@
+// Wastage takes stock out at cost, whether logged as an ingredient or a whole product.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+test('wastage deducts stock and is costed by reason', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Milk',
+    unit: 'ml',
+    current_stock: 2000,
+    reorder_level: 0,
+    unit_cost: 0.5
+  });
+  const id = ingredient.data.id;
+  const product = await app.request('POST', '/api/products', {
+    name: 'Test Milk Cloud',
+    price: 90,
+    recipe: [{ ingredientId: id, qty: 100 }]
+  });
+
+  const spilled = await app.request('POST', '/api/wastage', {
+    ingredient_id: id,
+    qty: 0.5,
+    unit: 'l',
+    reason_code: 'spilled',
+    notes: 'Knocked over'
+  });
+  assert.strictEqual(spilled.status, 201);
+  assert.strictEqual(spilled.data.qty, 500);
+  assert.strictEqual(spilled.data.cost, 250);
+
+  const rejected = await app.request('POST', '/api/wastage', {
+    product_id: product.data.id,
+    qty: 2,
+    reason_code: 'qa_reject'
+  });
+  assert.strictEqual(rejected.status, 201);
+  assert.strictEqual(rejected.data.cost, 100);
+
+  const list = await app.request('GET', '/api/ingredients');
+  assert.strictEqual(list.data.find((i) => i.id === id).current_stock, 1300);
+
+  const summary = await app.request('GET', '/api/wastage/summary');
+  assert.strictEqual(summary.data.total_cost, 350);
+  assert.deepStrictEqual(
+    summary.data.by_reason.map((r) => [r.reason_code, r.label, r.cost]),
+    [
+      ['spilled', 'Spilled', 250],
+      ['qa_reject', 'QA reject', 100]
+    ]
+  );
+});
+
+test('wastage rejects unknown reasons, ambiguous targets and missing stock', async (t) => {
+  const app = await startServer();
+  t.after(app.stop);
+
+  const ingredient = await app.request('POST', '/api/ingredients', {
+    name: 'Test Syrup',
+    unit: 'ml',
+    current_stock: 100,
+    reorder_level: 0,
+    unit_cost: 1
+  });
+  const id = ingredient.data.id;
+
+  const inherited = await app.request('POST', '/api/wastage', {
+    ingredient_id: id,
+    qty: 1,
+    reason_code: 'constructor'
+  });
+  assert.strictEqual(inherited.status, 400);
+  const both = await app.request('POST', '/api/wastage', {
+    ingredient_id: id,
+    product_id: 1,
+    qty: 1,
+    reason_code: 'expired'
+  });
+  assert.strictEqual(both.status, 400);
+  const tooMuch = await app.request('POST', '/api/wastage', { ingredient_id: id, qty: 101, reason_code: 'expired' });
+  assert.strictEqual(tooMuch.status, 400);
+
+  // Its only history is wastage, which must survive deleting the ingredient
+  await app.request('POST', '/api/wastage', { ingredient_id: id, qty: 10, reason_code: 'expired' });
+  const removed = await app.request('DELETE', '/api/ingredients/' + id);
+  assert.strictEqual(removed.data.archived, true);
+  const wastage = await app.request('GET', '/api/wastage');
+  assert.strictEqual(wastage.data[0].ingredient_name, 'Test Syrup');
+});